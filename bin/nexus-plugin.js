@@ -15,8 +15,16 @@ const HELP = `
 
   Commands:
     init              Scaffold a new plugin project
-    validate [path]   Validate a plugin manifest
-    publish           Publish plugin to the community registry
+    validate [paths]  Validate plugin manifests (dirs, files or globs)
+    dev [path]        Run the plugin against a local mock Nexus host
+    mcp call <tool>   Invoke one of the plugin's MCP tools
+    publish           Publish plugin to the registry
+    version <bump>    Bump the version (patch, minor, major or x.y.z) and tag it
+    deprecate <id>    Mark a plugin as deprecated in the registry
+    unpublish <id>    Remove a plugin from the registry
+    registry <cmd>    Browse the registry: search <term>, info <id>, list
+    keys generate     Create the Ed25519 keypair publish signs entries with
+    verify <file>     Check the signatures of a registry entry or plugin.json
 
   Global Options:
     --help, -h        Show this help message
@@ -35,21 +43,130 @@ const HELP = `
 
   validate Options:
     --json            Output results as JSON (for CI parsing)
+    --format          Output format: text, json, ndjson, sarif, junit, github
+    --recursive       Validate every plugin.json under the given directories
+    --deep            Also analyze src/ (MCP tool handlers, permissions used)
+    --list-rules      List validation rule IDs and their default levels
+    --fix             Rewrite plugin.json with safe fixes, then validate
+    --dry-run         With --fix: show the diff without writing
+    --watch           Re-validate when plugin.json, Dockerfile or src/ change
+
+  Several plugins can be validated at once (e.g. validate 'plugins/*/');
+  results are aggregated and plugin ids must be unique across them. With
+  several plugins --json prints an array; --format ndjson prints one line each.
+
+  Rule levels can be overridden in .nexuspluginrc.json (or a "nexus-plugin"
+  key in package.json) next to plugin.json: { "rules": { "<id>": "off" } }
+
+  dev Options:
+    --port            Plugin port (default: ui.port from plugin.json)
+    --host-port       Mock host port (default: 9600)
+    --entry           Plugin entry point (default: src/server.js)
+    --no-watch        Don't restart the plugin when src/ changes
+
+  mcp call Options:
+    --<param> value   Tool argument (also: param=value, coerced per input_schema)
+    --args            Tool arguments as a JSON object
+    --url             Plugin base URL (default: http://localhost:<ui.port>)
+    --dir             Plugin directory containing plugin.json (default: .)
+    --timeout         Request timeout in seconds (default: 30)
+    --json            Print the raw result as JSON (for scripting)
+    -- --<param> value
+                      Everything after -- is a tool argument, even --json or --url
 
   publish Options:
     --manifest-url    Raw URL to plugin.json (required in CI)
     --categories      Comma-separated categories (default: utilities)
+    --image-digest    Use this sha256 digest instead of asking the image registry
+    --image-registry-url
+                      Image registry API base (default: $NEXUS_IMAGE_REGISTRY_URL
+                      or the registry in the image reference)
+    --dry-run         Build the registry entry, branch, commit and PR body
+                      without contacting GitHub (JSON plan in CI)
+    --out             With --dry-run: also write the plan files to a directory
+    --manifest-file   With --dry-run or a local registry: hash a local plugin.json
+                      instead of the URL
+    --update          With --dry-run: plan an update of an existing entry
+    --allow-manifest-drift
+                      Publish even if the manifest at --manifest-url differs
+                      from ./plugin.json (id, version and image must match;
+                      the entry's fields still come from ./plugin.json)
+    --force           Allow replacing a registry entry with an older version
+    --signing-key     Private key to sign the entry with (default:
+                      $NEXUS_SIGNING_KEY, a path or PEM, or
+                      ~/.nexus-plugin/keys/signing.key when it exists)
+    --allow-key-change
+                      Update an entry signed by a different key (or unsigned)
+
+  Publish computes image_digest and manifest_sha256 automatically. The hosted
+  manifest must pass validate and match ./plugin.json field for field.
+  Authenticates with GITHUB_TOKEN or GH_TOKEN, falling back to \`gh auth token\`.
+  The image digest is read from the registry (anonymous pull access, no Docker
+  needed); publish warns when the image lacks an amd64 or arm64 build.
+  With a signing key the entry stores signature, manifest_signature,
+  public_key and key_fingerprint; later updates must use the same key.
+
+  version Options:
+    --dir             Plugin directory containing plugin.json (default: .)
+    --dry-run         Show the plugin.json changes without writing or tagging
+    --no-git          Only update plugin.json (no commit or vX.Y.Z tag)
+    --force           Allow setting an older version
+    --json            Print the result as JSON (for scripting)
+
+  deprecate / unpublish Options:
+    --reason          Why the plugin is retired (required for deprecate in CI)
+    --replacement     deprecate: id of the plugin that replaces it
 
-  Publish computes image_digest and manifest_sha256 automatically.
-  Requires: gh CLI (authenticated), Docker (for image digest).
+  registry Options:
+    --category        Only plugins in this category (search and list)
+    --json            Print entries as JSON
+
+  keys generate Options:
+    --dir             Where to write <name>.key and <name>.pub
+                      (default: ~/.nexus-plugin/keys)
+    --name            Key file name (default: signing)
+    --force           Replace an existing keypair
+    --json            Print the key paths and fingerprint as JSON
+
+  verify Options:
+    --manifest        With an entry: also check the manifest signature
+    --entry           With a plugin.json: the entry to check it against
+                      (default: the plugin's entry in the registry)
+    --fingerprint     Fail unless the entry is signed by this key fingerprint
+    --key             Fail unless the entry is signed by this key (.pub file)
+    --json            Print the result as JSON
+
+  Registry target (publish, deprecate, unpublish, registry, verify):
+    --registry        owner/repo on GitHub or a local registry checkout
+                      (default: $NEXUS_REGISTRY or imdanibytes/registry)
+    --registry-backend
+                      github-fork (PR from your fork), github-direct (PR from a
+                      branch on the registry; needs push access) or local (commit
+                      to the checkout) (default: $NEXUS_REGISTRY_BACKEND, or
+                      local for a directory and github-fork otherwise)
+    --registry-branch Base branch (default: $NEXUS_REGISTRY_BRANCH or main; a local
+                      checkout must already be on it when set)
+    --github-api-url  GitHub API base URL (default: $GITHUB_API_URL or api.github.com)
+
+  The same settings (repo or path, backend, branch, api_url) can live in
+  .nexuspluginrc.json (or package.json "nexus-plugin") in the current
+  directory; flags and env take precedence:
+    { "registry": { "repo": "acme/plugins", "backend": "github-direct" } }
+    { "registry": { "path": "../registry" } }
+  A local registry needs no network: with --image-digest and --manifest-file,
+  publish runs fully offline.
 `;
 
-if (!command || command === "--help" || command === "-h" || args.help || args.h) {
+// mcp parses its own argv (tool arguments may be named --version, --force,
+// ...), so the global --help / --version handling does not apply to it
+const ownArgv = command === "mcp";
+
+if (!ownArgv && (!command || command === "--help" || command === "-h" || args.help || args.h)) {
   console.log(HELP);
   process.exit(0);
 }
 
-if (command === "--version" || command === "-v" || args.version || args.v) {
+if (!ownArgv && (command === "--version" || command === "-v" || args.version || args.v)) {
   const pkg = require("../package.json");
   console.log(pkg.version);
   process.exit(0);
@@ -63,17 +180,77 @@ async function main() {
       break;
     }
     case "validate": {
-      const { validate } = require("../lib/validate");
-      const target = args._[1] || ".";
-      const ok = validate(target, { json: !!args.json });
+      if (args["list-rules"]) {
+        require("../lib/rules").listRules({ json: !!args.json });
+        break;
+      }
+      const { validateAll, watchValidation } = require("../lib/validate");
+      const { resolveTargets } = require("../lib/workspace");
+      const targets = resolveTargets(args._.slice(1), { recursive: !!args.recursive });
+      const format = typeof args.format === "string" ? args.format : undefined;
+      if (args.fix) {
+        const { fix } = require("../lib/fix");
+        const machine = !!args.json || (format !== undefined && format !== "text");
+        for (const target of targets) fix(target, { dryRun: !!args["dry-run"], quiet: machine });
+        if (args["dry-run"]) break;
+      }
+      if (args.watch) {
+        await watchValidation(targets, { json: !!args.json, format, deep: !!args.deep });
+        break;
+      }
+      const ok = validateAll(targets, {
+        json: !!args.json,
+        format,
+        deep: !!args.deep,
+      });
       process.exit(ok ? 0 : 1);
       break;
     }
+    case "dev": {
+      const { dev } = require("../lib/dev");
+      await dev(args);
+      break;
+    }
+    case "mcp": {
+      const { mcp } = require("../lib/mcp");
+      await mcp(process.argv.slice(process.argv.indexOf("mcp", 2) + 1));
+      break;
+    }
     case "publish": {
       const { publish } = require("../lib/publish");
       await publish(args);
       break;
     }
+    case "deprecate": {
+      const { deprecate } = require("../lib/deprecate");
+      await deprecate(args);
+      break;
+    }
+    case "unpublish": {
+      const { unpublish } = require("../lib/deprecate");
+      await unpublish(args);
+      break;
+    }
+    case "registry": {
+      const { registryCommand } = require("../lib/browse");
+      await registryCommand(args);
+      break;
+    }
+    case "keys": {
+      const { keys } = require("../lib/keys");
+      await keys(args);
+      break;
+    }
+    case "verify": {
+      const { verify } = require("../lib/verify");
+      await verify(args);
+      break;
+    }
+    case "version": {
+      const { version } = require("../lib/version");
+      await version(args);
+      break;
+    }
     default:
       console.error(`Unknown command: ${command}`);
       console.log(HELP);
@@ -3,6 +3,18 @@
 // Flags that are always boolean (never consume the next arg as a value)
 const BOOLEAN_FLAGS = new Set([
   "json",
+  "deep",
+  "recursive",
+  "list-rules",
+  "fix",
+  "dry-run",
+  "allow-manifest-drift",
+  "allow-key-change",
+  "force",
+  "update",
+  "no-watch",
+  "no-git",
+  "watch",
   "help",
   "version",
   "h",
@@ -0,0 +1,167 @@
+"use strict";
+
+const { CATEGORIES } = require("./entry");
+const registry = require("./registry");
+
+// ── Registry browsing ──────────────────────────────────────────
+//
+// `nexus-plugin registry search|info|list` — read-only views of the
+// registry's plugins/<id>.yaml entries, from GitHub or a local checkout.
+
+const USAGE = "Usage: nexus-plugin registry <search <term> | info <id> | list> [--category <name>] [--json]";
+
+function fail(jsonMode, error, message) {
+  if (jsonMode) console.error(JSON.stringify({ error, message }));
+  else console.error(`  \x1b[31m✘\x1b[0m ${message}`);
+  process.exit(1);
+}
+
+function text(value) {
+  return typeof value === "string" ? value : "";
+}
+
+/**
+ * Registry entries are anyone's input: drop C0/C1 control characters
+ * (escape sequences, carriage returns) before they reach the terminal.
+ */
+function printable(value, { newlines = false } = {}) {
+  return value.replace(newlines ? /[\u0000-\u0009\u000B-\u001F\u007F-\u009F]/g : /[\u0000-\u001F\u007F-\u009F]/g, "");
+}
+
+function categoriesOf(entry) {
+  return Array.isArray(entry.categories) ? entry.categories.filter((c) => typeof c === "string") : [];
+}
+
+/** Trim to `width` columns with an ellipsis. */
+function clip(value, width) {
+  return value.length > width ? `${value.slice(0, Math.max(0, width - 1))}…` : value;
+}
+
+/**
+ * How well an entry matches a search term (0 = no match). An exact id
+ * ranks first, so id collisions show up at the top.
+ */
+function matchScore(entry, term) {
+  const t = term.toLowerCase();
+  const id = text(entry.id).toLowerCase();
+  if (id === t) return 5;
+  if (id.includes(t)) return 4;
+  if (text(entry.name).toLowerCase().includes(t)) return 3;
+  if (categoriesOf(entry).some((c) => c === t)) return 2;
+  const rest = [entry.description, entry.author].map((v) => text(v).toLowerCase());
+  return rest.some((v) => v.includes(t)) ? 1 : 0;
+}
+
+function printTable(rows) {
+  if (rows.length === 0) {
+    console.log("\n  \x1b[2mNo plugins found\x1b[0m\n");
+    return;
+  }
+  const cols = [
+    { title: "ID", get: (e) => text(e.id) },
+    { title: "Version", get: (e) => text(e.version) },
+    { title: "Categories", get: (e) => categoriesOf(e).join(", ") },
+    { title: "Status", get: (e) => text(e.status) || "-" },
+  ];
+  const cells = rows.map((e) => cols.map((c) => printable(c.get(e))));
+  const widths = cols.map((c, i) => Math.max(c.title.length, ...cells.map((r) => r[i].length)));
+  const fixed = widths.reduce((n, w) => n + w + 2, 2);
+  const nameWidth = Math.max(20, (process.stdout.columns || 100) - fixed - 2);
+
+  console.log("");
+  console.log(`  \x1b[2m${cols.map((c, i) => c.title.padEnd(widths[i])).join("  ")}  Name\x1b[0m`);
+  rows.forEach((e, r) => {
+    const line = cells[r].map((v, i) => v.padEnd(widths[i])).join("  ");
+    const status = text(e.status) === "deprecated" ? `\x1b[33m${line}\x1b[0m` : line;
+    console.log(`  ${status}  ${clip(printable(text(e.name)), nameWidth)}`);
+  });
+  console.log(`\n  ${rows.length} plugin(s)\n`);
+}
+
+function printInfo(entry, file, source) {
+  console.log(`\n  \x1b[1m${printable(text(entry.name) || text(entry.id))}\x1b[0m  \x1b[2m${file} in ${source.label}\x1b[0m\n`);
+  if (entry.status === "deprecated") {
+    const replacement = entry.replaced_by ? ` — use ${printable(String(entry.replaced_by))} instead` : "";
+    const reason = entry.deprecation_reason ? `: ${printable(String(entry.deprecation_reason))}` : "";
+    console.log(`  \x1b[33m⚠ Deprecated\x1b[0m${reason}${replacement}\n`);
+  }
+  const keys = Object.keys(entry).map((key) => [key, printable(key)]);
+  const width = Math.max(...keys.map(([, label]) => label.length)) + 1;
+  for (const [key, label] of keys) {
+    const value = entry[key];
+    const shown = Array.isArray(value) ? value.join(", ") : typeof value === "object" && value !== null ? JSON.stringify(value) : String(value);
+    const [first, ...more] = printable(shown, { newlines: true }).replace(/\n+$/, "").split("\n");
+    console.log(`  ${`${label}:`.padEnd(width)} ${first}`);
+    for (const line of more) console.log(`  ${"".padEnd(width)} ${line}`);
+  }
+  console.log("");
+}
+
+/** `nexus-plugin registry <search|info|list>` */
+async function registryCommand(args = {}) {
+  const jsonMode = !!args.json;
+  const sub = args._[1];
+
+  let source;
+  try {
+    source = registry.resolveRegistry(args);
+  } catch (err) {
+    fail(jsonMode, "invalid_flags", err.message);
+  }
+
+  const category = typeof args.category === "string" ? args.category : null;
+  if (args.category !== undefined && !CATEGORIES.includes(category)) {
+    fail(jsonMode, "invalid_flags", `--category must be one of ${CATEGORIES.join(", ")}`);
+  }
+
+  if (sub === "info") {
+    const id = args._[2];
+    if (!id) fail(jsonMode, "missing_id", "Usage: nexus-plugin registry info <plugin-id>");
+    if (!registry.isValidPluginId(id)) fail(jsonMode, "invalid_id", `${JSON.stringify(id)} is not a valid plugin id`);
+    let entry;
+    try {
+      entry = await registry.readEntry(source, id);
+    } catch (err) {
+      fail(jsonMode, "registry_unavailable", err.message);
+    }
+    if (!entry) fail(jsonMode, "not_found", `${id} is not in ${source.label}`);
+    if (jsonMode) console.log(JSON.stringify(entry));
+    else printInfo(entry, registry.entryPath(id), source);
+    return;
+  }
+
+  if (sub !== "search" && sub !== "list") fail(jsonMode, "unknown_command", USAGE);
+  const term = sub === "search" ? args._.slice(2).join(" ").trim() : "";
+  if (sub === "search" && !term) fail(jsonMode, "missing_term", "Usage: nexus-plugin registry search <term>");
+
+  let result;
+  try {
+    result = await registry.readEntries(source);
+  } catch (err) {
+    fail(jsonMode, "registry_unavailable", `Could not read ${source.label}: ${err.message}`);
+  }
+  if (!jsonMode) {
+    for (const p of result.problems) console.error(`  \x1b[33m⚠\x1b[0m Skipped ${printable(p.file)}: ${printable(p.message)}`);
+  }
+
+  let rows = result.entries.map((r) => r.entry);
+  if (category) rows = rows.filter((e) => categoriesOf(e).includes(category));
+  if (term) {
+    rows = rows
+      .map((e) => ({ e, score: matchScore(e, term) }))
+      .filter((r) => r.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map((r) => r.e);
+  }
+
+  if (jsonMode) {
+    console.log(JSON.stringify(rows));
+    return;
+  }
+  if (term && rows.length > 0 && text(rows[0].id).toLowerCase() === term.toLowerCase()) {
+    console.log(`\n  \x1b[33m⚠\x1b[0m The id ${rows[0].id} is already taken`);
+  }
+  printTable(rows);
+}
+
+module.exports = { registryCommand };
@@ -0,0 +1,223 @@
+"use strict";
+
+const { formatEntry, mergeEntry, checkEntry } = require("./entry");
+const { isInteractive } = require("./args");
+const { createInterface, ask, confirm } = require("./prompts");
+const registry = require("./registry");
+
+// ── Retiring registry entries ──────────────────────────────────
+//
+// `deprecate` keeps the entry but marks it (with a reason and an optional
+// replacement) so Nexus can steer users away; `unpublish` removes the
+// entry file. Both submit through the same registry backend as publish.
+
+const LABELS = { deprecate: ["deprecation"], unpublish: ["unpublish"] };
+
+function fail(ci, error, message) {
+  console.error(ci ? JSON.stringify({ error, message }) : `  \x1b[31m✘\x1b[0m ${message}\n`);
+  process.exit(1);
+}
+
+/** The plugin id argument, checked the same way publish checks manifest ids. */
+function pluginIdArg(args, ci, command) {
+  const id = args._[1];
+  if (!id) fail(ci, "missing_id", `Usage: nexus-plugin ${command} <plugin-id>`);
+  if (!registry.isValidPluginId(id)) fail(ci, "invalid_id", `${JSON.stringify(id)} is not a valid plugin id`);
+  return id;
+}
+
+function optionalText(args, key) {
+  return typeof args[key] === "string" && args[key].trim() !== "" ? args[key].trim() : null;
+}
+
+function singleLine(value) {
+  return !/[\u0000-\u001F\u007F]/.test(value);
+}
+
+/** The registry settings, exiting with `invalid_flags` when they are unusable. */
+function registrySettings(args, ci) {
+  try {
+    return registry.resolveRegistry(args);
+  } catch (err) {
+    fail(ci, "invalid_flags", err.message);
+  }
+}
+
+/** Print the PR or commit (or JSON in CI) once the change is submitted. */
+function done(ci, target, submitted, result) {
+  if (ci) {
+    console.log(JSON.stringify({
+      ok: true,
+      registry: target.settings.label,
+      backend: target.settings.backend,
+      pr_url: submitted.url,
+      commit: submitted.commit,
+      ...result,
+    }));
+  } else if (submitted.url) {
+    console.log(`  \x1b[32m✔ Pull request created!\x1b[0m`);
+    console.log(`  ${submitted.url}\n`);
+  } else {
+    console.log(`  \x1b[32m✔ Committed ${submitted.commit.slice(0, 7)} to ${target.settings.label}\x1b[0m\n`);
+  }
+}
+
+/**
+ * `nexus-plugin deprecate <id>` — set the entry's status to deprecated,
+ * recording why and (optionally) which plugin replaces it.
+ */
+async function deprecate(args = {}) {
+  const ci = !isInteractive();
+  const log = ci ? () => {} : (msg) => console.log(msg);
+  const step = registry.stepper(log);
+
+  log("\n  \x1b[1mnexus-plugin deprecate\x1b[0m — Deprecate a registry plugin\n");
+  const id = pluginIdArg(args, ci, "deprecate");
+  const settings = registrySettings(args, ci);
+  let reason = optionalText(args, "reason");
+  let replacement = optionalText(args, "replacement");
+
+  if (ci && !reason) fail(ci, "missing_flags", "--reason is required in non-interactive mode");
+  if (!ci && !reason) {
+    const rl = createInterface();
+    try {
+      reason = await ask(rl, "Why is this plugin deprecated?");
+      if (!replacement) replacement = (await ask(rl, "Replacement plugin id (optional)")) || null;
+    } finally {
+      rl.close();
+    }
+    if (!reason) fail(ci, "missing_flags", "A deprecation reason is required");
+  }
+  if (!singleLine(reason)) fail(ci, "invalid_flags", "--reason must be a single line of text");
+  if (replacement && !registry.isValidPluginId(replacement)) {
+    fail(ci, "invalid_flags", `--replacement ${JSON.stringify(replacement)} is not a valid plugin id`);
+  }
+  if (replacement === id) fail(ci, "invalid_flags", "A plugin cannot replace itself");
+
+  const target = await registry.connect(settings, { ci, log, step });
+
+  step("Checking registry...");
+  const existing = await target.fetchEntry(id);
+  if (!existing.exists) fail(ci, "not_found", `${registry.entryPath(id)} is not in ${settings.label}`);
+  if (replacement && !(await target.fetchEntry(replacement)).exists) {
+    fail(ci, "not_found", `Replacement ${replacement} is not in the registry`);
+  }
+  const current = existing.entry;
+  if (current.status === "deprecated" && current.deprecation_reason === reason && (current.replaced_by || null) === replacement) {
+    fail(ci, "already_deprecated", `${id} is already deprecated for this reason`);
+  }
+
+  const entry = mergeEntry(current, {
+    status: "deprecated",
+    deprecated_at: current.status === "deprecated" && current.deprecated_at ? current.deprecated_at : new Date().toISOString(),
+    deprecation_reason: reason,
+    replaced_by: replacement || undefined,
+  });
+  // Only what this change introduces: older entries may predate fields publish now requires
+  const known = new Set(checkEntry(current));
+  const problems = checkEntry(entry).filter((p) => !known.has(p));
+  if (problems.length > 0) fail(ci, "invalid_entry", `The deprecated entry would be invalid: ${problems.join("; ")}`);
+  const yamlContent = formatEntry(entry);
+
+  const name = typeof current.name === "string" ? current.name : id;
+  if (!ci) {
+    console.log("  \x1b[1mRegistry entry:\x1b[0m\n");
+    for (const line of yamlContent.split("\n")) {
+      if (line) console.log(`    ${line}`);
+    }
+    console.log("");
+    const rl = createInterface();
+    let go;
+    try {
+      go = await confirm(rl, settings.backend === "local" ? `Commit the deprecation of ${name}?` : `Open a PR deprecating ${name}?`, true);
+    } finally {
+      rl.close();
+    }
+    if (!go) fail(ci, "cancelled", "Cancelled");
+    console.log("");
+  }
+
+  const branch = registry.safeBranch(`deprecate-${id.replace(/\./g, "-")}`);
+  const submitted = await target.submit(
+    {
+      branch,
+      file: registry.entryPath(id),
+      content: yamlContent,
+      message: `Deprecate plugins/${id}`,
+      title: `Deprecate plugin: ${name}`,
+      body: [
+        `Deprecates **${name}** (\`${id}\`).`,
+        "",
+        `**Reason:** ${reason}`,
+        replacement ? `**Replaced by:** \`${replacement}\`` : null,
+        "",
+        `Submitted via \`nexus-plugin deprecate\``,
+      ].filter((line) => line !== null).join("\n"),
+      labels: LABELS.deprecate,
+    },
+    { log, step }
+  );
+
+  done(ci, target, submitted, { action: "deprecate", branch, id, reason, replaced_by: replacement });
+}
+
+/**
+ * `nexus-plugin unpublish <id>` — remove the entry from the registry.
+ */
+async function unpublish(args = {}) {
+  const ci = !isInteractive();
+  const log = ci ? () => {} : (msg) => console.log(msg);
+  const step = registry.stepper(log);
+
+  log("\n  \x1b[1mnexus-plugin unpublish\x1b[0m — Remove a plugin from the registry\n");
+  const id = pluginIdArg(args, ci, "unpublish");
+  const reason = optionalText(args, "reason");
+  if (reason && !singleLine(reason)) fail(ci, "invalid_flags", "--reason must be a single line of text");
+  const settings = registrySettings(args, ci);
+
+  const target = await registry.connect(settings, { ci, log, step });
+
+  step("Checking registry...");
+  const existing = await target.fetchEntry(id);
+  if (!existing.exists) fail(ci, "not_found", `${registry.entryPath(id)} is not in ${settings.label}`);
+  const name = typeof existing.entry.name === "string" ? existing.entry.name : id;
+
+  if (!ci) {
+    // Removal breaks installs that pin this id, so make the user type it
+    console.log(`  \x1b[33m⚠\x1b[0m This removes ${registry.entryPath(id)}; Nexus will no longer list or install ${name}.`);
+    console.log("  \x1b[2mConsider `nexus-plugin deprecate` to keep existing installs working.\x1b[0m\n");
+    const rl = createInterface();
+    let typed;
+    try {
+      typed = await ask(rl, `Type ${id} to confirm`);
+    } finally {
+      rl.close();
+    }
+    if (typed !== id) fail(ci, "cancelled", "Cancelled");
+    console.log("");
+  }
+
+  const branch = registry.safeBranch(`unpublish-${id.replace(/\./g, "-")}`);
+  const submitted = await target.submit(
+    {
+      branch,
+      file: registry.entryPath(id),
+      content: null,
+      message: `Remove plugins/${id}`,
+      title: `Unpublish plugin: ${name}`,
+      body: [
+        `Removes **${name}** (\`${id}\`) from the registry.`,
+        "",
+        reason ? `**Reason:** ${reason}` : null,
+        reason ? "" : null,
+        `Submitted via \`nexus-plugin unpublish\``,
+      ].filter((line) => line !== null).join("\n"),
+      labels: LABELS.unpublish,
+    },
+    { log, step }
+  );
+
+  done(ci, target, submitted, { action: "unpublish", branch, id, reason });
+}
+
+module.exports = { deprecate, unpublish };
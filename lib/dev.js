@@ -0,0 +1,253 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { spawn } = require("child_process");
+const { readManifest } = require("./manifest");
+const { watchPaths } = require("./watch");
+
+const DEFAULT_HOST_PORT = 9600;
+const TOKEN_TTL_SECS = 3600;
+
+// Mirrors the CSS custom properties the desktop app exposes to plugins
+const THEME_CSS = `:root {
+  --font-sans: ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, sans-serif;
+  --font-mono: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+  --color-nx-deep: #0b0d12;
+  --color-nx-surface: #141821;
+  --color-nx-raised: #1c212c;
+  --color-nx-border: #262c38;
+  --color-nx-border-accent: rgba(99, 179, 237, 0.35);
+  --color-nx-text: #e6e9ef;
+  --color-nx-text-secondary: #a3abb9;
+  --color-nx-text-muted: #6b7384;
+  --color-nx-accent: #63b3ed;
+  --color-nx-accent-muted: rgba(99, 179, 237, 0.12);
+  --color-nx-success: #48bb78;
+  --color-nx-warning: #ecc94b;
+  --color-nx-error: #f56565;
+  --color-nx-error-muted: rgba(245, 101, 101, 0.12);
+  --radius-card: 12px;
+  --radius-button: 8px;
+}
+`;
+
+/** Seed setting values from the manifest's declared defaults. */
+function defaultSettings(manifest) {
+  const values = {};
+  if (!Array.isArray(manifest.settings)) return values;
+  for (const setting of manifest.settings) {
+    if (!setting || typeof setting.key !== "string") continue;
+    values[setting.key] = setting.default !== undefined ? setting.default : null;
+  }
+  return values;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, obj) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(obj));
+}
+
+/**
+ * Create the stand-in Nexus host. Serves the subset of the Host API that
+ * scaffolded plugins call: token exchange, settings and the theme stylesheet.
+ */
+function createMockHost({ secret, settings, log = () => {} }) {
+  const tokens = new Map(); // access_token -> expires_at (ms)
+
+  function authorized(req) {
+    const header = req.headers.authorization || "";
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return false;
+    const expiresAt = tokens.get(match[1]);
+    return expiresAt != null && Date.now() < expiresAt;
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+
+    // The plugin UI is served from another origin and sends Authorization
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, OPTIONS");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (req.method === "POST" && url.pathname === "/api/v1/auth/token") {
+      let payload;
+      try {
+        payload = JSON.parse((await readBody(req)) || "{}");
+      } catch {
+        sendJson(res, 400, { error: "invalid JSON body" });
+        return;
+      }
+      if (payload.secret !== secret) {
+        sendJson(res, 401, { error: "invalid plugin secret" });
+        return;
+      }
+      const token = crypto.randomBytes(24).toString("hex");
+      tokens.set(token, Date.now() + TOKEN_TTL_SECS * 1000);
+      sendJson(res, 200, { access_token: token, token_type: "Bearer", expires_in: TOKEN_TTL_SECS });
+      return;
+    }
+
+    if (url.pathname === "/api/v1/theme.css" && req.method === "GET") {
+      res.writeHead(200, { "Content-Type": "text/css" });
+      res.end(THEME_CSS);
+      return;
+    }
+
+    if (url.pathname === "/api/v1/settings") {
+      if (!authorized(req)) {
+        sendJson(res, 401, { error: "missing or expired access token" });
+        return;
+      }
+      if (req.method === "GET") {
+        sendJson(res, 200, settings);
+        return;
+      }
+      if (req.method === "PUT" || req.method === "POST") {
+        let patch;
+        try {
+          patch = JSON.parse((await readBody(req)) || "{}");
+        } catch {
+          sendJson(res, 400, { error: "invalid JSON body" });
+          return;
+        }
+        if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+          sendJson(res, 400, { error: "settings body must be a JSON object" });
+          return;
+        }
+        Object.assign(settings, patch);
+        sendJson(res, 200, settings);
+        return;
+      }
+    }
+
+    sendJson(res, 404, { error: `not implemented by the dev host: ${req.method} ${url.pathname}` });
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res)
+      .catch((err) => sendJson(res, 500, { error: err.message }))
+      .finally(() => log(`${req.method} ${req.url} → ${res.statusCode}`));
+  });
+}
+
+async function dev(args = {}) {
+  const dir = path.resolve(args._ && args._[1] ? args._[1] : ".");
+  const manifest = readManifest(dir);
+
+  const hostPort = parseInt(args["host-port"], 10) || DEFAULT_HOST_PORT;
+  const pluginPort = parseInt(args.port, 10) || (manifest.ui && manifest.ui.port) || 80;
+  const entry = path.resolve(dir, args.entry || path.join("src", "server.js"));
+  const watch = !args["no-watch"];
+
+  if (!fs.existsSync(entry)) {
+    throw new Error(`Plugin entry point not found: ${path.relative(process.cwd(), entry) || entry}`);
+  }
+
+  const secret = crypto.randomBytes(16).toString("hex");
+  const settings = defaultSettings(manifest);
+  const hostUrl = `http://127.0.0.1:${hostPort}`;
+
+  const host = createMockHost({
+    secret,
+    settings,
+    log: (msg) => console.log(`  \x1b[2m[host]\x1b[0m ${msg}`),
+  });
+
+  await new Promise((resolve, reject) => {
+    host.once("error", reject);
+    host.listen(hostPort, "127.0.0.1", resolve);
+  });
+
+  console.log(`\n  \x1b[1mnexus-plugin dev\x1b[0m — ${manifest.name || manifest.id || "plugin"}\n`);
+  console.log(`  Mock host:  ${hostUrl}`);
+  console.log(`  Plugin UI:  http://localhost:${pluginPort}${(manifest.ui && manifest.ui.path) || "/"}`);
+  console.log(`  Settings:   ${Object.keys(settings).length} seeded from plugin.json`);
+  if (watch) console.log(`  Watching:   ${path.relative(process.cwd(), path.join(dir, "src")) || "src"}/`);
+  console.log("");
+
+  const env = {
+    ...process.env,
+    PORT: String(pluginPort),
+    NEXUS_PLUGIN_SECRET: secret,
+    NEXUS_API_URL: hostUrl,
+    NEXUS_HOST_URL: hostUrl,
+  };
+
+  let child = null;
+  let stopping = false;
+
+  function start() {
+    child = spawn(process.execPath, [entry], { cwd: path.dirname(entry), env, stdio: "inherit" });
+    const proc = child;
+    proc.on("exit", (code, signal) => {
+      if (proc !== child || stopping) return;
+      child = null;
+      console.log(`  \x1b[33m⚠\x1b[0m Plugin exited (${signal || `code ${code}`}), waiting for changes...`);
+    });
+  }
+
+  function stopChild() {
+    return new Promise((resolve) => {
+      if (!child || child.exitCode !== null || child.signalCode !== null) {
+        child = null;
+        resolve();
+        return;
+      }
+      const proc = child;
+      child = null;
+      const timer = setTimeout(() => proc.kill("SIGKILL"), 3000);
+      proc.once("exit", () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      proc.kill("SIGTERM");
+    });
+  }
+
+  start();
+
+  let closeWatch = () => {};
+  if (watch) {
+    let restarting = Promise.resolve();
+    closeWatch = watchPaths([path.join(dir, "src")], (changed) => {
+      restarting = restarting.then(async () => {
+        const rel = changed.map((f) => path.relative(dir, f)).join(", ");
+        console.log(`\n  \x1b[36m↻\x1b[0m Restarting (${rel})\n`);
+        await stopChild();
+        if (!stopping) start();
+      });
+    });
+  }
+
+  await new Promise((resolve) => {
+    const shutdown = async () => {
+      if (stopping) return;
+      stopping = true;
+      closeWatch();
+      await stopChild();
+      host.close(() => resolve());
+    };
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
+  });
+}
+
+module.exports = { dev, createMockHost, defaultSettings };
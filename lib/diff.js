@@ -0,0 +1,92 @@
+"use strict";
+
+const { joinPath } = require("./schema");
+
+/**
+ * Line diff via longest common subsequence. Inputs are small (manifests,
+ * registry entries), so the O(n·m) table is fine.
+ * Returns [{ op: " "|"-"|"+", line }].
+ */
+function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  const n = a.length;
+  const m = b.length;
+
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      out.push({ op: " ", line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ op: "-", line: a[i++] });
+    } else {
+      out.push({ op: "+", line: b[j++] });
+    }
+  }
+  while (i < n) out.push({ op: "-", line: a[i++] });
+  while (j < m) out.push({ op: "+", line: b[j++] });
+  return out;
+}
+
+/**
+ * Render a unified-style diff with `context` lines around each change.
+ * Returns an array of lines (ANSI-colored unless `color` is false).
+ */
+function formatDiff(before, after, { context = 2, color = true } = {}) {
+  const ops = diffLines(before, after);
+  const keep = new Array(ops.length).fill(false);
+  ops.forEach((o, idx) => {
+    if (o.op === " ") return;
+    for (let k = Math.max(0, idx - context); k <= Math.min(ops.length - 1, idx + context); k++) keep[k] = true;
+  });
+
+  const lines = [];
+  let skipped = false;
+  ops.forEach((o, idx) => {
+    if (!keep[idx]) {
+      skipped = true;
+      return;
+    }
+    if (skipped && lines.length > 0) lines.push(color ? "\x1b[2m...\x1b[0m" : "...");
+    skipped = false;
+    const text = `${o.op} ${o.line}`;
+    if (!color || o.op === " ") lines.push(text);
+    else lines.push(o.op === "-" ? `\x1b[31m${text}\x1b[0m` : `\x1b[32m${text}\x1b[0m`);
+  });
+  return lines;
+}
+
+function isScalarList(value) {
+  return Array.isArray(value) && value.every((v) => v === null || typeof v !== "object");
+}
+
+/**
+ * Field-level differences between two parsed JSON values, in the path
+ * notation validate uses (`mcp.tools[0].name`). Lists of scalars such as
+ * `permissions` are compared whole. A side is undefined when the field is
+ * missing there. Returns [{ path, before, after }].
+ */
+function diffValues(before, after, base = "") {
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  const bothObjects = [before, after].every((v) => v && typeof v === "object" && !Array.isArray(v));
+  const bothLists = Array.isArray(before) && Array.isArray(after) && !(isScalarList(before) && isScalarList(after));
+  if (!bothObjects && !bothLists) return [{ path: base, before, after }];
+
+  const keys = bothLists
+    ? Array.from({ length: Math.max(before.length, after.length) }, (_, i) => i)
+    : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return keys.flatMap((k) => diffValues(before[k], after[k], joinPath(base, k)));
+}
+
+module.exports = { diffLines, formatDiff, diffValues };
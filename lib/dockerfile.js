@@ -0,0 +1,97 @@
+"use strict";
+
+// ── Dockerfile parsing ─────────────────────────────────────────
+//
+// Enough of the Dockerfile grammar to check a plugin image against its
+// manifest: instructions, line continuations, comments, the escape
+// directive, and JSON-array (exec form) arguments.
+
+/**
+ * Parse Dockerfile text into instructions.
+ * Returns [{ instruction: "FROM", args: "node:20-alpine", line: 1 }, ...]
+ * where `line` is where the instruction starts (1-based).
+ */
+function parseDockerfile(text) {
+  const lines = text.split(/\r?\n/);
+  let escape = "\\";
+
+  // Parser directives must come before anything else
+  for (const line of lines) {
+    const m = line.match(/^#\s*([a-zA-Z]+)\s*=\s*(\S+)\s*$/);
+    if (!m) break;
+    if (m[1].toLowerCase() === "escape" && (m[2] === "`" || m[2] === "\\")) escape = m[2];
+  }
+
+  const instructions = [];
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    let line = lines[i];
+    const trimmed = line.trim();
+
+    if (!current) {
+      if (trimmed === "" || trimmed.startsWith("#")) continue;
+      const m = trimmed.match(/^([A-Za-z]+)(?:\s+([\s\S]*))?$/);
+      if (!m) continue;
+      current = { instruction: m[1].toUpperCase(), args: "", line: i + 1 };
+      line = m[2] || "";
+    } else if (trimmed.startsWith("#")) {
+      // Comments inside a continued instruction are dropped
+      continue;
+    }
+
+    const continued = line.trimEnd().endsWith(escape);
+    const content = continued ? line.trimEnd().slice(0, -1) : line;
+    current.args = current.args ? `${current.args} ${content.trim()}` : content.trim();
+
+    if (!continued) {
+      instructions.push(current);
+      current = null;
+    }
+  }
+  if (current) instructions.push(current);
+
+  return instructions;
+}
+
+/** Split instruction arguments, honouring the JSON exec form. */
+function splitArgs(args) {
+  const trimmed = args.trim();
+  if (trimmed.startsWith("[")) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (Array.isArray(parsed) && parsed.every((p) => typeof p === "string")) return parsed;
+    } catch {}
+  }
+  return trimmed.split(/\s+/).filter(Boolean);
+}
+
+/** Separate leading `--flag[=value]` options from the rest of the arguments. */
+function splitFlags(args) {
+  const flags = {};
+  let rest = args.trim();
+  let m;
+  while ((m = rest.match(/^--([a-z-]+)(?:=(\S*))?\s*/))) {
+    flags[m[1]] = m[2] !== undefined ? m[2] : true;
+    rest = rest.slice(m[0].length);
+  }
+  return { flags, rest };
+}
+
+/**
+ * Instructions of the final build stage (from the last FROM onwards), plus
+ * the names of every earlier stage.
+ */
+function finalStage(instructions) {
+  const stageNames = new Set();
+  let start = 0;
+  instructions.forEach((ins, i) => {
+    if (ins.instruction !== "FROM") return;
+    start = i;
+    const m = ins.args.match(/\s+AS\s+(\S+)\s*$/i);
+    if (m) stageNames.add(m[1].toLowerCase());
+  });
+  return { stage: instructions.slice(start), stageNames };
+}
+
+module.exports = { parseDockerfile, splitArgs, splitFlags, finalStage };
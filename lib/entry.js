@@ -0,0 +1,150 @@
+"use strict";
+
+const yaml = require("./yaml");
+const { validateInstance } = require("./schema");
+
+// ── Registry entries ───────────────────────────────────────────
+//
+// A registry entry is plugins/<id>.yaml in the registry repository. publish
+// owns the fields in ENTRY_SCHEMA; anything else (maintainer-added fields
+// such as `featured` or notes) is carried over untouched on update.
+
+const CATEGORIES = [
+  "productivity",
+  "developer-tools",
+  "monitoring",
+  "automation",
+  "fun",
+  "utilities",
+  "ai",
+  "ai-tools",
+  "security",
+];
+
+const ENTRY_STATUSES = ["active", "deprecated"];
+
+// Written double-quoted, as the registry always has
+const QUOTED_FIELDS = ["image_digest", "version"];
+
+// Only meaningful while status is "deprecated"
+const DEPRECATION_FIELDS = ["deprecated_at", "deprecation_reason", "replaced_by"];
+
+// Written by publish when the entry is signed (see signing.js); all or none
+const SIGNATURE_FIELDS = ["key_fingerprint", "manifest_signature", "public_key", "signature"];
+
+const HTTP_URL = "^https?://\\S+$";
+const TIMESTAMP = "^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(?:\\.\\d+)?(?:Z|[+-]\\d{2}:\\d{2})$";
+const PLUGIN_ID = "^[A-Za-z0-9]+(?:[._-][A-Za-z0-9]+)*$";
+const ED25519_SIGNATURE = "^[A-Za-z0-9+/]{86}==$";
+
+const ENTRY_SCHEMA = {
+  type: "object",
+  required: [
+    "author", "categories", "created_at", "description", "homepage", "id", "image",
+    "image_digest", "license", "manifest_sha256", "manifest_url", "name", "status", "version",
+  ],
+  properties: {
+    author: { type: "string", minLength: 1, maxLength: 100 },
+    author_url: { type: "string", pattern: HTTP_URL },
+    categories: { type: "array", minItems: 1, items: { type: "string", enum: CATEGORIES } },
+    created_at: { type: "string", pattern: TIMESTAMP },
+    deprecated_at: { type: "string", pattern: TIMESTAMP },
+    deprecation_reason: { type: "string", minLength: 1, maxLength: 500 },
+    description: { type: "string", minLength: 1, maxLength: 2000 },
+    homepage: { type: "string", pattern: HTTP_URL },
+    id: { type: "string", pattern: PLUGIN_ID, maxLength: 100 },
+    image: { type: "string", minLength: 1, maxLength: 200 },
+    image_digest: { type: "string", pattern: "^sha256:[0-9a-f]{64}$" },
+    key_fingerprint: { type: "string", pattern: "^sha256:[0-9a-f]{64}$" },
+    license: { type: "string", minLength: 1 },
+    manifest_sha256: { type: "string", pattern: "^[0-9a-f]{64}$" },
+    manifest_signature: { type: "string", pattern: ED25519_SIGNATURE },
+    manifest_url: { type: "string", pattern: HTTP_URL },
+    name: { type: "string", minLength: 1, maxLength: 100 },
+    public_key: { type: "string", pattern: "^[A-Za-z0-9+/]+={0,2}$", maxLength: 200 },
+    replaced_by: { type: "string", pattern: PLUGIN_ID, maxLength: 100 },
+    signature: { type: "string", pattern: ED25519_SIGNATURE },
+    status: { type: "string", enum: ENTRY_STATUSES },
+    version: { type: "string", minLength: 1, maxLength: 50 },
+  },
+};
+
+/**
+ * Parse an entry's YAML. Throws a YamlError on malformed YAML and an
+ * Error when the document is not a mapping.
+ */
+function parseEntry(text) {
+  const entry = yaml.parse(text);
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    throw new Error("registry entry must be a YAML mapping");
+  }
+  return entry;
+}
+
+/** Serialize an entry (key order is kept). */
+function formatEntry(entry) {
+  return yaml.stringify(entry, { quoteKeys: QUOTED_FIELDS });
+}
+
+/**
+ * Overlay `fields` on an existing entry, keeping its key order and every
+ * field publish does not manage. New keys go in alphabetical position
+ * when the existing keys are sorted, and at the end otherwise. Fields
+ * set to undefined are removed.
+ */
+function mergeEntry(existing, fields) {
+  if (!existing) return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+  const keys = Object.keys(existing);
+  const sorted = keys.every((k, i) => i === 0 || keys[i - 1] <= k);
+  const order = [...keys];
+  for (const key of Object.keys(fields)) {
+    if (order.includes(key)) continue;
+    const at = sorted ? order.findIndex((k) => k > key) : -1;
+    if (at === -1) order.push(key);
+    else order.splice(at, 0, key);
+  }
+  const merged = {};
+  for (const key of order) {
+    const value = key in fields ? fields[key] : existing[key];
+    if (value !== undefined) merged[key] = value;
+  }
+  return merged;
+}
+
+/**
+ * Check an entry before it is committed: the schema, and that its YAML
+ * reads back to the same value. Returns a list of problems.
+ */
+function checkEntry(entry) {
+  const problems = validateInstance(ENTRY_SCHEMA, entry).map((e) => `${e.path} ${e.message}`);
+  if (entry.status !== "deprecated") {
+    for (const key of DEPRECATION_FIELDS) {
+      if (key in entry) problems.push(`${key} is only allowed when status is "deprecated"`);
+    }
+  }
+  const signed = SIGNATURE_FIELDS.filter((key) => key in entry);
+  if (signed.length > 0 && signed.length < SIGNATURE_FIELDS.length) {
+    problems.push(`${SIGNATURE_FIELDS.join(", ")} must be set together`);
+  }
+  try {
+    const text = formatEntry(entry);
+    if (JSON.stringify(parseEntry(text)) !== JSON.stringify(entry)) {
+      problems.push("entry does not survive a YAML round trip");
+    }
+  } catch (err) {
+    problems.push(`entry cannot be written as YAML: ${err.message}`);
+  }
+  return problems;
+}
+
+module.exports = {
+  CATEGORIES,
+  ENTRY_STATUSES,
+  ENTRY_SCHEMA,
+  DEPRECATION_FIELDS,
+  SIGNATURE_FIELDS,
+  parseEntry,
+  formatEntry,
+  mergeEntry,
+  checkEntry,
+};
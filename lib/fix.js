@@ -0,0 +1,165 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { formatDiff } = require("./diff");
+const { BIDI_CHARS, TOOL_NAME_RE, TRIMMED_FIELDS } = require("./validate");
+
+const BIDI_GLOBAL = new RegExp(BIDI_CHARS.source, "g");
+const BIDI_FIELDS = ["name", "description", "author"];
+const DEFAULT_LICENSE = "MIT";
+
+/** Rebuild an object with `key` inserted right after `afterKey` (or last). */
+function insertAfter(obj, afterKey, key, value) {
+  if (!(afterKey in obj)) return { ...obj, [key]: value };
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    out[k] = v;
+    if (k === afterKey) out[key] = value;
+  }
+  return out;
+}
+
+function dedupe(list) {
+  return list.filter((v, i) => list.indexOf(v) === i);
+}
+
+/**
+ * Apply safe, mechanical corrections to a parsed manifest.
+ * Returns { manifest, changes: [{ path, message }] }; the input is not mutated.
+ */
+function fixManifest(input) {
+  let manifest = JSON.parse(JSON.stringify(input));
+  const changes = [];
+
+  // Before trimming, so whitespace next to a removed character goes too
+  for (const field of BIDI_FIELDS) {
+    const value = manifest[field];
+    if (typeof value === "string" && BIDI_CHARS.test(value)) {
+      manifest[field] = value.replace(BIDI_GLOBAL, "");
+      changes.push({ path: field, message: "removed bidirectional override characters" });
+    }
+  }
+
+  for (const field of TRIMMED_FIELDS) {
+    const value = manifest[field];
+    if (typeof value === "string" && value !== value.trim()) {
+      manifest[field] = value.trim();
+      changes.push({ path: field, message: "trimmed surrounding whitespace" });
+    }
+  }
+
+  if (manifest.license == null || manifest.license === "") {
+    const after = "author" in manifest ? "author" : "description";
+    if ("license" in manifest) manifest.license = DEFAULT_LICENSE;
+    else manifest = insertAfter(manifest, after, "license", DEFAULT_LICENSE);
+    changes.push({ path: "license", message: `set to "${DEFAULT_LICENSE}"` });
+  }
+
+  if (Array.isArray(manifest.permissions)) {
+    const unique = dedupe(manifest.permissions);
+    if (unique.length !== manifest.permissions.length) {
+      manifest.permissions = unique;
+      changes.push({ path: "permissions", message: "removed duplicate permissions" });
+    }
+  }
+
+  if (manifest.mcp && Array.isArray(manifest.mcp.tools)) {
+    const names = new Set(manifest.mcp.tools.map((t) => t && t.name));
+    manifest.mcp.tools.forEach((tool, i) => {
+      if (!tool || typeof tool !== "object") return;
+      const at = `mcp.tools[${i}]`;
+
+      if (typeof tool.name === "string" && !TOOL_NAME_RE.test(tool.name)) {
+        const renamed = tool.name.trim().toLowerCase().replace(/[-\s]+/g, "_");
+        if (TOOL_NAME_RE.test(renamed) && !names.has(renamed)) {
+          changes.push({
+            path: `${at}.name`,
+            message: `renamed "${tool.name}" to "${renamed}" (update its handler in src/)`,
+          });
+          names.delete(tool.name);
+          names.add(renamed);
+          tool.name = renamed;
+        }
+      }
+
+      if (typeof tool.description === "string") {
+        const cleaned = tool.description.replace(BIDI_GLOBAL, "").trim();
+        if (cleaned !== tool.description) {
+          tool.description = cleaned;
+          changes.push({ path: `${at}.description`, message: "removed whitespace/bidi override characters" });
+        }
+      }
+
+      if (Array.isArray(tool.permissions)) {
+        const unique = dedupe(tool.permissions);
+        if (unique.length !== tool.permissions.length) {
+          tool.permissions = unique;
+          changes.push({ path: `${at}.permissions`, message: "removed duplicate permissions" });
+        }
+      }
+    });
+  }
+
+  if (manifest.settings === undefined) {
+    manifest.settings = [];
+    changes.push({ path: "settings", message: "added empty settings array" });
+  }
+
+  return { manifest, changes };
+}
+
+/**
+ * `validate --fix`: rewrite plugin.json with fixManifest's corrections,
+ * printing each change and a diff. With `dryRun` nothing is written.
+ * Progress goes to stderr when stdout carries machine-readable output.
+ * Returns the list of changes.
+ */
+function fix(target, opts = {}) {
+  const out = opts.quiet ? (msg) => console.error(msg) : (msg) => console.log(msg);
+
+  const dir = path.resolve(target);
+  let manifestPath;
+  try {
+    manifestPath = fs.statSync(dir).isDirectory() ? path.join(dir, "plugin.json") : dir;
+  } catch {
+    manifestPath = path.join(dir, "plugin.json");
+  }
+
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`Cannot fix: ${path.relative(process.cwd(), manifestPath) || manifestPath} not found`);
+  }
+  const raw = fs.readFileSync(manifestPath, "utf8");
+  let manifest;
+  try {
+    manifest = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Cannot fix: plugin.json is not valid JSON (${err.message})`);
+  }
+  if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) {
+    throw new Error("Cannot fix: plugin.json must contain a JSON object");
+  }
+
+  const { manifest: fixed, changes } = fixManifest(manifest);
+  const label = path.relative(process.cwd(), manifestPath) || manifestPath;
+
+  if (changes.length === 0) {
+    out(`\n  Nothing to fix in ${label}`);
+    return changes;
+  }
+
+  const next = JSON.stringify(fixed, null, 2) + "\n";
+  out(`\n  ${opts.dryRun ? "Would fix" : "Fixing"} ${label}\n`);
+  for (const c of changes) out(`  \x1b[36m⚒\x1b[0m ${c.path}: ${c.message}`);
+  out("");
+  for (const line of formatDiff(raw, next, { color: !opts.quiet })) out(`    ${line}`);
+
+  if (opts.dryRun) {
+    out("\n  \x1b[2mDry run — plugin.json not modified\x1b[0m");
+  } else {
+    fs.writeFileSync(manifestPath, next);
+  }
+  return changes;
+}
+
+module.exports = { fix, fixManifest };
@@ -0,0 +1,27 @@
+"use strict";
+
+const { execFileSync } = require("child_process");
+
+// ── git ────────────────────────────────────────────────────────
+//
+// git is always given an argv array, never a shell.
+
+function git(cwd, argv) {
+  return execFileSync("git", argv, { cwd, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"], timeout: 60000 }).trim();
+}
+
+/** Top level of the git work tree containing `dir`, or null outside one. */
+function gitRoot(dir) {
+  try {
+    return git(dir, ["rev-parse", "--show-toplevel"]);
+  } catch {
+    return null;
+  }
+}
+
+/** git's own explanation of a failed `git()` call. */
+function gitErrorDetail(err) {
+  return (err.stderr || err.message).toString().trim();
+}
+
+module.exports = { git, gitRoot, gitErrorDetail };
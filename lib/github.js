@@ -0,0 +1,227 @@
+"use strict";
+
+const { execFileSync } = require("child_process");
+
+// ── GitHub REST client ─────────────────────────────────────────
+//
+// Just the endpoints the registry commands need, on top of Node's fetch.
+// The base URL is configurable (GITHUB_API_URL, or --github-api-url) so the
+// flow can run against GitHub Enterprise or a local fake server.
+
+const DEFAULT_API_URL = "https://api.github.com";
+const USER_AGENT = "nexus-plugin-cli";
+const REQUEST_TIMEOUT_MS = 30000;
+
+class GitHubError extends Error {
+  constructor(method, route, status, body) {
+    const detail = body && body.message ? body.message : `HTTP ${status}`;
+    super(`GitHub API ${method} ${route} failed: ${detail}`);
+    this.name = "GitHubError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Find a token: GITHUB_TOKEN, then GH_TOKEN, then `gh auth token` when the
+ * gh CLI is installed and logged in. Returns null when none is available.
+ */
+function resolveToken(env = process.env) {
+  if (env.GITHUB_TOKEN) return env.GITHUB_TOKEN.trim();
+  if (env.GH_TOKEN) return env.GH_TOKEN.trim();
+  try {
+    const token = execFileSync("gh", ["auth", "token"], {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+      timeout: 10000,
+    }).trim();
+    return token || null;
+  } catch {
+    return null;
+  }
+}
+
+/** Encode a repository file path for a URL, keeping its slashes. */
+function encodePath(p) {
+  return p.split("/").map(encodeURIComponent).join("/");
+}
+
+/**
+ * Create a client. `apiUrl` defaults to GITHUB_API_URL or api.github.com.
+ * Every method rejects with a GitHubError on a non-2xx response, except
+ * lookups documented as returning null on 404.
+ */
+function createGitHub({ token, apiUrl } = {}) {
+  const base = (apiUrl || process.env.GITHUB_API_URL || DEFAULT_API_URL).replace(/\/+$/, "");
+
+  // `route` is relative to the API base, or an absolute URL
+  async function request(method, route, body) {
+    const headers = {
+      Accept: "application/vnd.github+json",
+      "User-Agent": USER_AGENT,
+      "X-GitHub-Api-Version": "2022-11-28",
+    };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+
+    const url = /^https?:\/\//.test(route) ? route : `${base}${route}`;
+    const res = await fetch(url, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    const text = await res.text();
+    let data = null;
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch {
+        data = { message: text.slice(0, 200) };
+      }
+    }
+    if (!res.ok) throw new GitHubError(method, route, res.status, data);
+    return data;
+  }
+
+  // GET that resolves to null instead of failing when the resource is missing
+  async function find(route) {
+    try {
+      return await request("GET", route);
+    } catch (err) {
+      if (err instanceof GitHubError && err.status === 404) return null;
+      throw err;
+    }
+  }
+
+  // GraphQL lives at /graphql on github.com and /api/graphql on Enterprise
+  const graphqlUrl = /\/api\/v3$/.test(base) ? base.replace(/\/v3$/, "/graphql") : `${base}/graphql`;
+
+  async function graphql(query, variables) {
+    const data = await request("POST", graphqlUrl, { query, variables });
+    if (data && Array.isArray(data.errors) && data.errors.length > 0) {
+      throw new GitHubError("POST", "/graphql", 200, { message: data.errors.map((e) => e.message).join("; ") });
+    }
+    return data && data.data;
+  }
+
+  const repo = (owner, name) => `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(name)}`;
+
+  return {
+    apiUrl: base,
+    request,
+
+    /** The authenticated user's login. */
+    async getLogin() {
+      const user = await request("GET", "/user");
+      return user.login;
+    },
+
+    /** Repository metadata, or null if it does not exist. */
+    getRepo(owner, name) {
+      return find(repo(owner, name));
+    },
+
+    /**
+     * Fork owner/name into the authenticated account (a no-op when the fork
+     * exists) and wait until it is reachable. Returns the fork's metadata;
+     * rejects when GitHub has not finished creating it after `attempts`.
+     */
+    async fork(owner, name, { attempts = 10, delayMs = 1500 } = {}) {
+      const created = await request("POST", `${repo(owner, name)}/forks`, {});
+      const [forkOwner, forkName] = created.full_name.split("/");
+      for (let i = 0; i < attempts; i++) {
+        const found = await find(repo(forkOwner, forkName));
+        if (found) return found;
+        await new Promise((r) => setTimeout(r, delayMs));
+      }
+      throw new GitHubError("GET", repo(forkOwner, forkName), 404, {
+        message: `fork ${created.full_name} is not ready yet; GitHub may still be creating it, try again in a minute`,
+      });
+    },
+
+    /** Bring a fork's branch up to date with its upstream. */
+    syncFork(owner, name, branch = "main") {
+      return request("POST", `${repo(owner, name)}/merge-upstream`, { branch });
+    },
+
+    /** Commit SHA a branch points to. */
+    async getBranchSha(owner, name, branch) {
+      const ref = await request("GET", `${repo(owner, name)}/git/ref/heads/${encodePath(branch)}`);
+      return ref.object.sha;
+    },
+
+    createBranch(owner, name, branch, sha) {
+      return request("POST", `${repo(owner, name)}/git/refs`, { ref: `refs/heads/${branch}`, sha });
+    },
+
+    /** Delete a branch. Resolves false when it did not exist. */
+    async deleteBranch(owner, name, branch) {
+      try {
+        await request("DELETE", `${repo(owner, name)}/git/refs/heads/${encodePath(branch)}`);
+        return true;
+      } catch (err) {
+        if (err instanceof GitHubError && (err.status === 404 || err.status === 422)) return false;
+        throw err;
+      }
+    },
+
+    /**
+     * A file's decoded content and blob SHA, or null if it does not exist.
+     * Returns { content, sha }.
+     */
+    async getFile(owner, name, filePath, ref) {
+      const query = ref ? `?ref=${encodeURIComponent(ref)}` : "";
+      const file = await find(`${repo(owner, name)}/contents/${encodePath(filePath)}${query}`);
+      if (!file || Array.isArray(file) || typeof file.content !== "string") return null;
+      return { content: Buffer.from(file.content, "base64").toString("utf8"), sha: file.sha };
+    },
+
+    /**
+     * Entries of a repository directory ({ name, path, type, sha,
+     * download_url }), or null if it does not exist.
+     */
+    async listDirectory(owner, name, dirPath, ref) {
+      const query = ref ? `?ref=${encodeURIComponent(ref)}` : "";
+      const list = await find(`${repo(owner, name)}/contents/${encodePath(dirPath)}${query}`);
+      return Array.isArray(list) ? list : null;
+    },
+
+    /** Create or update a file on a branch (`sha` is required to update). */
+    putFile(owner, name, filePath, { content, message, branch, sha }) {
+      const body = { message, content: Buffer.from(content).toString("base64"), branch };
+      if (sha) body.sha = sha;
+      return request("PUT", `${repo(owner, name)}/contents/${encodePath(filePath)}`, body);
+    },
+
+    /** Delete a file on a branch (`sha` is the blob being removed). */
+    deleteFile(owner, name, filePath, { message, branch, sha }) {
+      return request("DELETE", `${repo(owner, name)}/contents/${encodePath(filePath)}`, { message, branch, sha });
+    },
+
+    /** Open a pull request. `head` is "user:branch" for cross-repo PRs. */
+    createPullRequest(owner, name, { title, body, head, base = "main" }) {
+      return request("POST", `${repo(owner, name)}/pulls`, { title, body, head, base });
+    },
+
+    /** Add labels to an issue or pull request (needs triage access to the repository). */
+    addLabels(owner, name, number, labels) {
+      return request("POST", `${repo(owner, name)}/issues/${number}/labels`, { labels });
+    },
+
+    /** Squash-merge a pull request now. */
+    mergePullRequest(owner, name, number) {
+      return request("PUT", `${repo(owner, name)}/pulls/${number}/merge`, { merge_method: "squash" });
+    },
+
+    /** Turn on squash auto-merge for a pull request (by its node_id). */
+    enableAutoMerge(pullRequestId) {
+      return graphql(
+        "mutation($id: ID!) { enablePullRequestAutoMerge(input: { pullRequestId: $id, mergeMethod: SQUASH }) { clientMutationId } }",
+        { id: pullRequestId }
+      );
+    },
+  };
+}
+
+module.exports = { createGitHub, resolveToken, GitHubError, DEFAULT_API_URL };
@@ -0,0 +1,62 @@
+"use strict";
+
+const DEFAULT_REGISTRY = "docker.io";
+
+// The distribution reference grammar: [host[:port]/]path[:tag][@digest]
+const HOST = String.raw`(?:[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?)*(?::[0-9]+)?/)`;
+const PATH_COMPONENT = String.raw`[a-z0-9]+(?:(?:[._]|__|-+)[a-z0-9]+)*`;
+const REFERENCE_RE = new RegExp(
+  String.raw`^${HOST}?${PATH_COMPONENT}(?:/${PATH_COMPONENT})*(?::[\w][\w.-]{0,127})?(?:@sha256:[0-9a-f]{64})?$`
+);
+
+/**
+ * Split a Docker image reference into its parts.
+ *
+ *   ghcr.io/me/nexus-plugin-x:0.1.0  → { registry: "ghcr.io", repository: "me/nexus-plugin-x", tag: "0.1.0" }
+ *   redis                            → { registry: "docker.io", repository: "library/redis", tag: null }
+ *
+ * Returns null for references that cannot be parsed.
+ */
+function parseImageRef(ref) {
+  if (typeof ref !== "string" || ref.length === 0 || /\s/.test(ref)) return null;
+
+  let rest = ref;
+  let digest = null;
+  const at = rest.indexOf("@");
+  if (at !== -1) {
+    digest = rest.slice(at + 1);
+    rest = rest.slice(0, at);
+  }
+
+  let tag = null;
+  const lastSlash = rest.lastIndexOf("/");
+  const colon = rest.lastIndexOf(":");
+  if (colon > lastSlash) {
+    tag = rest.slice(colon + 1);
+    rest = rest.slice(0, colon);
+  }
+
+  let registry = DEFAULT_REGISTRY;
+  let repository = rest;
+  const firstSlash = rest.indexOf("/");
+  if (firstSlash !== -1) {
+    const first = rest.slice(0, firstSlash);
+    if (first.includes(".") || first.includes(":") || first === "localhost") {
+      registry = first;
+      repository = rest.slice(firstSlash + 1);
+    }
+  }
+  if (registry === DEFAULT_REGISTRY && !repository.includes("/")) {
+    repository = `library/${repository}`;
+  }
+
+  if (!repository || (tag !== null && tag.length === 0)) return null;
+  return { registry, repository, tag, digest };
+}
+
+/** Strict check against the reference grammar (parseImageRef is lenient). */
+function isValidImageRef(ref) {
+  return typeof ref === "string" && ref.length <= 255 && REFERENCE_RE.test(ref);
+}
+
+module.exports = { DEFAULT_REGISTRY, parseImageRef, isValidImageRef };
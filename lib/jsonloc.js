@@ -0,0 +1,145 @@
+"use strict";
+
+const { joinPath } = require("./schema");
+
+/**
+ * Map every value in a JSON document to its source position.
+ *
+ * Returns a Map from manifest path (`mcp.tools[0].name`, the notation
+ * validate uses in its messages) to { line, column }, both 1-based. For
+ * object members the position is that of the key, so annotations land on
+ * the line a reader would look for. Throws a SyntaxError carrying
+ * `line`/`column` when the text is not valid JSON.
+ */
+function locate(text) {
+  const locations = new Map();
+  let i = 0;
+  let line = 1;
+  let col = 1;
+
+  function error(msg) {
+    const err = new SyntaxError(`${msg} at line ${line} column ${col}`);
+    err.line = line;
+    err.column = col;
+    throw err;
+  }
+
+  function advance(n = 1) {
+    for (let k = 0; k < n; k++) {
+      if (text.charCodeAt(i) === 10) {
+        line++;
+        col = 1;
+      } else {
+        col++;
+      }
+      i++;
+    }
+  }
+
+  function skipWs() {
+    while (i < text.length && /[ \t\r\n﻿]/.test(text[i])) advance();
+  }
+
+  function here() {
+    return { line, column: col };
+  }
+
+  function parseString() {
+    if (text[i] !== '"') error("expected string");
+    const start = i;
+    advance();
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] === "\\") advance();
+      else if (text[i] === "\n") error("unterminated string");
+      advance();
+    }
+    if (i >= text.length) error("unterminated string");
+    advance();
+    return JSON.parse(text.slice(start, i));
+  }
+
+  function parseValue(path) {
+    skipWs();
+    if (!locations.has(path)) locations.set(path, here());
+    const ch = text[i];
+    if (ch === "{") {
+      advance();
+      skipWs();
+      if (text[i] === "}") {
+        advance();
+        return;
+      }
+      for (;;) {
+        skipWs();
+        const keyPos = here();
+        const key = parseString();
+        const childPath = path ? joinPath(path, key) : joinPath("", key);
+        locations.set(childPath, keyPos);
+        skipWs();
+        if (text[i] !== ":") error("expected ':'");
+        advance();
+        parseValue(childPath);
+        skipWs();
+        if (text[i] === ",") {
+          advance();
+          continue;
+        }
+        if (text[i] === "}") {
+          advance();
+          return;
+        }
+        error("expected ',' or '}'");
+      }
+    }
+    if (ch === "[") {
+      advance();
+      skipWs();
+      if (text[i] === "]") {
+        advance();
+        return;
+      }
+      for (let idx = 0; ; idx++) {
+        parseValue(joinPath(path, idx));
+        skipWs();
+        if (text[i] === ",") {
+          advance();
+          continue;
+        }
+        if (text[i] === "]") {
+          advance();
+          return;
+        }
+        error("expected ',' or ']'");
+      }
+    }
+    if (ch === '"') {
+      parseString();
+      return;
+    }
+    const m = text.slice(i).match(/^(?:-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/);
+    if (!m) error(i >= text.length ? "unexpected end of input" : `unexpected character ${JSON.stringify(ch)}`);
+    advance(m[0].length);
+  }
+
+  parseValue("");
+  skipWs();
+  if (i < text.length) error("unexpected trailing content");
+  return locations;
+}
+
+/**
+ * Find the closest known position for a path, walking up to its parents
+ * (`settings[2].default` → `settings[2]` → `settings`) when the exact
+ * member does not exist in the file.
+ */
+function lookup(locations, path) {
+  let p = path || "";
+  for (;;) {
+    if (locations.has(p)) return locations.get(p);
+    if (!p) return { line: 1, column: 1 };
+    const cut = Math.max(p.lastIndexOf("."), p.lastIndexOf("["));
+    p = cut > 0 ? p.slice(0, cut) : "";
+  }
+}
+
+module.exports = { locate, lookup };
@@ -0,0 +1,63 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { KEYS_DIR, DEFAULT_KEY_NAME, generateKeyPair } = require("./signing");
+
+// ── Signing keys ───────────────────────────────────────────────
+//
+// `nexus-plugin keys generate` creates the Ed25519 keypair publish signs
+// registry entries with.
+
+const USAGE = "Usage: nexus-plugin keys generate [--dir <dir>] [--name <name>] [--force] [--json]";
+const KEY_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+function fail(jsonMode, error, message) {
+  if (jsonMode) console.error(JSON.stringify({ error, message }));
+  else console.error(`  \x1b[31m✘\x1b[0m ${message}`);
+  process.exit(1);
+}
+
+/** `nexus-plugin keys generate` — write <name>.key (private) and <name>.pub. */
+async function keys(args = {}) {
+  const jsonMode = !!args.json;
+  if (args._[1] !== "generate") fail(jsonMode, "unknown_command", USAGE);
+
+  const dir = path.resolve(typeof args.dir === "string" ? args.dir : KEYS_DIR);
+  const name = typeof args.name === "string" ? args.name : DEFAULT_KEY_NAME;
+  if (!KEY_NAME_RE.test(name)) fail(jsonMode, "invalid_flags", `--name ${JSON.stringify(name)} must be letters, digits, ".", "-" or "_"`);
+
+  const privatePath = path.join(dir, `${name}.key`);
+  const publicPath = path.join(dir, `${name}.pub`);
+  const existing = [privatePath, publicPath].filter((p) => fs.existsSync(p));
+  if (existing.length > 0 && !args.force) {
+    fail(jsonMode, "key_exists", `${existing[0]} already exists; pass --force to replace it (entries signed with it will no longer match)`);
+  }
+
+  const pair = generateKeyPair();
+  try {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    // Replace rather than rewrite, so an old key's looser mode is not kept
+    fs.rmSync(privatePath, { force: true });
+    fs.writeFileSync(privatePath, pair.privateKey, { mode: 0o600 });
+    fs.writeFileSync(publicPath, pair.publicKey);
+  } catch (err) {
+    fail(jsonMode, "write_failed", `Could not write the keypair to ${dir}: ${err.message}`);
+  }
+
+  if (jsonMode) {
+    console.log(JSON.stringify({ ok: true, private_key: privatePath, public_key: publicPath, fingerprint: pair.fingerprint }));
+    return;
+  }
+  console.log(`\n  \x1b[32m✔\x1b[0m Wrote ${privatePath} \x1b[2m(private — keep it secret)\x1b[0m`);
+  console.log(`  \x1b[32m✔\x1b[0m Wrote ${publicPath}`);
+  console.log(`\n  Fingerprint: \x1b[1m${pair.fingerprint}\x1b[0m\n`);
+  const fallback = dir === KEYS_DIR && name === DEFAULT_KEY_NAME;
+  console.log(
+    fallback
+      ? "  publish now signs registry entries with this key.\n"
+      : `  Sign with it: nexus-plugin publish --signing-key ${privatePath}\n`
+  );
+}
+
+module.exports = { keys };
@@ -0,0 +1,22 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Read and parse plugin.json from a plugin directory.
+ * Throws with a user-facing message when it is missing or malformed.
+ */
+function readManifest(dir) {
+  const manifestPath = path.join(dir, "plugin.json");
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`plugin.json not found in ${dir}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid plugin.json: ${err.message}`);
+  }
+}
+
+module.exports = { readManifest };
@@ -0,0 +1,298 @@
+"use strict";
+
+const path = require("path");
+const { isInteractive } = require("./args");
+const { readManifest } = require("./manifest");
+const { createInterface, ask } = require("./prompts");
+const { resolveRef, validateInstance } = require("./schema");
+
+// Flags consumed by `mcp call` itself; everything else is a tool argument
+const CALL_FLAGS = new Set(["json", "url", "args", "dir", "timeout"]);
+
+const USAGE = "Usage: nexus-plugin mcp call <tool> [--key value | key=value | --args '{...}'] [-- --key value ...]";
+
+/**
+ * Parse the argv after `mcp`. The shared parser is not used: tool arguments
+ * may be named like CLI flags (--version, --force, ...) and must keep their
+ * value. Before the tool name, --help / -h ask for usage; after `--`, every
+ * flag is a tool argument. Returns { _, json, url, args, dir, timeout, help,
+ * tool } with the raw tool flags in `tool`.
+ */
+function parseMcpArgs(argv) {
+  const result = { _: [], tool: {} };
+  let toolOnly = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--" && !toolOnly) {
+      toolOnly = true;
+      continue;
+    }
+
+    let key;
+    let val;
+    if (arg.startsWith("--") && arg.length > 2) {
+      const eqIdx = arg.indexOf("=");
+      key = arg.slice(2, eqIdx === -1 ? undefined : eqIdx);
+      if (eqIdx !== -1) val = arg.slice(eqIdx + 1);
+    } else if (arg.startsWith("-") && arg.length === 2) {
+      key = arg.slice(1);
+      val = true;
+    } else {
+      result._.push(arg);
+      continue;
+    }
+
+    if (!toolOnly && result._.length < 2 && (key === "help" || key === "h")) {
+      result.help = true;
+      continue;
+    }
+    const own = !toolOnly && CALL_FLAGS.has(key);
+    if (val === undefined && !(own && key === "json")) {
+      const next = argv[i + 1];
+      if (next !== undefined && !next.startsWith("--")) {
+        val = next;
+        i++;
+      } else {
+        val = true;
+      }
+    }
+    if (own) result[key] = key === "json" ? val !== "false" : val;
+    else result.tool[key] = val;
+  }
+
+  return result;
+}
+
+/** Convert a CLI string into the type the property schema asks for. */
+function coerce(raw, propSchema) {
+  if (!propSchema || typeof propSchema !== "object") return raw;
+  const types = Array.isArray(propSchema.type) ? propSchema.type : [propSchema.type];
+
+  for (const type of types) {
+    if (type === "string" && typeof raw === "string") return raw;
+    if ((type === "number" || type === "integer") && raw !== true && raw !== "") {
+      const n = Number(raw);
+      if (!Number.isNaN(n)) return n;
+    }
+    if (type === "boolean") {
+      if (raw === true || raw === "true") return true;
+      if (raw === "false") return false;
+    }
+    if ((type === "object" || type === "array") && typeof raw === "string") {
+      try {
+        return JSON.parse(raw);
+      } catch {}
+    }
+    if (type === "null" && raw === "null") return null;
+  }
+  return raw;
+}
+
+function propertySchema(schema, key) {
+  const props = schema && schema.properties ? schema.properties : {};
+  const prop = props[key];
+  if (prop && prop.$ref) return resolveRef(schema, prop.$ref) || prop;
+  return prop;
+}
+
+/**
+ * Collect tool arguments from --args JSON, `key=value` positionals and
+ * tool --flags, in increasing order of precedence.
+ */
+function collectArguments(args, schema, positionals) {
+  let result = {};
+
+  if (args.args !== undefined) {
+    let parsed;
+    try {
+      parsed = JSON.parse(String(args.args));
+    } catch (err) {
+      throw new Error(`--args is not valid JSON: ${err.message}`);
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error("--args must be a JSON object");
+    }
+    result = parsed;
+  }
+
+  for (const pos of positionals) {
+    const eqIdx = pos.indexOf("=");
+    if (eqIdx <= 0) throw new Error(`Unexpected argument "${pos}" (use key=value or --key value)`);
+    const key = pos.slice(0, eqIdx);
+    result[key] = coerce(pos.slice(eqIdx + 1), propertySchema(schema, key));
+  }
+
+  for (const [key, val] of Object.entries(args.tool || {})) {
+    result[key] = coerce(val, propertySchema(schema, key));
+  }
+
+  return result;
+}
+
+/** Prompt for every schema property not already supplied. */
+async function promptArguments(schema, current) {
+  const props = schema && schema.properties ? schema.properties : {};
+  const required = new Set(Array.isArray(schema && schema.required) ? schema.required : []);
+  const keys = Object.keys(props).filter((k) => !(k in current));
+  if (keys.length === 0) return current;
+
+  const rl = createInterface();
+  try {
+    console.log("");
+    for (const key of keys) {
+      const prop = propertySchema(schema, key) || {};
+      const type = Array.isArray(prop.type) ? prop.type.join("|") : prop.type || "any";
+      if (prop.description) console.log(`  \x1b[2m${prop.description}\x1b[0m`);
+      const hints = [type];
+      if (Array.isArray(prop.enum)) hints.push(prop.enum.map((v) => JSON.stringify(v)).join("/"));
+      if (!required.has(key)) hints.push("optional");
+      const answer = await ask(rl, `${key} \x1b[2m[${hints.join(", ")}]\x1b[0m`, prop.default);
+      if (answer === "" && !required.has(key)) continue;
+      current[key] = coerce(answer, prop);
+    }
+  } finally {
+    rl.close();
+  }
+  return current;
+}
+
+function fail(jsonMode, error, message) {
+  if (jsonMode) console.error(JSON.stringify({ error, message }));
+  else console.error(`  \x1b[31m✘\x1b[0m ${message}`);
+  process.exit(1);
+}
+
+function printTools(tools) {
+  console.log("\n  Available tools:\n");
+  for (const tool of tools) {
+    console.log(`    \x1b[1m${tool.name}\x1b[0m  \x1b[2m${tool.description || ""}\x1b[0m`);
+  }
+  console.log("");
+}
+
+function printResult(toolName, result) {
+  const isError = result && result.is_error === true;
+  console.log(`\n  ${isError ? "\x1b[31m✘" : "\x1b[32m✔"}\x1b[0m ${toolName}${isError ? " returned an error" : ""}\n`);
+
+  const content = result && Array.isArray(result.content) ? result.content : [];
+  if (content.length === 0) {
+    console.log("    \x1b[2m(no content)\x1b[0m\n");
+    return;
+  }
+  for (const item of content) {
+    if (item && item.type === "text") {
+      for (const line of String(item.text).split("\n")) console.log(`    ${line}`);
+    } else {
+      const { type, ...rest } = item || {};
+      console.log(`    \x1b[2m[${type || "unknown"}]\x1b[0m ${JSON.stringify(rest)}`);
+    }
+    console.log("");
+  }
+}
+
+/**
+ * `nexus-plugin mcp call <tool>` — invoke a tool on a running plugin via
+ * its /mcp/call endpoint, after checking the arguments against input_schema.
+ */
+async function callTool(args) {
+  const jsonMode = !!args.json;
+  const dir = path.resolve(args.dir || ".");
+  const manifest = readManifest(dir);
+  const tools = manifest.mcp && Array.isArray(manifest.mcp.tools) ? manifest.mcp.tools : [];
+
+  if (tools.length === 0) fail(jsonMode, "no_tools", "plugin.json declares no MCP tools (mcp.tools)");
+
+  const toolName = args._[1];
+  if (!toolName) {
+    if (jsonMode) fail(jsonMode, "missing_tool", "Tool name is required");
+    printTools(tools);
+    console.log(`  ${USAGE}\n`);
+    process.exit(1);
+  }
+
+  const tool = tools.find((t) => t.name === toolName);
+  if (!tool) {
+    fail(jsonMode, "unknown_tool", `Unknown tool "${toolName}" (declared: ${tools.map((t) => t.name).join(", ")})`);
+  }
+
+  const schema = tool.input_schema || { type: "object" };
+  let toolArgs;
+  try {
+    toolArgs = collectArguments(args, schema, args._.slice(2));
+  } catch (err) {
+    fail(jsonMode, "invalid_arguments", err.message);
+  }
+
+  if (!jsonMode && isInteractive()) {
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    const missing = required.some((k) => !(k in toolArgs));
+    if (missing || Object.keys(toolArgs).length === 0) {
+      toolArgs = await promptArguments(schema, toolArgs);
+    }
+  }
+
+  const problems = validateInstance(schema, toolArgs, "arguments");
+  if (problems.length > 0) {
+    if (jsonMode) {
+      console.error(JSON.stringify({ error: "invalid_arguments", problems }));
+    } else {
+      console.error(`\n  \x1b[31mArguments do not match ${toolName}'s input_schema:\x1b[0m\n`);
+      for (const p of problems) console.error(`  \x1b[31m✘\x1b[0m ${p.path} ${p.message}`);
+      console.error("");
+    }
+    process.exit(1);
+  }
+
+  const port = (manifest.ui && manifest.ui.port) || 80;
+  const baseUrl = String(args.url || `http://localhost:${port}`).replace(/\/+$/, "");
+  const timeoutMs = (parseInt(args.timeout, 10) || 30) * 1000;
+
+  let res;
+  try {
+    res = await fetch(`${baseUrl}/mcp/call`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ tool_name: toolName, arguments: toolArgs }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (err) {
+    const reason = err.cause ? err.cause.message || err.cause.code : err.message;
+    fail(jsonMode, "request_failed", `Could not reach plugin at ${baseUrl}: ${reason}. Is it running? (try nexus-plugin dev)`);
+  }
+
+  const text = await res.text();
+  let result;
+  try {
+    result = JSON.parse(text);
+  } catch {
+    fail(jsonMode, "invalid_response", `Plugin returned HTTP ${res.status} with a non-JSON body: ${text.slice(0, 200)}`);
+  }
+  if (!res.ok) {
+    fail(jsonMode, "http_error", `Plugin returned HTTP ${res.status}: ${JSON.stringify(result)}`);
+  }
+
+  if (jsonMode) console.log(JSON.stringify(result));
+  else printResult(toolName, result);
+
+  if (result && result.is_error === true) process.exit(1);
+}
+
+/** `nexus-plugin mcp <subcommand>`, given the raw argv after `mcp`. */
+async function mcp(argv = []) {
+  const args = parseMcpArgs(argv);
+  if (args.help) {
+    console.log(`\n  ${USAGE}\n`);
+    return;
+  }
+  const sub = args._[0];
+  switch (sub) {
+    case "call":
+      await callTool(args);
+      break;
+    default:
+      throw new Error(sub ? `Unknown mcp subcommand: ${sub}` : USAGE);
+  }
+}
+
+module.exports = { mcp, coerce, collectArguments, parseMcpArgs };
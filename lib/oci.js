@@ -0,0 +1,163 @@
+"use strict";
+
+const crypto = require("crypto");
+const { parseImageRef } = require("./image");
+
+// ── OCI distribution client ────────────────────────────────────
+//
+// Reads image manifests straight from the registry's /v2/ API, so publish
+// can resolve a digest without a Docker daemon or pulling any layers.
+// Registries that answer 401 with a Bearer challenge (ghcr.io, Docker Hub)
+// get an anonymous pull token. The endpoint base is configurable
+// (NEXUS_IMAGE_REGISTRY_URL, or --image-registry-url) for local fakes.
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+const INDEX_TYPES = [
+  "application/vnd.oci.image.index.v1+json",
+  "application/vnd.docker.distribution.manifest.list.v2+json",
+];
+const MANIFEST_TYPES = [
+  "application/vnd.oci.image.manifest.v1+json",
+  "application/vnd.docker.distribution.manifest.v2+json",
+];
+
+// Docker Hub's API does not live at docker.io itself
+const REGISTRY_HOSTS = { "docker.io": "registry-1.docker.io" };
+
+class OciError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "OciError";
+    this.status = status;
+  }
+}
+
+/** Parse a `WWW-Authenticate: Bearer realm="...",service="..."` header. */
+function parseChallenge(header) {
+  const match = /^\s*Bearer\s+(.*)$/i.exec(header || "");
+  if (!match) return null;
+  const params = {};
+  for (const [, key, quoted, bare] of match[1].matchAll(/(\w+)=(?:"([^"]*)"|([^,\s]*))/g)) {
+    params[key.toLowerCase()] = quoted !== undefined ? quoted : bare;
+  }
+  return params.realm ? params : null;
+}
+
+/** Base URL for a registry host: `baseUrl` when given, else https://<host>. */
+function registryBase(registry, baseUrl) {
+  if (baseUrl) return baseUrl.replace(/\/+$/, "");
+  return `https://${REGISTRY_HOSTS[registry] || registry}`;
+}
+
+/** "linux/arm64/v8" from a platform object; null for attestation entries. */
+function platformName(platform) {
+  if (!platform || !platform.os || !platform.architecture || platform.os === "unknown") return null;
+  return [platform.os, platform.architecture, platform.variant].filter(Boolean).join("/");
+}
+
+/**
+ * Create a client. `baseUrl` defaults to NEXUS_IMAGE_REGISTRY_URL, and
+ * otherwise each image's own registry is used.
+ */
+function createOciClient({ baseUrl } = {}) {
+  const override = baseUrl || process.env.NEXUS_IMAGE_REGISTRY_URL || null;
+  const tokens = new Map();
+
+  async function anonymousToken(challenge, repository) {
+    const url = new URL(challenge.realm);
+    if (challenge.service) url.searchParams.set("service", challenge.service);
+    url.searchParams.set("scope", challenge.scope || `repository:${repository}:pull`);
+    const res = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    if (!res.ok) throw new OciError(`Token request to ${url.origin} failed: HTTP ${res.status}`, res.status);
+    const data = await res.json();
+    const token = data.token || data.access_token;
+    if (!token) throw new OciError(`Token response from ${url.origin} has no token`, res.status);
+    return token;
+  }
+
+  // GET a /v2/ path, answering one Bearer challenge with an anonymous token
+  async function get(base, repository, route, accept) {
+    const send = (token) => {
+      const headers = { Accept: accept.join(", ") };
+      if (token) headers.Authorization = `Bearer ${token}`;
+      return fetch(`${base}/v2/${repository}/${route}`, { headers, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    };
+
+    let res = await send(tokens.get(`${base} ${repository}`));
+    if (res.status === 401) {
+      const challenge = parseChallenge(res.headers.get("www-authenticate"));
+      if (challenge) {
+        const token = await anonymousToken(challenge, repository);
+        tokens.set(`${base} ${repository}`, token);
+        res = await send(token);
+      }
+    }
+    if (!res.ok) {
+      const detail = res.status === 401 || res.status === 403
+        ? "access denied (the image must be publicly pullable)"
+        : res.status === 404 ? "not found" : `HTTP ${res.status}`;
+      throw new OciError(`/v2/${repository}/${route}: ${detail}`, res.status);
+    }
+    return res;
+  }
+
+  return {
+    /**
+     * Resolve an image reference to the digest of what its tag points at:
+     * the index (manifest list) digest for multi-arch images. Returns
+     * { digest, mediaType, index, platforms } where platforms are like
+     * "linux/amd64" (empty when the registry does not say). The digest is
+     * computed from the bytes received; a Docker-Content-Digest header or a
+     * digest in `ref` that disagrees with it is an OciError.
+     */
+    async resolveImage(ref) {
+      const parsed = parseImageRef(ref);
+      if (!parsed) throw new OciError(`Cannot parse image reference ${JSON.stringify(ref)}`);
+      const base = registryBase(parsed.registry, override);
+      const reference = parsed.digest || parsed.tag || "latest";
+
+      const res = await get(base, parsed.repository, `manifests/${reference}`, [...INDEX_TYPES, ...MANIFEST_TYPES]);
+      const body = Buffer.from(await res.arrayBuffer());
+      const digest = `sha256:${crypto.createHash("sha256").update(body).digest("hex")}`;
+      if (parsed.digest && parsed.digest !== digest) {
+        throw new OciError(`${parsed.repository}: manifest for ${parsed.digest} hashes to ${digest}`);
+      }
+      const header = res.headers.get("docker-content-digest");
+      if (header && header !== digest) {
+        throw new OciError(`${parsed.repository}: manifest for ${reference} hashes to ${digest}, but the registry says ${header}`);
+      }
+
+      let manifest;
+      try {
+        manifest = JSON.parse(body.toString("utf8"));
+      } catch {
+        throw new OciError(`${parsed.repository}: manifest for ${reference} is not JSON`);
+      }
+      const mediaType = manifest.mediaType || (res.headers.get("content-type") || "").split(";")[0];
+      const index = INDEX_TYPES.includes(mediaType) || Array.isArray(manifest.manifests);
+
+      let platforms = [];
+      if (index) {
+        platforms = (manifest.manifests || []).map((m) => platformName(m.platform)).filter(Boolean);
+      } else if (manifest.config && typeof manifest.config.digest === "string") {
+        // A single-platform image only records its platform in the config blob
+        try {
+          const blob = await get(base, parsed.repository, `blobs/${manifest.config.digest}`, ["*/*"]);
+          const name = platformName(await blob.json());
+          if (name) platforms = [name];
+        } catch {}
+      }
+
+      return { digest, mediaType, index, platforms: [...new Set(platforms)] };
+    },
+  };
+}
+
+/** Which of the `required` architectures ("amd64", "arm64") are not built. */
+function missingArchitectures(platforms, required = ["amd64", "arm64"]) {
+  const built = new Set(platforms.map((p) => p.split("/")[1]));
+  return required.filter((arch) => !built.has(arch));
+}
+
+module.exports = { createOciClient, missingArchitectures, parseChallenge, OciError };
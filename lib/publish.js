@@ -2,37 +2,64 @@
 
 const crypto = require("crypto");
 const fs = require("fs");
-const os = require("os");
 const path = require("path");
-const { execSync } = require("child_process");
-const { validate } = require("./validate");
+const { CATEGORIES, DEPRECATION_FIELDS, SIGNATURE_FIELDS, formatEntry, mergeEntry, checkEntry } = require("./entry");
+const { isValidImageRef } = require("./image");
+const { createOciClient, missingArchitectures } = require("./oci");
+const registry = require("./registry");
+const semver = require("./semver");
+const { resolveSigningKey, signEntry } = require("./signing");
+const { validate, inspect, DIGEST_RE } = require("./validate");
+const { diffValues } = require("./diff");
 const { isInteractive } = require("./args");
 const { createInterface, ask, multiSelect } = require("./prompts");
 
-const REGISTRY_OWNER = "imdanibytes";
-const REGISTRY_REPO = "registry";
-
-const CATEGORIES = [
-  "productivity",
-  "developer-tools",
-  "monitoring",
-  "automation",
-  "fun",
-  "utilities",
-  "ai",
-  "ai-tools",
-  "security",
-];
-
-function exec(cmd) {
-  return execSync(cmd, { encoding: "utf8", stdio: ["pipe", "pipe", "pipe"] }).trim();
+// Stand-in for the GitHub login in --dry-run, where GitHub is never called
+const DRY_RUN_USER = "<github-user>";
+
+// ── Input checks ───────────────────────────────────────────────
+//
+// Values that end up in branch names, registry paths and the YAML entry
+// are held to strict formats before anything is sent anywhere.
+
+/**
+ * Check the manifest values publish relies on, independently of any rule
+ * levels configured for validate. Returns a list of problems.
+ */
+function checkPublishInputs(manifest) {
+  const problems = [];
+  if (!registry.isValidPluginId(manifest.id)) {
+    problems.push(`id ${JSON.stringify(manifest.id)} must be letters and digits separated by single ".", "-" or "_"`);
+  }
+  if (typeof manifest.version !== "string" || !semver.valid(manifest.version)) {
+    problems.push(`version ${JSON.stringify(manifest.version)} must be strict semver`);
+  }
+  if (!isValidImageRef(manifest.image)) {
+    problems.push(`image ${JSON.stringify(manifest.image)} is not a valid image reference`);
+  }
+  for (const field of ["name", "author", "description", "license"]) {
+    if (typeof manifest[field] === "string" && /[\u0000-\u0008\u000B-\u001F\u007F]/.test(manifest[field])) {
+      problems.push(`${field} contains control characters`);
+    }
+  }
+  for (const field of ["name", "author", "license"]) {
+    if (typeof manifest[field] === "string" && /[\r\n]/.test(manifest[field])) {
+      problems.push(`${field} must be a single line`);
+    }
+  }
+  if (manifest.homepage && !isHttpUrl(manifest.homepage)) {
+    problems.push(`homepage ${JSON.stringify(manifest.homepage)} must be an http(s) URL`);
+  }
+  return problems;
 }
 
-function execSafe(cmd) {
+function isHttpUrl(value) {
+  if (typeof value !== "string" || /\s/.test(value)) return false;
   try {
-    return { ok: true, output: exec(cmd) };
-  } catch (err) {
-    return { ok: false, output: err.stderr || err.message };
+    const url = new URL(value);
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch {
+    return false;
   }
 }
 
@@ -48,127 +75,255 @@ function sha256(content) {
   return crypto.createHash("sha256").update(content).digest("hex");
 }
 
+/**
+ * manifest_sha256 of a manifest's content. Surrounding whitespace is
+ * trimmed, as the curl-based publish did, so existing entries still match.
+ */
+function manifestHash(content) {
+  return sha256(content.trim());
+}
+
 /**
  * Fetch the manifest from a URL and compute its SHA-256 hash.
  */
-function fetchManifestHash(url) {
-  const content = exec(`curl -sfL --max-time 15 "${url}"`);
-  return { content, hash: sha256(content) };
+async function fetchManifestHash(url) {
+  const res = await fetch(url, { redirect: "follow", signal: AbortSignal.timeout(15000) });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const content = await res.text();
+  return { content, hash: manifestHash(content) };
 }
 
 /**
- * Get the Docker image digest by inspecting local or pulling.
+ * Check the manifest the registry will point at against the local one:
+ * the full validate rules (run from the plugin directory, so Dockerfile and
+ * src/ checks apply) and a field-level diff. Returns { manifest, report,
+ * differences } with the parsed manifest, or { manifest: null } when the
+ * content is not a JSON object.
  */
-function getImageDigest(image) {
-  // Try local Docker inspect first
-  const local = execSafe(
-    `docker inspect --format '{{index .RepoDigests 0}}' "${image}" 2>/dev/null`
-  );
-  if (local.ok && local.output.includes("sha256:")) {
-    const match = local.output.match(/sha256:[0-9a-f]{64}/);
-    if (match) return match[0];
+function compareHostedManifest(manifestPath, local, content) {
+  let hosted;
+  try {
+    hosted = JSON.parse(content);
+  } catch {
+    return { manifest: null };
   }
+  if (!hosted || typeof hosted !== "object" || Array.isArray(hosted)) return { manifest: null };
+  const report = inspect(manifestPath, { content });
+  const differences = diffValues(local, hosted).map((d) => ({ path: d.path, local: d.before, hosted: d.after }));
+  return { manifest: hosted, report, differences };
+}
 
-  // Try pulling and inspecting
-  const pull = execSafe(`docker pull "${image}" 2>/dev/null`);
-  if (pull.ok) {
-    const inspect = execSafe(
-      `docker inspect --format '{{index .RepoDigests 0}}' "${image}" 2>/dev/null`
-    );
-    if (inspect.ok && inspect.output.includes("sha256:")) {
-      const match = inspect.output.match(/sha256:[0-9a-f]{64}/);
-      if (match) return match[0];
-    }
+// Earlier steps key the registry entry, branch and version check off these,
+// so the hosted copy must agree on them even with --allow-manifest-drift
+const PINNED_FIELDS = ["id", "version", "image"];
+
+function showValue(value) {
+  return value === undefined ? "(missing)" : JSON.stringify(value);
+}
+
+// ── Version guard ──────────────────────────────────────────────
+//
+// An update must move the entry forward. Downgrades need --force and are
+// recorded as rollbacks; a published version's image never changes.
+
+/**
+ * Compare the submission with the existing entry. Returns
+ * { error, message } when publish must stop, otherwise { rollback } where
+ * rollback is the version being replaced by an older one (or null).
+ */
+function checkVersionChange(existing, { version, imageDigest, manifestSha256 }, { force = false } = {}) {
+  if (!existing.exists || !existing.version) return { rollback: null };
+
+  const previous = existing.version;
+  if (!semver.valid(previous)) {
+    if (force) return { rollback: null };
+    return {
+      error: "version_unknown",
+      message: `The registry entry's version ${JSON.stringify(previous)} is not semver, so ${version} cannot be checked against it. Pass --force to replace it.`,
+    };
   }
 
-  return null;
+  const order = semver.compare(version, previous);
+  if (order > 0) return { rollback: null };
+
+  if (order < 0) {
+    if (force) return { rollback: previous };
+    return {
+      error: "version_downgrade",
+      message: `The registry has ${previous}, which is newer than ${version}. Bump the version in plugin.json, or pass --force to roll back.`,
+    };
+  }
+
+  if (existing.image_digest && existing.image_digest !== imageDigest) {
+    return {
+      error: "version_republish",
+      message: `${version} is already published with image ${existing.image_digest}, not ${imageDigest}. Published images cannot change; bump the version in plugin.json.`,
+    };
+  }
+  if (existing.manifest_sha256 === manifestSha256) {
+    return {
+      error: "already_published",
+      message: `${version} is already published with this image and manifest. Nothing to update.`,
+    };
+  }
+  // Same version and image with a new manifest: a metadata-only update
+  return { rollback: null };
 }
 
+// ── Publisher guard ────────────────────────────────────────────
+//
+// Once an entry is signed, only its key may update it; switching keys (or
+// dropping the signature) is a publisher change and needs --allow-key-change.
+
 /**
- * Build a YAML string for the v2 registry plugin entry.
+ * Compare the signing key with the one on the existing entry. Returns
+ * { error, message } when publish must stop, otherwise { previousKey }
+ * where previousKey is the fingerprint being replaced (or null).
  */
-function buildPluginYaml(entry) {
-  const lines = [];
-  lines.push(`author: ${entry.author}`);
-  if (entry.author_url) lines.push(`author_url: ${entry.author_url}`);
-  lines.push(`categories:`);
-  for (const cat of entry.categories) {
-    lines.push(`- ${cat}`);
-  }
-  lines.push(`created_at: ${entry.created_at}`);
-  lines.push(`description: ${yamlString(entry.description)}`);
-  lines.push(`homepage: ${entry.homepage}`);
-  lines.push(`id: ${entry.id}`);
-  lines.push(`image: ${entry.image}`);
-  lines.push(`image_digest: "${entry.image_digest}"`);
-  lines.push(`license: ${entry.license}`);
-  lines.push(`manifest_sha256: ${entry.manifest_sha256}`);
-  lines.push(`manifest_url: ${entry.manifest_url}`);
-  lines.push(`name: ${yamlString(entry.name)}`);
-  lines.push(`status: ${entry.status}`);
-  lines.push(`version: "${entry.version}"`);
-  lines.push("");
-  return lines.join("\n");
+function checkPublisher(existing, keyFingerprint, { allowKeyChange = false } = {}) {
+  const previous = existing.exists ? existing.key_fingerprint : null;
+  if (!previous || previous === keyFingerprint) return { previousKey: null };
+  if (allowKeyChange) return { previousKey: previous };
+  return {
+    error: "publisher_changed",
+    message: keyFingerprint
+      ? `The registry entry is signed by ${previous}, not by this key (${keyFingerprint}). Sign with the original key (--signing-key), or pass --allow-key-change to rotate keys.`
+      : `The registry entry is signed by ${previous}. Sign this release with that key (--signing-key), or pass --allow-key-change to publish it unsigned.`,
+  };
 }
 
-function yamlString(str) {
-  if (!str) return '""';
-  if (/[:#\[\]{}&*!|>'"%@`]/.test(str) || str.includes("\n")) {
-    return JSON.stringify(str);
-  }
-  return str;
+// ── Submission content ─────────────────────────────────────────
+//
+// Everything the registry PR contains, shared by the real run and
+// --dry-run so the plan shows exactly what would be submitted.
+
+function branchName(manifest, isUpdate) {
+  const action = isUpdate ? "update" : "add";
+  // checkPublishInputs guarantees a safe name; safeBranch refuses anything else
+  return registry.safeBranch(`${action}-${manifest.id.replace(/\./g, "-")}-${manifest.version.replace(/\./g, "-")}`);
+}
+
+function commitMessage(manifest, isUpdate) {
+  return isUpdate
+    ? `Update plugins/${manifest.id} to ${manifest.version}`
+    : `Add plugins/${manifest.id} ${manifest.version}`;
+}
+
+function prTitle(manifest, isUpdate) {
+  return isUpdate
+    ? `Update plugin: ${manifest.name} ${manifest.version}`
+    : `Add plugin: ${manifest.name}`;
+}
+
+function prBody(manifest, entry, isUpdate, rollback = null, previousKey = null) {
+  const prDescription = rollback ? "Rolls back" : isUpdate ? "Updates" : "Adds";
+  const newKey = entry.key_fingerprint ? `\`${entry.key_fingerprint}\`` : "no key (unsigned)";
+  return [
+    `${prDescription} **${manifest.name}** (\`${manifest.id}\`) ${isUpdate ? `to v${manifest.version}` : "to the registry"}.`,
+    rollback ? `\n> **Rollback:** replaces v${rollback} with the older v${manifest.version} (published with \`--force\`).` : null,
+    previousKey ? `\n> **Signing key changed:** was \`${previousKey}\`, now ${newKey} (published with \`--allow-key-change\`).` : null,
+    "",
+    `| Field | Value |`,
+    `|-------|-------|`,
+    `| Image | \`${manifest.image}\` |`,
+    `| Version | ${manifest.version} |`,
+    `| License | ${entry.license} |`,
+    `| Manifest | ${entry.manifest_url} |`,
+    entry.image_digest ? `| Image Digest | \`${entry.image_digest.slice(0, 19)}...\` |` : null,
+    entry.manifest_sha256 ? `| Manifest SHA | \`${entry.manifest_sha256.slice(0, 16)}...\` |` : null,
+    entry.key_fingerprint ? `| Signed by | \`${entry.key_fingerprint.slice(0, 23)}...\` |` : null,
+    "",
+    `Submitted via \`nexus-plugin publish\``,
+  ].filter(Boolean).join("\n");
 }
 
 /**
- * Fetch the existing YAML for a plugin from the registry (if it exists).
- * Returns { exists, content, sha } or { exists: false }.
+ * `publish --dry-run`: print the submission (or write it to `outDir`)
+ * instead of creating the branch, commit and PR.
  */
-function fetchExistingEntry(yamlFile) {
-  const result = execSafe(
-    `gh api repos/${REGISTRY_OWNER}/${REGISTRY_REPO}/contents/${yamlFile} --jq '.content' 2>/dev/null`
-  );
-  if (!result.ok || !result.output) return { exists: false };
+function printPlan(plan, { ci, outDir }) {
+  if (outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, path.basename(plan.yaml_file)), plan.yaml);
+    fs.writeFileSync(path.join(outDir, "pr-body.md"), plan.pr_body + "\n");
+    fs.writeFileSync(path.join(outDir, "plan.json"), JSON.stringify(plan, null, 2) + "\n");
+  }
 
-  try {
-    const content = Buffer.from(result.output, "base64").toString("utf8");
+  if (ci) {
+    console.log(JSON.stringify(plan));
+    return;
+  }
 
-    // Also get the git blob SHA (needed to update the file via API)
-    const shaResult = execSafe(
-      `gh api repos/${REGISTRY_OWNER}/${REGISTRY_REPO}/contents/${yamlFile} --jq '.sha'`
-    );
+  const rows = [
+    ["Registry", `${plan.registry} (${plan.backend})`],
+    ["Registry file", plan.yaml_file],
+    ["Action", plan.is_update ? "update existing entry" : "add new entry"],
+    ["Branch", plan.branch],
+    ["Commit message", plan.commit_message],
+    ["PR title", plan.pr_title],
+    ["manifest_sha256", `${plan.manifest_sha256} (${plan.manifest_sha256_source})`],
+    ["image_digest", `${plan.image_digest} (${plan.image_digest_source})`],
+    ["Signed by", plan.key_fingerprint || "unsigned"],
+  ];
+  if (plan.image_platforms) rows.push(["Platforms", plan.image_platforms.join(", ") || "unknown"]);
+  for (const [label, value] of rows) console.log(`  ${`${label}:`.padEnd(17)} ${value}`);
 
-    // Parse created_at from existing YAML
-    const createdAtMatch = content.match(/^created_at:\s*(.+)$/m);
-    const categoriesMatch = content.match(/^categories:\n((?:- .+\n)+)/m);
-    let categories = [];
-    if (categoriesMatch) {
-      categories = categoriesMatch[1]
-        .split("\n")
-        .filter(Boolean)
-        .map((l) => l.replace(/^- /, "").trim());
-    }
+  console.log("\n  \x1b[1mPR body:\x1b[0m\n");
+  for (const line of plan.pr_body.split("\n")) console.log(`    ${line}`);
 
-    return {
-      exists: true,
-      content,
-      sha: shaResult.ok ? shaResult.output : null,
-      created_at: createdAtMatch ? createdAtMatch[1].trim() : null,
-      categories,
-    };
-  } catch {
-    return { exists: false };
+  if (outDir) {
+    console.log(`\n  \x1b[32m\u2714\x1b[0m Wrote ${path.basename(plan.yaml_file)}, pr-body.md and plan.json to ${outDir}`);
   }
+  console.log("\n  \x1b[2mDry run — nothing was submitted to the registry.\x1b[0m\n");
 }
 
 async function publish(args = {}) {
   const ci = !isInteractive();
   const log = ci ? () => {} : (msg) => console.log(msg);
+  const dryRun = !!args["dry-run"];
+  const step = registry.stepper(log);
 
-  log("\n  \x1b[1mnexus-plugin publish\x1b[0m — Publish to the community registry\n");
+  log(
+    dryRun
+      ? "\n  \x1b[1mnexus-plugin publish --dry-run\x1b[0m — Preview a registry submission\n"
+      : "\n  \x1b[1mnexus-plugin publish\x1b[0m — Publish to the registry\n"
+  );
+
+  let settings;
+  try {
+    settings = registry.resolveRegistry(args);
+  } catch (err) {
+    console.error(ci ? JSON.stringify({ error: "invalid_flags", message: err.message }) : `  \x1b[31m${err.message}\x1b[0m\n`);
+    process.exit(1);
+  }
+  const local = settings.backend === "local";
+
+  const givenDigest = typeof args["image-digest"] === "string" ? args["image-digest"] : null;
+  const manifestFile = typeof args["manifest-file"] === "string" ? args["manifest-file"] : null;
+  let usageError = null;
+  if (args["image-digest"] !== undefined && !(givenDigest && DIGEST_RE.test(givenDigest))) {
+    usageError = '--image-digest must be "sha256:" followed by 64 hex characters';
+  } else if (args["manifest-file"] !== undefined && !manifestFile) {
+    usageError = "--manifest-file requires a path";
+  } else if (manifestFile && !dryRun && !local) {
+    usageError = "--manifest-file is only supported with --dry-run or a local registry (a real publish hashes the hosted manifest)";
+  }
+  if (usageError) {
+    console.error(ci ? JSON.stringify({ error: "invalid_flags", message: usageError }) : `  \x1b[31m${usageError}\x1b[0m\n`);
+    process.exit(1);
+  }
+
+  let signingKey;
+  try {
+    signingKey = resolveSigningKey(args);
+  } catch (err) {
+    console.error(ci ? JSON.stringify({ error: "invalid_signing_key", message: err.message }) : `  \x1b[31m${err.message}\x1b[0m\n`);
+    process.exit(1);
+  }
 
   // ── Step 1: Validate manifest ──────────────────────────────────
 
-  log("  Step 1: Validating manifest...\n");
+  step("Validating manifest...");
   const ok = validate(".", { json: ci });
   if (!ok) {
     console.error(ci ? '{"error":"validation_failed"}' : "  \x1b[31mFix validation errors before publishing.\x1b[0m\n");
@@ -180,45 +335,48 @@ async function publish(args = {}) {
   const manifestPath = path.resolve("plugin.json");
   const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
 
-  // ── Step 3: Check gh CLI ───────────────────────────────────────
-
-  log("  Step 2: Checking GitHub CLI...\n");
-  const ghCheck = execSafe("gh auth status");
-  if (!ghCheck.ok) {
-    const msg = "GitHub CLI (gh) is not installed or not authenticated.";
+  const problems = checkPublishInputs(manifest);
+  if (problems.length > 0) {
     if (ci) {
-      console.error(JSON.stringify({ error: "gh_auth_failed", message: msg }));
+      console.error(JSON.stringify({ error: "invalid_manifest", message: problems.join("; ") }));
     } else {
-      console.error(`  \x1b[31m${msg}\x1b[0m`);
-      console.error("  Install: https://cli.github.com");
-      console.error("  Then run: gh auth login\n");
+      console.error("  \x1b[31mplugin.json cannot be published as is:\x1b[0m");
+      for (const p of problems) console.error(`  \x1b[31m\u2718\x1b[0m ${p}`);
+      console.error("");
     }
     process.exit(1);
   }
-  log(`  \x1b[32m\u2714\x1b[0m gh authenticated\n`);
 
-  // ── Step 4: Fork registry ──────────────────────────────────────
+  // ── Step 3: Connect to the registry ────────────────────────────
 
-  log("  Step 3: Ensuring registry fork...\n");
-  execSafe(`gh repo fork ${REGISTRY_OWNER}/${REGISTRY_REPO} --clone=false`);
-  log(`  \x1b[32m\u2714\x1b[0m Fork ready\n`);
+  const yamlFile = registry.entryPath(manifest.id);
+  let ghUser = DRY_RUN_USER;
+  let target = null;
+  let existing;
 
-  const ghUser = exec("gh api user --jq .login");
+  if (dryRun) {
+    step(`Skipping ${local ? "the registry checkout" : "GitHub"} (dry run)`);
+    // The registry is not queried; --update plans an update instead
+    existing = { exists: !!args.update, entry: null, categories: [], created_at: null };
+    log(`  \x1b[2mPlanning ${existing.exists ? "an update of an existing entry" : "a new entry"}\x1b[0m\n`);
+  } else {
+    target = await registry.connect(settings, { ci, log, step });
+    ghUser = target.user;
 
-  // ── Step 5: Check for existing entry ───────────────────────────
+    // ── Step 4: Check for existing entry ─────────────────────────
 
-  log("  Step 4: Checking registry...\n");
-  const yamlFile = `plugins/${manifest.id}.yaml`;
-  const existing = fetchExistingEntry(yamlFile);
-  const isUpdate = existing.exists;
+    step("Checking registry...");
+    existing = await target.fetchEntry(manifest.id);
 
-  if (isUpdate) {
-    log(`  \x1b[33m\u2794\x1b[0m Existing entry found — this will be a version update\n`);
-  } else {
-    log(`  \x1b[32m\u2714\x1b[0m New plugin\n`);
+    if (existing.exists) {
+      log(`  \x1b[33m\u2794\x1b[0m Existing entry found — this will be a version update\n`);
+    } else {
+      log(`  \x1b[32m\u2714\x1b[0m New plugin\n`);
+    }
   }
+  const isUpdate = existing.exists;
 
-  // ── Step 6: Gather metadata ────────────────────────────────────
+  // ── Step 5: Gather metadata ────────────────────────────────────
 
   let manifestUrl;
   let categories;
@@ -257,16 +415,35 @@ async function publish(args = {}) {
     }
   }
 
-  // ── Step 7: Compute manifest SHA-256 (required) ────────────────
+  let metadataError = null;
+  const unknown = categories.filter((c) => !CATEGORIES.includes(c));
+  if (!isHttpUrl(manifestUrl)) {
+    metadataError = `Manifest URL must be an http(s) URL, got ${JSON.stringify(manifestUrl)}`;
+  } else if (unknown.length > 0 && !(isUpdate && categories === existing.categories)) {
+    metadataError = `Unknown categories: ${unknown.join(", ")} (must be one of ${CATEGORIES.join(", ")})`;
+  }
+  if (metadataError) {
+    console.error(ci ? JSON.stringify({ error: "invalid_flags", message: metadataError }) : `  \x1b[31m${metadataError}\x1b[0m\n`);
+    process.exit(1);
+  }
 
-  log("  Step 5: Computing manifest hash...\n");
+  // ── Step 6: Compute manifest SHA-256 (required) ────────────────
+
+  step("Computing manifest hash...");
   let manifestSha256;
+  let manifestContent;
+  const manifestShaSource = manifestFile ? manifestFile : manifestUrl;
   try {
-    const { hash } = fetchManifestHash(manifestUrl);
-    manifestSha256 = hash;
-    log(`  \x1b[32m\u2714\x1b[0m manifest_sha256: ${hash.slice(0, 16)}...\n`);
+    const { content, hash } = manifestFile
+      ? { content: fs.readFileSync(manifestFile, "utf8") }
+      : await fetchManifestHash(manifestUrl);
+    manifestContent = content;
+    manifestSha256 = hash || manifestHash(content);
+    log(`  \x1b[32m\u2714\x1b[0m manifest_sha256: ${manifestSha256.slice(0, 16)}...${manifestFile ? ` (from ${manifestFile})` : ""}\n`);
   } catch (err) {
-    const msg = `Could not fetch manifest from ${manifestUrl}: ${err.message}`;
+    const msg = manifestFile
+      ? `Could not read ${manifestFile}: ${err.message}`
+      : `Could not fetch manifest from ${manifestUrl}: ${err.message}`;
     if (ci) {
       console.error(JSON.stringify({ error: "manifest_fetch_failed", message: msg }));
     } else {
@@ -276,26 +453,139 @@ async function publish(args = {}) {
     process.exit(1);
   }
 
-  // ── Step 8: Get Docker image digest (required) ─────────────────
+  // The hash pins whatever is hosted, so it has to be the manifest we just validated
+  const hosted = compareHostedManifest(manifestPath, manifest, manifestContent);
+  // Not up to the rule config: a manifest that is not JSON can be neither compared nor signed
+  const hostedFailures = hosted.manifest
+    ? hosted.report.findings.filter((r) => r.level === "fail")
+    : [{ rule: "manifest/invalid-json", message: "not a JSON object", path: null }];
+  if (hostedFailures.length > 0) {
+    const msg = `The manifest at ${manifestShaSource} fails validation`;
+    if (ci) {
+      console.error(JSON.stringify({
+        error: "hosted_manifest_invalid",
+        message: msg,
+        findings: hostedFailures.map((r) => ({ rule: r.rule, message: r.message, path: r.path })),
+      }));
+    } else {
+      console.error(`  \x1b[31m\u2718\x1b[0m ${msg}:\n`);
+      for (const r of hostedFailures) console.error(`    \x1b[31m\u2718\x1b[0m ${r.message}  \x1b[2m${r.rule}\x1b[0m`);
+      console.error("\n  Push a valid plugin.json, then re-run publish.\n");
+    }
+    process.exit(1);
+  }
 
-  log("  Step 6: Resolving Docker image digest...\n");
-  const imageDigest = getImageDigest(manifest.image);
-  if (imageDigest) {
-    log(`  \x1b[32m\u2714\x1b[0m image_digest: ${imageDigest.slice(0, 23)}...\n`);
+  const drift = hosted.differences;
+  if (drift.length > 0) {
+    const allowDrift = !!args["allow-manifest-drift"];
+    const pinned = drift.filter((d) => PINNED_FIELDS.includes(d.path));
+    const allowed = allowDrift && pinned.length === 0;
+    let msg = `The manifest at ${manifestShaSource} does not match plugin.json (${drift.length} field(s) differ)`;
+    if (allowDrift && !allowed) {
+      msg += `; --allow-manifest-drift does not cover ${pinned.map((d) => d.path).join(", ")}`;
+    }
+    if (ci && !allowed) {
+      console.error(JSON.stringify({ error: "manifest_drift", message: msg, differences: drift }));
+    } else if (!ci) {
+      const mark = allowed ? "\x1b[33m\u26A0\x1b[0m" : "\x1b[31m\u2718\x1b[0m";
+      const out = allowed ? console.log : console.error;
+      out(`  ${mark} ${msg}:\n`);
+      for (const d of drift) {
+        out(`    ${d.path || "(entire manifest)"}`);
+        out(`      \x1b[31m- plugin.json: ${showValue(d.local)}\x1b[0m`);
+        out(`      \x1b[32m+ hosted:      ${showValue(d.hosted)}\x1b[0m`);
+      }
+      if (allowed) {
+        out("\n  \x1b[2mContinuing (--allow-manifest-drift): the entry's fields come from plugin.json; manifest_sha256 pins the hosted copy\x1b[0m\n");
+      } else if (allowDrift) {
+        out(`\n  Push plugin.json so the hosted ${PINNED_FIELDS.join(", ")} match, then re-run publish.\n`);
+      } else {
+        out("\n  Push plugin.json so the hosted copy matches, or pass --allow-manifest-drift.\n");
+      }
+    }
+    if (!allowed) process.exit(1);
   } else {
-    const msg = `Could not resolve digest for ${manifest.image}. The image must be built and pushed before publishing.`;
+    log(`  \x1b[32m\u2714\x1b[0m Hosted manifest matches plugin.json\n`);
+  }
+
+  // ── Step 7: Resolve image digest (required) ────────────────────
+
+  step("Resolving image digest...");
+  let imageDigest = givenDigest;
+  let imagePlatforms = null;
+  const warnings = [];
+  if (!imageDigest) {
+    try {
+      const oci = createOciClient({
+        baseUrl: typeof args["image-registry-url"] === "string" ? args["image-registry-url"] : undefined,
+      });
+      const resolved = await oci.resolveImage(manifest.image);
+      imageDigest = resolved.digest;
+      imagePlatforms = resolved.platforms;
+    } catch (err) {
+      const msg = `Could not resolve digest for ${manifest.image}: ${err.message}. The image must be built and pushed before publishing.`;
+      if (ci) {
+        console.error(JSON.stringify({ error: "image_digest_unavailable", message: msg }));
+      } else {
+        console.error(`  \x1b[31m\u2718\x1b[0m ${msg}`);
+        console.error("  Push your image first (or pass --image-digest), then re-run publish.\n");
+      }
+      process.exit(1);
+    }
+  }
+  log(`  \x1b[32m\u2714\x1b[0m image_digest: ${imageDigest.slice(0, 23)}...${givenDigest ? " (from --image-digest)" : ""}\n`);
+
+  if (imagePlatforms) {
+    const missing = missingArchitectures(imagePlatforms);
+    if (imagePlatforms.length === 0) {
+      warnings.push(`Could not determine the platforms ${manifest.image} is built for`);
+    } else if (missing.length > 0) {
+      warnings.push(`${manifest.image} has no ${missing.join(" or ")} build (platforms: ${imagePlatforms.join(", ")})`);
+    } else {
+      log(`  \x1b[32m\u2714\x1b[0m Platforms: ${imagePlatforms.join(", ")}\n`);
+    }
+  }
+  for (const w of warnings) log(`  \x1b[33m\u26A0\x1b[0m ${w}\n`);
+
+  const versionCheck = checkVersionChange(
+    existing,
+    { version: manifest.version, imageDigest, manifestSha256 },
+    { force: !!args.force }
+  );
+  if (versionCheck.error) {
     if (ci) {
-      console.error(JSON.stringify({ error: "image_digest_unavailable", message: msg }));
+      console.error(JSON.stringify({ error: versionCheck.error, message: versionCheck.message }));
     } else {
-      console.error(`  \x1b[31m\u2718\x1b[0m ${msg}`);
-      console.error("  Push your image first, then re-run publish.\n");
+      console.error(`  \x1b[31m\u2718\x1b[0m ${versionCheck.message}\n`);
     }
     process.exit(1);
   }
+  const rollback = versionCheck.rollback;
+  if (rollback) {
+    log(`  \x1b[33m\u26A0\x1b[0m Rolling back ${manifest.id} from ${rollback} to ${manifest.version} (--force)\n`);
+  }
 
-  // ── Step 9: Build YAML entry ───────────────────────────────────
+  const publisherCheck = checkPublisher(
+    existing,
+    signingKey ? signingKey.fingerprint : null,
+    { allowKeyChange: !!args["allow-key-change"] }
+  );
+  if (publisherCheck.error) {
+    if (ci) {
+      console.error(JSON.stringify({ error: publisherCheck.error, message: publisherCheck.message }));
+    } else {
+      console.error(`  \x1b[31m\u2718\x1b[0m ${publisherCheck.message}\n`);
+    }
+    process.exit(1);
+  }
+  const previousKey = publisherCheck.previousKey;
+  if (previousKey) {
+    log(`  \x1b[33m\u26A0\x1b[0m Changing the signing key from ${previousKey} (--allow-key-change)\n`);
+  }
 
-  const entry = {
+  // ── Step 8: Build YAML entry ───────────────────────────────────
+
+  let entry = mergeEntry(existing.entry, {
     author: manifest.author || ghUser,
     author_url: manifest.homepage
       ? manifest.homepage.replace(/\/[^/]+$/, "")
@@ -315,9 +605,32 @@ async function publish(args = {}) {
     name: manifest.name,
     status: "active",
     version: manifest.version,
-  };
+    // Publishing a new release reactivates a deprecated plugin
+    ...Object.fromEntries(DEPRECATION_FIELDS.map((key) => [key, undefined])),
+    // Signed again below; an old signature would not match the new fields
+    ...Object.fromEntries(SIGNATURE_FIELDS.map((key) => [key, undefined])),
+  });
+
+  if (signingKey) {
+    entry = mergeEntry(entry, signEntry(entry, hosted.manifest, signingKey.key));
+    log(`  \x1b[32m\u2714\x1b[0m Signed with ${signingKey.fingerprint} (${signingKey.source})\n`);
+  } else {
+    log("  \x1b[2mNot signed — run `nexus-plugin keys generate` to sign registry entries\x1b[0m\n");
+  }
+
+  const entryProblems = checkEntry(entry);
+  if (entryProblems.length > 0) {
+    if (ci) {
+      console.error(JSON.stringify({ error: "invalid_entry", message: entryProblems.join("; ") }));
+    } else {
+      console.error("  \x1b[31mThe registry entry would be invalid:\x1b[0m");
+      for (const p of entryProblems) console.error(`  \x1b[31m\u2718\x1b[0m ${p}`);
+      console.error("");
+    }
+    process.exit(1);
+  }
 
-  const yamlContent = buildPluginYaml(entry);
+  const yamlContent = formatEntry(entry);
 
   if (!ci) {
     console.log("  \x1b[1mRegistry entry:\x1b[0m\n");
@@ -327,123 +640,78 @@ async function publish(args = {}) {
     console.log("");
   }
 
-  // ── Step 10: Create branch and commit YAML ─────────────────────
-
-  const action = isUpdate ? "update" : "add";
-  const branch = `${action}-${manifest.id.replace(/\./g, "-")}-${manifest.version.replace(/\./g, "-")}`;
-  log(`  Step 7: Creating branch "${branch}" on fork...\n`);
-
-  // Sync fork with upstream
-  execSafe(`gh repo sync ${ghUser}/${REGISTRY_REPO}`);
-
-  const defaultSha = exec(
-    `gh api repos/${ghUser}/${REGISTRY_REPO}/git/ref/heads/main --jq .object.sha`
-  );
-
-  // Delete stale branch if it exists
-  execSafe(
-    `gh api repos/${ghUser}/${REGISTRY_REPO}/git/refs/heads/${branch} -X DELETE 2>/dev/null`
-  );
-
-  exec(
-    `gh api repos/${ghUser}/${REGISTRY_REPO}/git/refs -f ref=refs/heads/${branch} -f sha=${defaultSha}`
-  );
-
-  log(`  \x1b[32m\u2714\x1b[0m Branch created\n`);
-
-  // Commit the YAML file
-  log("  Step 8: Committing plugin entry...\n");
-  const contentBase64 = Buffer.from(yamlContent).toString("base64");
-
-  const commitMsg = isUpdate
-    ? `Update plugins/${manifest.id} to ${manifest.version}`
-    : `Add plugins/${manifest.id} ${manifest.version}`;
-
-  // If updating, we need the file SHA on the branch to overwrite
-  const putArgs = [
-    `gh api repos/${ghUser}/${REGISTRY_REPO}/contents/${yamlFile}`,
-    `-X PUT`,
-    `-f message="${commitMsg}"`,
-    `-f content="${contentBase64}"`,
-    `-f branch="${branch}"`,
-  ];
-
-  if (isUpdate) {
-    // Get the SHA of the file on the branch (just created from main, so same as main)
-    const fileSha = exec(
-      `gh api repos/${ghUser}/${REGISTRY_REPO}/contents/${yamlFile}?ref=${branch} --jq .sha`
+  const branch = branchName(manifest, isUpdate);
+  const commitMsg = commitMessage(manifest, isUpdate);
+  const title = prTitle(manifest, isUpdate);
+  const body = prBody(manifest, entry, isUpdate, rollback, previousKey);
+
+  if (dryRun) {
+    printPlan(
+      {
+        ok: true,
+        dry_run: true,
+        registry: settings.label,
+        backend: settings.backend,
+        id: manifest.id,
+        version: manifest.version,
+        is_update: isUpdate,
+        rollback_from: rollback,
+        yaml_file: yamlFile,
+        yaml: yamlContent,
+        branch,
+        commit_message: commitMsg,
+        pr_title: title,
+        pr_body: body,
+        image_digest: imageDigest,
+        image_digest_source: givenDigest ? "--image-digest" : "registry",
+        image_platforms: imagePlatforms,
+        key_fingerprint: entry.key_fingerprint || null,
+        key_changed_from: previousKey,
+        manifest_sha256: manifestSha256,
+        manifest_sha256_source: manifestShaSource,
+        manifest_drift: drift,
+        warnings,
+      },
+      { ci, outDir: typeof args.out === "string" ? args.out : null }
     );
-    putArgs.push(`-f sha="${fileSha}"`);
+    return;
   }
 
-  exec(putArgs.join(" "));
-  log(`  \x1b[32m\u2714\x1b[0m Committed ${yamlFile}\n`);
-
-  // ── Step 11: Open PR ───────────────────────────────────────────
-
-  log("  Step 9: Opening pull request...\n");
+  // ── Step 9: Branch, commit and open the PR ─────────────────────
 
-  const prTitle = isUpdate
-    ? `Update plugin: ${manifest.name} ${manifest.version}`
-    : `Add plugin: ${manifest.name}`;
-
-  const prDescription = isUpdate ? "Updates" : "Adds";
-  const prBody = [
-    `${prDescription} **${manifest.name}** (\`${manifest.id}\`) ${isUpdate ? `to v${manifest.version}` : "to the community registry"}.`,
-    "",
-    `| Field | Value |`,
-    `|-------|-------|`,
-    `| Image | \`${manifest.image}\` |`,
-    `| Version | ${manifest.version} |`,
-    `| License | ${entry.license} |`,
-    `| Manifest | ${manifestUrl} |`,
-    imageDigest ? `| Image Digest | \`${imageDigest.slice(0, 19)}...\` |` : null,
-    manifestSha256 ? `| Manifest SHA | \`${manifestSha256.slice(0, 16)}...\` |` : null,
-    "",
-    `Submitted via \`nexus-plugin publish\``,
-  ].filter(Boolean).join("\n");
-
-  // Write body to temp file to avoid shell escaping issues with backticks
-  const bodyFile = path.join(os.tmpdir(), `nexus-publish-pr-${Date.now()}.md`);
-  fs.writeFileSync(bodyFile, prBody);
-
-  let prUrl;
-  try {
-    prUrl = exec(
-      `gh pr create ` +
-        `--repo ${REGISTRY_OWNER}/${REGISTRY_REPO} ` +
-        `--head ${ghUser}:${branch} ` +
-        `--title "${prTitle}" ` +
-        `--body-file "${bodyFile}"`
-    );
-  } finally {
-    try { fs.unlinkSync(bodyFile); } catch {}
-  }
-
-  // ── Step 12: Auto-merge (owner only) ──────────────────────────
-
-  if (ghUser === REGISTRY_OWNER) {
-    log("  Step 10: Enabling auto-merge...\n");
-    execSafe(`gh pr merge --auto --squash --delete-branch "${prUrl}"`);
-  }
+  const submitted = await target.submit(
+    { branch, file: yamlFile, content: yamlContent, message: commitMsg, title, body },
+    { log, step }
+  );
 
   // ── Done ───────────────────────────────────────────────────────
 
   if (ci) {
     console.log(JSON.stringify({
       ok: true,
-      pr_url: prUrl,
+      registry: settings.label,
+      backend: settings.backend,
+      pr_url: submitted.url,
+      commit: submitted.commit,
       branch,
       id: manifest.id,
       version: manifest.version,
       is_update: isUpdate,
+      rollback_from: rollback,
       image_digest: imageDigest,
+      image_platforms: imagePlatforms,
+      key_fingerprint: entry.key_fingerprint || null,
+      key_changed_from: previousKey,
       manifest_sha256: manifestSha256,
+      manifest_drift: drift,
+      warnings,
     }));
-  } else {
+  } else if (submitted.url) {
     console.log(`  \x1b[32m\u2714 Pull request created!\x1b[0m`);
-    console.log(`  ${prUrl}\n`);
+    console.log(`  ${submitted.url}\n`);
+  } else {
+    console.log(`  \x1b[32m\u2714 Committed ${submitted.commit.slice(0, 7)} to ${settings.label}\x1b[0m\n`);
   }
 }
 
-module.exports = { publish };
+module.exports = { publish, checkPublishInputs, checkVersionChange };
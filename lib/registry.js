@@ -0,0 +1,546 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseEntry } = require("./entry");
+const { createGitHub, resolveToken, GitHubError } = require("./github");
+const { git, gitRoot, gitErrorDetail } = require("./git");
+const { loadConfig } = require("./rules");
+
+// ── Registry ───────────────────────────────────────────────────
+//
+// A registry is a repository with one plugins/<id>.yaml per plugin. By
+// default it is the community registry on GitHub, where changes are
+// proposed as pull requests from the user's fork. Other registries can be
+// configured (see resolveRegistry) along with how changes reach them:
+//
+//   github-fork    branch on the user's fork, PR upstream (the owner
+//                  branches the registry itself)
+//   github-direct  branch on the registry itself and open a PR; needs push
+//                  access, no fork
+//   local          write the entry into a git checkout and commit it; no
+//                  network at all
+
+const REGISTRY_OWNER = "imdanibytes";
+const REGISTRY_REPO = "registry";
+const ENTRIES_DIR = "plugins";
+const DEFAULT_BRANCH = "main";
+const REPO_RE = /^([A-Za-z0-9-]+)\/([A-Za-z0-9._-]+)$/;
+const BACKENDS = ["github-fork", "github-direct", "local"];
+
+const PLUGIN_ID_RE = /^[a-z0-9]+(?:[._-][a-z0-9]+)*$/i;
+const MAX_ID_LENGTH = 100;
+const BRANCH_RE = /^[A-Za-z0-9][A-Za-z0-9._+-]{0,254}$/;
+// Configured base branches may be namespaced ("release/plugins")
+const BASE_BRANCH_RE = /^[A-Za-z0-9][A-Za-z0-9._+-]*(?:\/[A-Za-z0-9._+-]+)*$/;
+
+/** Plugin ids end up in file paths and branch names, so they are held to a strict format. */
+function isValidPluginId(id) {
+  return typeof id === "string" && id.length <= MAX_ID_LENGTH && PLUGIN_ID_RE.test(id);
+}
+
+function entryPath(id) {
+  return `${ENTRIES_DIR}/${id}.yaml`;
+}
+
+/** Branch name for a registry change; throws if git would not accept it as-is. */
+function safeBranch(branch) {
+  if (!BRANCH_RE.test(branch) || branch.includes("..") || branch.endsWith(".lock")) {
+    throw new Error(`Refusing to use unsafe branch name ${JSON.stringify(branch)}`);
+  }
+  return branch;
+}
+
+/** A `step(text)` that prints "Step N: text", numbering from `first`. */
+function stepper(log, first = 1) {
+  let n = first;
+  return (text) => log(`  Step ${n++}: ${text}\n`);
+}
+
+// ── Registry settings ──────────────────────────────────────────
+
+function isDirectory(p) {
+  try {
+    return fs.statSync(p).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/** A --registry / NEXUS_REGISTRY value: an existing directory is a local checkout, else owner/repo. */
+function parseLocation(value, from) {
+  if (isDirectory(value)) return { type: "local", dir: path.resolve(value), label: value };
+  const match = REPO_RE.exec(value);
+  if (!match) throw new Error(`${from} must be a local registry checkout or owner/repo, got ${JSON.stringify(value)}`);
+  return { type: "github", owner: match[1], repo: match[2], label: value };
+}
+
+/** The "registry" section of the nexus-plugin config: "owner/repo" or an object. */
+function configSection(config, file) {
+  const name = file ? path.basename(file) : null;
+  const section = config.registry;
+  if (section === undefined) return {};
+  if (typeof section === "string") return { repo: section };
+  if (!section || typeof section !== "object" || Array.isArray(section)) {
+    throw new Error(`${name}: "registry" must be "owner/repo" or an object`);
+  }
+  for (const [key, value] of Object.entries(section)) {
+    if (!["repo", "path", "backend", "branch", "api_url"].includes(key)) {
+      throw new Error(`${name}: unknown registry setting "${key}"`);
+    }
+    if (typeof value !== "string" || value === "") {
+      throw new Error(`${name}: registry.${key} must be a non-empty string`);
+    }
+  }
+  if (section.repo && section.path) throw new Error(`${name}: set registry.repo or registry.path, not both`);
+  return section;
+}
+
+/**
+ * Which registry to use and how to submit to it. Each setting comes from
+ * the first of: a flag (--registry, --registry-backend, --registry-branch,
+ * --github-api-url), the environment (NEXUS_REGISTRY,
+ * NEXUS_REGISTRY_BACKEND, NEXUS_REGISTRY_BRANCH, GITHUB_API_URL), the
+ * "registry" section of the config in `dir`, or the default (the community
+ * registry, github-fork, main).
+ * Returns { type, backend, owner, repo, dir, branch, apiUrl, label }.
+ * Throws with a user-facing message on invalid settings.
+ */
+function resolveRegistry(args = {}, { dir = process.cwd(), env = process.env } = {}) {
+  const { file, config } = loadConfig(dir);
+  const section = configSection(config, file);
+  const name = file ? path.basename(file) : null;
+
+  // Highest precedence first; `level` ranks where a setting came from
+  const setting = (flag, envKey, key) => {
+    if (typeof args[flag] === "string" && args[flag] !== "") return { value: args[flag], from: `--${flag}`, level: 0 };
+    if (env[envKey]) return { value: env[envKey], from: envKey, level: 1 };
+    if (section[key] !== undefined) return { value: section[key], from: `${name} registry.${key}`, level: 2 };
+    return null;
+  };
+
+  let location;
+  let locationLevel = 3;
+  const given = setting("registry", "NEXUS_REGISTRY", "repo");
+  if (given) {
+    location = parseLocation(given.value, given.from);
+    locationLevel = given.level;
+  } else if (section.path) {
+    // Relative to the config file, not to wherever the command runs
+    const resolved = path.resolve(path.dirname(file), section.path);
+    if (!isDirectory(resolved)) throw new Error(`${name} registry.path: ${resolved} is not a directory`);
+    location = { type: "local", dir: resolved, label: section.path };
+    locationLevel = 2;
+  } else {
+    location = { type: "github", owner: REGISTRY_OWNER, repo: REGISTRY_REPO, label: `${REGISTRY_OWNER}/${REGISTRY_REPO}` };
+  }
+
+  let backend = location.type === "local" ? "local" : "github-fork";
+  const chosen = setting("registry-backend", "NEXUS_REGISTRY_BACKEND", "backend");
+  if (chosen) {
+    if (!BACKENDS.includes(chosen.value)) {
+      throw new Error(`${chosen.from} must be one of ${BACKENDS.join(", ")}, got ${JSON.stringify(chosen.value)}`);
+    }
+    const fits = (chosen.value === "local") === (location.type === "local");
+    if (fits) {
+      backend = chosen.value;
+    } else if (chosen.level <= locationLevel) {
+      throw new Error(
+        chosen.value === "local"
+          ? `${chosen.from} local needs a local registry checkout, not ${location.label}`
+          : `${chosen.from} ${chosen.value} needs an owner/repo registry, not the directory ${location.label}`
+      );
+    }
+    // Otherwise a more specific location (e.g. --registry) overrides a configured backend
+  }
+
+  const branchSetting = setting("registry-branch", "NEXUS_REGISTRY_BRANCH", "branch");
+  const branch = branchSetting ? branchSetting.value : location.type === "local" ? null : DEFAULT_BRANCH;
+  if (branch !== null && (!BASE_BRANCH_RE.test(branch) || branch.includes("..") || branch.endsWith(".lock"))) {
+    throw new Error(`${branchSetting.from} is not a valid branch name: ${JSON.stringify(branch)}`);
+  }
+
+  const apiUrl = setting("github-api-url", "GITHUB_API_URL", "api_url");
+  return {
+    type: location.type,
+    backend,
+    owner: location.owner || null,
+    repo: location.repo || null,
+    dir: location.dir || null,
+    branch,
+    apiUrl: apiUrl ? apiUrl.value : undefined,
+    label: location.label,
+  };
+}
+
+// ── Backends ───────────────────────────────────────────────────
+//
+// connect() returns { settings, user, fetchEntry(id), submit(change) } for
+// the configured backend, so publish, deprecate and unpublish never need
+// to know which one they are talking to.
+
+/**
+ * A registry entry file's contents as { exists, content, sha, entry,
+ * created_at, version, image_digest, manifest_sha256, key_fingerprint,
+ * categories }.
+ */
+function describeEntry(yamlFile, content, sha) {
+  let entry;
+  try {
+    entry = parseEntry(content);
+  } catch (err) {
+    // Rewriting an entry we cannot read would drop whatever is in it
+    throw new Error(`Existing registry entry ${yamlFile} could not be parsed: ${err.message}`);
+  }
+
+  const text = (key) => (typeof entry[key] === "string" ? entry[key] : null);
+  return {
+    exists: true,
+    content,
+    sha,
+    entry,
+    created_at: text("created_at"),
+    version: text("version"),
+    image_digest: text("image_digest"),
+    manifest_sha256: text("manifest_sha256"),
+    key_fingerprint: text("key_fingerprint"),
+    categories: Array.isArray(entry.categories) ? entry.categories.filter((c) => typeof c === "string") : [],
+  };
+}
+
+function exitWith(ci, error, message, hints = []) {
+  if (ci) {
+    console.error(JSON.stringify({ error, message }));
+  } else {
+    console.error(`  \x1b[31m${message}\x1b[0m`);
+    for (const hint of hints) console.error(`  ${hint}`);
+    console.error("");
+  }
+  process.exit(1);
+}
+
+/**
+ * Authenticate with GitHub and, for github-fork, make sure the fork
+ * exists. Exits with `gh_auth_failed` when no usable token is found.
+ */
+async function connectGitHub(settings, { ci, log, step }) {
+  const { owner, repo, branch: base } = settings;
+
+  step("Checking GitHub authentication...");
+  const token = resolveToken();
+  let authError = token ? null : "No GitHub token found.";
+  let github = null;
+  let user = null;
+  if (token) {
+    github = createGitHub({ token, apiUrl: settings.apiUrl });
+    try {
+      user = await github.getLogin();
+    } catch (err) {
+      authError = `GitHub rejected the token: ${err.message}`;
+    }
+  }
+  if (authError) {
+    exitWith(
+      ci,
+      "gh_auth_failed",
+      ci ? `${authError} Set GITHUB_TOKEN or GH_TOKEN.` : authError,
+      ["Set GITHUB_TOKEN (or GH_TOKEN) to a token with repo access,", "or install the GitHub CLI and run: gh auth login"]
+    );
+  }
+  log(`  \x1b[32m✔\x1b[0m Authenticated as ${user}\n`);
+
+  // The owner (and anyone pushing directly) branches the registry itself
+  const headOwner = settings.backend === "github-fork" ? user : owner;
+  let headRepo = repo;
+  if (headOwner !== owner) {
+    step("Ensuring registry fork...");
+    const fork = await github.fork(owner, repo);
+    // GitHub renames the fork when the user already has a repo by that name
+    headRepo = fork.full_name.split("/")[1];
+    log(`  \x1b[32m✔\x1b[0m Fork ready\n`);
+  }
+
+  return {
+    settings,
+    user,
+
+    /** The plugin's entry on the base branch, or { exists: false }. */
+    async fetchEntry(id) {
+      const yamlFile = entryPath(id);
+      const file = await github.getFile(owner, repo, yamlFile, base);
+      return file ? describeEntry(yamlFile, file.content, file.sha) : { exists: false };
+    },
+
+    /**
+     * Propose one file change: (re)create `branch` from the base branch,
+     * write `content` to `file` (or delete it when content is null), open
+     * a PR and label it. Labels and auto-merge are best effort.
+     * Returns { url, number, commit: null }.
+     */
+    async submit({ branch, file, content, message, title, body, labels = [] }, { log, step }) {
+      step(`Creating branch "${branch}" on ${headOwner}/${headRepo}...`);
+
+      // Sync fork with upstream (best effort — a fresh fork is already current)
+      if (headOwner !== owner) {
+        try {
+          await github.syncFork(headOwner, headRepo, base);
+        } catch {}
+      }
+
+      const baseSha = await github.getBranchSha(headOwner, headRepo, base);
+
+      // Delete stale branch if it exists
+      await github.deleteBranch(headOwner, headRepo, branch);
+
+      await github.createBranch(headOwner, headRepo, branch, baseSha);
+      log(`  \x1b[32m✔\x1b[0m Branch created\n`);
+
+      step(content === null ? "Removing plugin entry..." : "Committing plugin entry...");
+      // The branch was just created from the base, so its copy is the base's
+      const onBranch = await github.getFile(headOwner, headRepo, file, branch);
+      if (content === null) {
+        if (!onBranch) throw new Error(`${file} does not exist on ${headOwner}/${headRepo}`);
+        await github.deleteFile(headOwner, headRepo, file, { message, branch, sha: onBranch.sha });
+        log(`  \x1b[32m✔\x1b[0m Removed ${file}\n`);
+      } else {
+        await github.putFile(headOwner, headRepo, file, {
+          content,
+          message,
+          branch,
+          sha: onBranch ? onBranch.sha : undefined,
+        });
+        log(`  \x1b[32m✔\x1b[0m Committed ${file}\n`);
+      }
+
+      step("Opening pull request...");
+      const pr = await github.createPullRequest(owner, repo, {
+        title,
+        body,
+        head: `${headOwner}:${branch}`,
+        base,
+      });
+
+      if (labels.length > 0) {
+        try {
+          await github.addLabels(owner, repo, pr.number, labels);
+        } catch (err) {
+          // Only collaborators may label; maintainers triage the rest by title
+          if (!(err instanceof GitHubError)) throw err;
+        }
+      }
+
+      // Only the registry owner merges their own submissions unreviewed
+      if (user === owner) {
+        step("Enabling auto-merge...");
+        let queued = false;
+        try {
+          await github.enableAutoMerge(pr.node_id);
+          queued = true;
+        } catch (err) {
+          // GitHub refuses auto-merge when nothing is left to wait for (no
+          // required checks); merge now and clean up, as `gh pr merge --auto` does
+          if (err instanceof GitHubError && /clean status/i.test(err.message)) {
+            try {
+              await github.mergePullRequest(owner, repo, pr.number);
+              log(`  \x1b[32m✔\x1b[0m Merged\n`);
+              await github.deleteBranch(headOwner, headRepo, branch);
+            } catch {}
+          }
+        }
+        // A queued merge only removes the branch if the repository is set to
+        if (queued) {
+          const meta = await github.getRepo(owner, repo).catch(() => null);
+          if (meta && meta.delete_branch_on_merge === false) {
+            log(`  \x1b[33m⚠\x1b[0m ${branch} stays on ${owner}/${repo} after merging; turn on "Automatically delete head branches" in its settings\n`);
+          }
+        }
+      }
+
+      return { url: pr.html_url, number: pr.number, commit: null };
+    },
+  };
+}
+
+/**
+ * Use a local git checkout of the registry. Exits with
+ * `registry_unavailable` when the directory is not a git work tree or is
+ * not on the configured branch.
+ */
+function connectLocal(settings, { ci, log, step }) {
+  const { dir, label } = settings;
+
+  step("Checking registry checkout...");
+  if (!gitRoot(dir)) exitWith(ci, "registry_unavailable", `${label} is not a git checkout`);
+  if (settings.branch) {
+    let current = null;
+    try {
+      current = git(dir, ["symbolic-ref", "--quiet", "--short", "HEAD"]);
+    } catch {}
+    if (current !== settings.branch) {
+      exitWith(ci, "registry_unavailable", `${label} is on ${current || "a detached HEAD"}, not ${settings.branch}`);
+    }
+  }
+  log(`  \x1b[32m✔\x1b[0m Using ${label}\n`);
+
+  return {
+    settings,
+    // No GitHub identity here; the account name fills in for the login
+    user: os.userInfo().username,
+
+    /** The plugin's entry in the work tree, or { exists: false }. */
+    async fetchEntry(id) {
+      const yamlFile = entryPath(id);
+      const full = path.join(dir, yamlFile);
+      if (!fs.existsSync(full)) return { exists: false };
+      return describeEntry(yamlFile, fs.readFileSync(full, "utf8"), null);
+    },
+
+    /**
+     * Write `content` to `file` (or delete it when content is null) and
+     * commit just that file on the current branch, with the PR body as
+     * the commit body. Returns { url: null, number: null, commit }.
+     */
+    async submit({ file, content, message, body }, { log, step }) {
+      const full = path.join(dir, file);
+      step(content === null ? "Removing plugin entry..." : "Committing plugin entry...");
+      if (content === null) {
+        if (!fs.existsSync(full)) throw new Error(`${file} does not exist in ${label}`);
+        fs.unlinkSync(full);
+      } else {
+        fs.mkdirSync(path.dirname(full), { recursive: true });
+        fs.writeFileSync(full, content);
+      }
+
+      let commit;
+      try {
+        git(dir, ["add", "--all", "--", file]);
+        git(dir, ["commit", "--quiet", "-m", message, "-m", body, "--", file]);
+        commit = git(dir, ["rev-parse", "HEAD"]);
+      } catch (err) {
+        throw new Error(`${file} was ${content === null ? "removed" : "written"}, but git failed: ${gitErrorDetail(err)}`);
+      }
+      log(`  \x1b[32m✔\x1b[0m ${content === null ? "Removed" : "Committed"} ${file}\n`);
+      return { url: null, number: null, commit };
+    },
+  };
+}
+
+/**
+ * Connect to the registry described by `settings` (from resolveRegistry),
+ * logging progress through `step`.
+ * Returns { settings, user, fetchEntry(id), submit(change, { log, step }) }.
+ */
+async function connect(settings, { ci, log, step }) {
+  return settings.backend === "local"
+    ? connectLocal(settings, { ci, log, step })
+    : connectGitHub(settings, { ci, log, step });
+}
+
+// ── Reading entries ────────────────────────────────────────────
+
+/** Read-only GitHub client: uses a token when one is available, anonymous otherwise. */
+function readClient(settings) {
+  return createGitHub({ token: resolveToken(), apiUrl: settings.apiUrl });
+}
+
+const READ_CONCURRENCY = 8;
+
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function readRemoteFile(github, settings, item) {
+  // Raw downloads don't count against the API rate limit
+  if (item.download_url) {
+    const res = await fetch(item.download_url, { signal: AbortSignal.timeout(30000) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.text();
+  }
+  const file = await github.getFile(settings.owner, settings.repo, item.path, settings.branch);
+  if (!file) throw new Error("not found");
+  return file.content;
+}
+
+/**
+ * Every entry in the registry (from resolveRegistry), sorted by file name.
+ * Entries that cannot be read or parsed are reported in `problems` rather
+ * than failing the read.
+ * Returns { entries: [{ file, entry }], problems: [{ file, message }] }.
+ */
+async function readEntries(settings) {
+  let files;
+  if (settings.type === "local") {
+    const dir = path.join(settings.dir, ENTRIES_DIR);
+    if (!fs.existsSync(dir)) throw new Error(`${settings.label} has no ${ENTRIES_DIR}/ directory`);
+    files = fs.readdirSync(dir)
+      .filter((name) => name.endsWith(".yaml"))
+      .map((name) => ({ file: `${ENTRIES_DIR}/${name}`, read: () => fs.readFileSync(path.join(dir, name), "utf8") }));
+  } else {
+    const github = readClient(settings);
+    const listing = await github.listDirectory(settings.owner, settings.repo, ENTRIES_DIR, settings.branch);
+    if (!listing) throw new Error(`${settings.label} has no ${ENTRIES_DIR}/ directory`);
+    files = listing
+      .filter((item) => item.type === "file" && item.name.endsWith(".yaml"))
+      .map((item) => ({ file: item.path, read: () => readRemoteFile(github, settings, item) }));
+  }
+  files.sort((a, b) => (a.file < b.file ? -1 : a.file > b.file ? 1 : 0));
+
+  const entries = [];
+  const problems = [];
+  const loaded = await mapLimit(files, READ_CONCURRENCY, async ({ file, read }) => {
+    try {
+      return { file, entry: parseEntry(await read()) };
+    } catch (err) {
+      return { file, error: err.message };
+    }
+  });
+  for (const r of loaded) {
+    if (r.error) problems.push({ file: r.file, message: r.error });
+    else entries.push({ file: r.file, entry: r.entry });
+  }
+  return { entries, problems };
+}
+
+/** One plugin's entry from the registry, or null if it has none. Throws if it cannot be parsed. */
+async function readEntry(settings, id) {
+  const file = entryPath(id);
+  let text;
+  if (settings.type === "local") {
+    const full = path.join(settings.dir, file);
+    if (!fs.existsSync(full)) return null;
+    text = fs.readFileSync(full, "utf8");
+  } else {
+    const found = await readClient(settings).getFile(settings.owner, settings.repo, file, settings.branch);
+    if (!found) return null;
+    text = found.content;
+  }
+  try {
+    return parseEntry(text);
+  } catch (err) {
+    throw new Error(`${file} could not be parsed: ${err.message}`);
+  }
+}
+
+module.exports = {
+  REGISTRY_OWNER,
+  REGISTRY_REPO,
+  BACKENDS,
+  isValidPluginId,
+  entryPath,
+  safeBranch,
+  resolveRegistry,
+  connect,
+  readEntries,
+  readEntry,
+  stepper,
+};
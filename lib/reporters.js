@@ -0,0 +1,273 @@
+"use strict";
+
+const path = require("path");
+const { RULES } = require("./rules");
+
+// ── Validation reporters ───────────────────────────────────────
+//
+// Each reporter receives one report per validated plugin:
+//   { manifestPath, id, findings, errors, warnings }
+// with findings shaped
+//   { level: "pass"|"fail"|"warn", rule, message, file, line, column, path }
+// where file/line/column are null when a finding has no location.
+
+const PASS = "\x1b[32m\u2714\x1b[0m";
+const FAIL = "\x1b[31m\u2718\x1b[0m";
+const WARN_SYM = "\x1b[33m\u26A0\x1b[0m";
+
+const TOOL_NAME = "nexus-plugin";
+const TOOL_URI = "https://github.com/imdanibytes/nexus-plugin-cli";
+
+/** Path relative to the working directory, with forward slashes. */
+function relPath(file) {
+  return (path.relative(process.cwd(), file) || file).split(path.sep).join("/");
+}
+
+function ruleHint(r) {
+  return r.rule ? `  \x1b[2m${r.rule}\x1b[0m` : "";
+}
+
+function summaryLine(errors, warnings) {
+  if (errors === 0) {
+    return `\x1b[32mValidation passed\x1b[0m${warnings > 0 ? ` with ${warnings} warning(s)` : ""}`;
+  }
+  return `\x1b[31m${errors} error(s)\x1b[0m${warnings > 0 ? `, ${warnings} warning(s)` : ""}`;
+}
+
+function text(reports) {
+  for (const { manifestPath, findings, errors, warnings } of reports) {
+    console.log(`\n  Validating ${path.relative(process.cwd(), manifestPath) || manifestPath}\n`);
+    for (const r of findings) {
+      if (r.level === "pass") console.log(`  ${PASS} ${r.message}`);
+      else if (r.level === "fail") console.log(`  ${FAIL} ${r.message}${ruleHint(r)}`);
+      else console.log(`  ${WARN_SYM} ${r.message}${ruleHint(r)}`);
+    }
+    console.log(`\n  ${summaryLine(errors, warnings)}\n`);
+  }
+  if (reports.length > 1) summaryTable(reports);
+}
+
+function summaryTable(reports) {
+  const rows = reports.map((r) => ({
+    plugin: relPath(r.manifestPath),
+    id: r.id || "-",
+    errors: r.errors,
+    warnings: r.warnings,
+  }));
+  const pluginWidth = Math.max("Plugin".length, ...rows.map((r) => r.plugin.length));
+  const idWidth = Math.max("ID".length, ...rows.map((r) => r.id.length));
+
+  console.log("  Summary\n");
+  console.log(`  \x1b[2m${"Plugin".padEnd(pluginWidth)}  ${"ID".padEnd(idWidth)}  Errors  Warnings\x1b[0m`);
+  for (const r of rows) {
+    const status = r.errors === 0 ? PASS : FAIL;
+    console.log(
+      `  ${r.plugin.padEnd(pluginWidth)}  ${r.id.padEnd(idWidth)}  ${String(r.errors).padStart(6)}  ${String(r.warnings).padStart(8)}  ${status}`
+    );
+  }
+
+  const failed = rows.filter((r) => r.errors > 0).length;
+  const errors = rows.reduce((n, r) => n + r.errors, 0);
+  const warnings = rows.reduce((n, r) => n + r.warnings, 0);
+  console.log(`\n  ${rows.length} plugin(s), ${failed} failed: ${summaryLine(errors, warnings)}\n`);
+}
+
+/**
+ * Redraw for `validate --watch`: failures and warnings only, with findings
+ * new since the previous run marked, and the ones that went away listed.
+ * `added` holds findingKey()s; `fixed` holds { manifestPath, ...finding }.
+ */
+function watchText(reports, { added, fixed, changed, error }) {
+  const time = new Date().toLocaleTimeString();
+  const trigger = changed && changed.length > 0 ? `  \x1b[2m(${changed.map(relPath).join(", ")})\x1b[0m` : "";
+  console.log(`\n  \x1b[36m↻\x1b[0m Validated at ${time}${trigger}`);
+
+  if (error) {
+    console.log(`\n  ${FAIL} ${error}\n`);
+  } else {
+    for (const report of reports) {
+      const { manifestPath, findings, errors, warnings } = report;
+      const passed = findings.filter((r) => r.level === "pass").length;
+      console.log(`\n  ${path.relative(process.cwd(), manifestPath) || manifestPath}\n`);
+      console.log(`  ${PASS} ${passed} check(s) passed`);
+      for (const r of findings) {
+        if (r.level === "pass") continue;
+        const mark = added.has(findingKey(manifestPath, r)) ? "  \x1b[1;35mnew\x1b[0m" : "";
+        console.log(`  ${r.level === "fail" ? FAIL : WARN_SYM} ${r.message}${ruleHint(r)}${mark}`);
+      }
+      console.log(`\n  ${summaryLine(errors, warnings)}`);
+    }
+    if (fixed.length > 0) {
+      console.log("\n  \x1b[32mFixed since last run\x1b[0m\n");
+      for (const r of fixed) {
+        const where = reports.length > 1 ? `  \x1b[2m${relPath(r.manifestPath)}\x1b[0m` : "";
+        console.log(`  ${PASS} \x1b[9m${r.message}\x1b[0m${ruleHint(r)}${where}`);
+      }
+    }
+    console.log("");
+    if (reports.length > 1) summaryTable(reports);
+  }
+  console.log("  \x1b[2mWatching for changes — Ctrl+C to stop\x1b[0m");
+}
+
+/** Identity of a finding across runs (for --watch diffs). */
+function findingKey(manifestPath, r) {
+  return `${manifestPath}\0${r.rule}\0${r.message}`;
+}
+
+function toJson({ manifestPath, findings, errors, warnings }) {
+  return {
+    file: manifestPath,
+    ok: errors === 0,
+    errors,
+    warnings,
+    results: findings.map((r) => {
+      const out = { level: r.level, rule: r.rule, message: r.message };
+      if (r.path) out.path = r.path;
+      if (r.line != null) Object.assign(out, { file: r.file, line: r.line, column: r.column });
+      return out;
+    }),
+  };
+}
+
+// One object for a single plugin, an array for several
+function json(reports) {
+  const objs = reports.map(toJson);
+  console.log(JSON.stringify(objs.length === 1 ? objs[0] : objs));
+}
+
+// One object per line, per plugin
+function ndjson(reports) {
+  for (const report of reports) console.log(JSON.stringify(toJson(report)));
+}
+
+// GitHub Actions workflow commands
+// https://docs.github.com/actions/using-workflows/workflow-commands-for-github-actions
+function escapeData(s) {
+  return String(s).replace(/%/g, "%25").replace(/\r/g, "%0D").replace(/\n/g, "%0A");
+}
+
+function escapeProperty(s) {
+  return escapeData(s).replace(/:/g, "%3A").replace(/,/g, "%2C");
+}
+
+function github(reports) {
+  let errors = 0;
+  let warnings = 0;
+  for (const report of reports) {
+    errors += report.errors;
+    warnings += report.warnings;
+    for (const r of report.findings) {
+      if (r.level === "pass") continue;
+      const command = r.level === "fail" ? "error" : "warning";
+      const props = [`file=${escapeProperty(relPath(r.file || report.manifestPath))}`];
+      if (r.line != null) props.push(`line=${r.line}`);
+      if (r.column != null) props.push(`col=${r.column}`);
+      props.push(`title=${escapeProperty(r.rule ? `${TOOL_NAME}: ${r.rule}` : TOOL_NAME)}`);
+      console.log(`::${command} ${props.join(",")}::${escapeData(r.message)}`);
+    }
+  }
+  const summary = errors === 0 ? "Validation passed" : `${errors} error(s)`;
+  const plugins = reports.length > 1 ? ` (${reports.length} plugins)` : "";
+  console.log(`${summary}${warnings > 0 ? `, ${warnings} warning(s)` : ""}${plugins}`);
+}
+
+// SARIF 2.1.0 for code scanning uploads
+function sarif(reports) {
+  const { version } = require("../package.json");
+  const results = reports.flatMap(({ manifestPath, findings }) =>
+    findings
+      .filter((r) => r.level !== "pass")
+      .map((r) => {
+        const region = {};
+        if (r.line != null) region.startLine = r.line;
+        if (r.column != null) region.startColumn = r.column;
+        const result = {
+          ...(r.rule ? { ruleId: r.rule } : {}),
+          level: r.level === "fail" ? "error" : "warning",
+          message: { text: r.message },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: relPath(r.file || manifestPath) },
+                ...(r.line != null ? { region } : {}),
+              },
+            },
+          ],
+        };
+        if (r.path) result.properties = { path: r.path };
+        return result;
+      })
+  );
+
+  const log = {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            version,
+            informationUri: TOOL_URI,
+            rules: Object.entries(RULES).map(([id, rule]) => ({
+              id,
+              shortDescription: { text: rule.description },
+              defaultConfiguration: { level: rule.level === "error" ? "error" : "warning" },
+            })),
+          },
+        },
+        results,
+      },
+    ],
+  };
+  console.log(JSON.stringify(log, null, 2));
+}
+
+// JUnit XML for test dashboards — one testcase per check
+function xmlEscape(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // XML 1.0 cannot carry most control characters
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+function junit(reports) {
+  const tests = reports.reduce((n, r) => n + r.findings.length, 0);
+  const failures = reports.reduce((n, r) => n + r.errors, 0);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME} validate" tests="${tests}" failures="${failures}">`,
+  ];
+  for (const { manifestPath, findings, errors } of reports) {
+    const suite = relPath(manifestPath);
+    lines.push(`  <testsuite name="${xmlEscape(suite)}" tests="${findings.length}" failures="${errors}" errors="0" skipped="0">`);
+    for (const r of findings) {
+      const where = r.line != null ? `${relPath(r.file)}:${r.line}` : suite;
+      const attrs = `name="${xmlEscape(r.message)}" classname="${xmlEscape(r.rule || suite)}"` +
+        (r.line != null ? ` file="${xmlEscape(relPath(r.file))}" line="${r.line}"` : "");
+      if (r.level === "pass") {
+        lines.push(`    <testcase ${attrs}/>`);
+      } else if (r.level === "fail") {
+        lines.push(`    <testcase ${attrs}>`);
+        lines.push(`      <failure message="${xmlEscape(r.message)}" type="error">${xmlEscape(where)}</failure>`);
+        lines.push("    </testcase>");
+      } else {
+        lines.push(`    <testcase ${attrs}>`);
+        lines.push(`      <system-out>${xmlEscape(`warning: ${r.message} (${where})`)}</system-out>`);
+        lines.push("    </testcase>");
+      }
+    }
+    lines.push("  </testsuite>");
+  }
+  lines.push("</testsuites>");
+  console.log(lines.join("\n"));
+}
+
+const REPORTERS = { text, json, ndjson, sarif, junit, github };
+const FORMATS = Object.keys(REPORTERS);
+
+module.exports = { REPORTERS, FORMATS, relPath, watchText, findingKey };
@@ -0,0 +1,183 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+// ── Validation rules ───────────────────────────────────────────
+//
+// Every check `validate` performs has a stable ID. The level here is the
+// default; projects can override it per rule in .nexuspluginrc.json or a
+// "nexus-plugin" key in package.json:
+//
+//   { "rules": { "dockerfile/root-user": "off", "image/latest": "error" } }
+
+const RULES = {
+  "manifest/missing": { level: "error", description: "plugin.json exists and is readable" },
+  "manifest/invalid-json": { level: "error", description: "plugin.json is valid JSON" },
+  "manifest/id-required": { level: "error", description: "id is a non-empty string" },
+  "manifest/name-required": { level: "error", description: "name is a non-empty string" },
+  "manifest/version-required": { level: "error", description: "version is a non-empty string" },
+  "manifest/description-required": { level: "error", description: "description is a non-empty string" },
+  "manifest/author-required": { level: "error", description: "author is a string" },
+  "manifest/image-required": { level: "error", description: "image is a non-empty string" },
+  "manifest/ui-port": { level: "error", description: "ui.port is a non-zero number" },
+  "manifest/id-length": { level: "error", description: "id is at most 100 characters" },
+  "manifest/name-length": { level: "error", description: "name is at most 100 characters" },
+  "manifest/version-length": { level: "error", description: "version is at most 50 characters" },
+  "manifest/description-length": { level: "error", description: "description is at most 2000 characters" },
+  "manifest/author-length": { level: "error", description: "author is at most 100 characters" },
+  "manifest/image-length": { level: "error", description: "image is at most 200 characters" },
+  "manifest/whitespace": { level: "warn", description: "string fields have no leading or trailing whitespace (fixable)" },
+  "manifest/license": { level: "warn", description: "license is declared (fixable)" },
+  "manifest/bidi": { level: "error", description: "name, description and author contain no bidi override characters (fixable)" },
+  "manifest/icon-url": { level: "error", description: "icon is an http or https URL" },
+  "manifest/image-digest": { level: "error", description: 'image_digest is "sha256:" plus 64 hex characters' },
+
+  "version/semver": { level: "error", description: "version is strict semver (MAJOR.MINOR.PATCH)" },
+  "version/prerelease": { level: "warn", description: "version is not a prerelease" },
+  "version/build-metadata": { level: "warn", description: "version carries no +build metadata" },
+  "version/min-nexus-missing": { level: "warn", description: "min_nexus_version is declared" },
+  "version/min-nexus-semver": { level: "error", description: "min_nexus_version is strict semver" },
+
+  "image/reference": { level: "error", description: "image is a valid image reference" },
+  "image/untagged": { level: "warn", description: "image has an explicit tag or digest" },
+  "image/latest": { level: "warn", description: "image is not pinned to :latest" },
+  "image/tag-mismatch": { level: "error", description: "image tag matches version" },
+
+  "permissions/invalid": { level: "error", description: "permissions are known or ext:*" },
+  "permissions/duplicate": { level: "warn", description: "permissions are listed once (fixable)" },
+
+  "mcp/tool-name": { level: "error", description: "MCP tool names match [a-z0-9_], 1-100 chars (case and dashes fixable)" },
+  "mcp/duplicate-tool": { level: "error", description: "MCP tool names are unique" },
+  "mcp/tool-description": { level: "error", description: "MCP tools have a description of at most 2000 characters without bidi overrides" },
+  "mcp/input-schema-root": { level: "error", description: 'MCP tool input_schema has "type": "object" at the root' },
+  "mcp/input-schema": { level: "error", description: "MCP tool input_schema is a well-formed schema" },
+  "mcp/input-schema-lint": { level: "warn", description: "MCP tool input_schema has no unknown keywords or untyped arrays" },
+  "mcp/tool-permission": { level: "error", description: "MCP tool permissions are known or ext:*" },
+
+  "extensions/id": { level: "error", description: "extension IDs match [a-z0-9_-], 1-100 chars" },
+  "extensions/operations": { level: "error", description: "extensions declare valid operations" },
+
+  "settings/missing": { level: "warn", description: "settings is declared, even if empty (fixable)" },
+  "settings/shape": { level: "error", description: "settings is an array of objects with a key" },
+  "settings/key-format": { level: "error", description: "setting keys are identifiers, 1-100 chars" },
+  "settings/duplicate-key": { level: "error", description: "setting keys are unique" },
+  "settings/type": { level: "error", description: "setting type is string, number, boolean or select" },
+  "settings/label": { level: "error", description: "settings have a non-empty label of at most 100 characters" },
+  "settings/description": { level: "error", description: "setting descriptions are strings of at most 2000 characters" },
+  "settings/options": { level: "error", description: "select options are non-empty, unique and of one shape" },
+  "settings/unused-options": { level: "warn", description: "options only appear on select settings" },
+  "settings/bounds": { level: "error", description: "number min/max/step are valid" },
+  "settings/unused-bounds": { level: "warn", description: "min/max only appear on number settings" },
+  "settings/missing-default": { level: "warn", description: "settings declare a default" },
+  "settings/default-type": { level: "error", description: "setting defaults match their type, bounds and options" },
+
+  "source/missing-src": { level: "warn", description: "--deep: a src/ directory exists" },
+  "source/no-dispatch": { level: "warn", description: "--deep: MCP tool dispatch code is recognizable" },
+  "source/unhandled-tool": { level: "error", description: "--deep: every declared MCP tool is handled in src/" },
+  "source/undeclared-tool": { level: "warn", description: "--deep: every handled MCP tool is declared" },
+  "source/undeclared-permission": { level: "error", description: "--deep: permissions src/ needs (fs writes, URLs, Host API) are declared" },
+  "source/unused-permission": { level: "warn", description: "--deep: declared permissions are used by src/ (least privilege)" },
+  "source/subprocess": { level: "warn", description: "--deep: src/ starts no child_process subprocesses (their actions go unchecked)" },
+
+  "dockerfile/missing": { level: "warn", description: "a Dockerfile exists next to plugin.json" },
+  "dockerfile/unreadable": { level: "warn", description: "the Dockerfile can be read" },
+  "dockerfile/from": { level: "error", description: "the Dockerfile has a FROM instruction" },
+  "dockerfile/unpinned-base": { level: "warn", description: "base images are pinned to a tag or digest" },
+  "dockerfile/expose-missing": { level: "warn", description: "the Dockerfile EXPOSEs a port" },
+  "dockerfile/expose-mismatch": { level: "error", description: "EXPOSE matches ui.port" },
+  "dockerfile/healthcheck": { level: "warn", description: "a HEALTHCHECK exists when health.endpoint is declared" },
+  "dockerfile/root-user": { level: "warn", description: "the image does not run as root" },
+  "dockerfile/copy-source": { level: "warn", description: "COPY/ADD sources exist in the build context" },
+
+  "workspace/duplicate-id": { level: "error", description: "plugin ids are unique across the plugins validated together" },
+};
+
+const RULE_LEVELS = ["off", "warn", "error"];
+const CONFIG_FILE = ".nexuspluginrc.json";
+const PACKAGE_KEY = "nexus-plugin";
+
+/**
+ * Read the nexus-plugin config in `dir`. .nexuspluginrc.json wins over
+ * the "nexus-plugin" key in package.json.
+ * Returns { file, config } (file is null and config {} when none exists).
+ * Throws with a user-facing message on malformed config.
+ */
+function loadConfig(dir) {
+  let file = null;
+  let config = null;
+
+  const rcPath = path.join(dir, CONFIG_FILE);
+  const pkgPath = path.join(dir, "package.json");
+  if (fs.existsSync(rcPath)) {
+    file = rcPath;
+    config = readJson(rcPath);
+  } else if (fs.existsSync(pkgPath)) {
+    const pkg = readJson(pkgPath);
+    if (pkg && pkg[PACKAGE_KEY] !== undefined) {
+      file = pkgPath;
+      config = pkg[PACKAGE_KEY];
+    }
+  }
+
+  if (!file) return { file: null, config: {} };
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${path.basename(file)}: nexus-plugin config must be an object`);
+  }
+  return { file, config };
+}
+
+/**
+ * Load rule overrides for the plugin in `dir` (see loadConfig).
+ * Returns { file, rules } (file is null when no config exists).
+ */
+function loadRuleConfig(dir) {
+  const { file, config } = loadConfig(dir);
+  if (!file) return { file: null, rules: {} };
+
+  const rules = {};
+  const raw = config.rules || {};
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`${path.basename(file)}: "rules" must be an object`);
+  }
+  for (const [id, level] of Object.entries(raw)) {
+    if (!RULES[id]) {
+      throw new Error(`${path.basename(file)}: unknown rule "${id}" (see nexus-plugin validate --list-rules)`);
+    }
+    if (!RULE_LEVELS.includes(level)) {
+      throw new Error(`${path.basename(file)}: rule "${id}" must be ${RULE_LEVELS.join("/")}, got ${JSON.stringify(level)}`);
+    }
+    rules[id] = level;
+  }
+  return { file, rules };
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read ${path.basename(file)}: ${err.message}`);
+  }
+}
+
+/** Print the rule catalog (`validate --list-rules`). */
+function listRules({ json = false } = {}) {
+  if (json) {
+    console.log(JSON.stringify(Object.entries(RULES).map(([id, r]) => ({ id, level: r.level, description: r.description }))));
+    return;
+  }
+  const width = Math.max(...Object.keys(RULES).map((id) => id.length));
+  console.log("\n  Validation rules (default level in brackets)\n");
+  let group = null;
+  for (const [id, rule] of Object.entries(RULES)) {
+    const prefix = id.split("/")[0];
+    if (group !== null && prefix !== group) console.log("");
+    group = prefix;
+    const level = rule.level === "error" ? "\x1b[31merror\x1b[0m" : "\x1b[33mwarn\x1b[0m ";
+    console.log(`  ${id.padEnd(width)}  [${level}]  ${rule.description}`);
+  }
+  console.log(`\n  Override levels (off/warn/error) in ${CONFIG_FILE} or package.json "${PACKAGE_KEY}":`);
+  console.log('    { "rules": { "dockerfile/root-user": "off" } }\n');
+}
+
+module.exports = { RULES, RULE_LEVELS, CONFIG_FILE, loadConfig, loadRuleConfig, listRules };
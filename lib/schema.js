@@ -0,0 +1,390 @@
+"use strict";
+
+// ── JSON Schema subset ─────────────────────────────────────────
+//
+// Zero-dependency checks for the JSON Schema subset used by MCP tool
+// input_schema declarations. Paths use the same dotted notation as the
+// manifest (`arguments.items[0].name`).
+
+const JSON_TYPES = ["string", "number", "integer", "boolean", "object", "array", "null"];
+
+function joinPath(base, key) {
+  if (typeof key === "number") return `${base}[${key}]`;
+  if (/^[A-Za-z_$][A-Za-z0-9_$-]*$/.test(key)) return base ? `${base}.${key}` : key;
+  return `${base}[${JSON.stringify(key)}]`;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const ka = Object.keys(a);
+  const kb = Object.keys(b);
+  if (ka.length !== kb.length) return false;
+  return ka.every((k) => deepEqual(a[k], b[k]));
+}
+
+/** Resolve a local `#/...` JSON pointer against the root schema. */
+function resolveRef(root, ref) {
+  if (typeof ref !== "string" || !ref.startsWith("#")) return undefined;
+  if (ref === "#") return root;
+  if (!ref.startsWith("#/")) return undefined;
+  let node = root;
+  for (const raw of ref.slice(2).split("/")) {
+    const key = decodeURIComponent(raw).replace(/~1/g, "/").replace(/~0/g, "~");
+    if (node == null || typeof node !== "object" || !(key in node)) return undefined;
+    node = node[key];
+  }
+  return node;
+}
+
+/**
+ * Validate a value against a schema.
+ * Returns an array of { path, message } — empty when the value is valid.
+ */
+function validateInstance(schema, value, basePath = "", root = schema, depth = 0) {
+  const errors = [];
+  if (!schema || typeof schema !== "object" || depth > 50) return errors;
+
+  const at = basePath || "(root)";
+
+  if (schema.$ref) {
+    const target = resolveRef(root, schema.$ref);
+    if (target === undefined) {
+      errors.push({ path: at, message: `unresolvable $ref "${schema.$ref}"` });
+      return errors;
+    }
+    return validateInstance(target, value, basePath, root, depth + 1);
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const sub of schema.allOf) errors.push(...validateInstance(sub, value, basePath, root, depth + 1));
+  }
+  if (Array.isArray(schema.anyOf) && schema.anyOf.length > 0) {
+    const ok = schema.anyOf.some((sub) => validateInstance(sub, value, basePath, root, depth + 1).length === 0);
+    if (!ok) errors.push({ path: at, message: "must match at least one anyOf schema" });
+  }
+  if (Array.isArray(schema.oneOf) && schema.oneOf.length > 0) {
+    const matches = schema.oneOf.filter((sub) => validateInstance(sub, value, basePath, root, depth + 1).length === 0).length;
+    if (matches !== 1) errors.push({ path: at, message: `must match exactly one oneOf schema (matched ${matches})` });
+  }
+  if (schema.not && typeof schema.not === "object" && validateInstance(schema.not, value, basePath, root, depth + 1).length === 0) {
+    errors.push({ path: at, message: "must not match the \"not\" schema" });
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push({ path: at, message: `expected ${types.join(" or ")}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((v) => deepEqual(v, value))) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}` });
+  }
+  if ("const" in schema && !deepEqual(schema.const, value)) {
+    errors.push({ path: at, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === "string") {
+    if (typeof schema.minLength === "number" && value.length < schema.minLength) {
+      errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (typeof schema.maxLength === "number" && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (typeof schema.pattern === "string") {
+      let re = null;
+      try { re = new RegExp(schema.pattern, "u"); } catch {}
+      if (re && !re.test(value)) errors.push({ path: at, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (typeof schema.minimum === "number" && value < schema.minimum) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    }
+    if (typeof schema.maximum === "number" && value > schema.maximum) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+    }
+    if (typeof schema.exclusiveMinimum === "number" && value <= schema.exclusiveMinimum) {
+      errors.push({ path: at, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (typeof schema.exclusiveMaximum === "number" && value >= schema.exclusiveMaximum) {
+      errors.push({ path: at, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+    if (typeof schema.multipleOf === "number" && schema.multipleOf > 0) {
+      // Compare the quotient loosely, so 0.3 counts as a multiple of 0.1
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        errors.push({ path: at, message: `must be a multiple of ${schema.multipleOf}` });
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === "number" && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} items` });
+    }
+    if (typeof schema.maxItems === "number" && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems === true) {
+      const dup = value.findIndex((v, i) => value.findIndex((w) => deepEqual(v, w)) !== i);
+      if (dup !== -1) errors.push({ path: joinPath(basePath, dup), message: "duplicates an earlier item (uniqueItems)" });
+    }
+    if (schema.items && typeof schema.items === "object" && !Array.isArray(schema.items)) {
+      value.forEach((item, i) => {
+        errors.push(...validateInstance(schema.items, item, joinPath(basePath, i), root, depth + 1));
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const props = schema.properties && typeof schema.properties === "object" ? schema.properties : {};
+    if (Array.isArray(schema.required)) {
+      for (const key of schema.required) {
+        if (!(key in value)) errors.push({ path: joinPath(basePath, key), message: "is required" });
+      }
+    }
+    for (const [key, val] of Object.entries(value)) {
+      if (key in props) {
+        errors.push(...validateInstance(props[key], val, joinPath(basePath, key), root, depth + 1));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(basePath, key), message: "is not an allowed property" });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        errors.push(...validateInstance(schema.additionalProperties, val, joinPath(basePath, key), root, depth + 1));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// ── Meta-validation ────────────────────────────────────────────
+
+// Keywords Nexus understands in tool input schemas. Anything else is
+// ignored by the host, which usually means a typo.
+const KNOWN_KEYWORDS = new Set([
+  "$schema", "$id", "$ref", "$comment", "$defs", "definitions",
+  "type", "title", "description", "default", "examples", "enum", "const", "format",
+  "properties", "required", "additionalProperties",
+  "items", "minItems", "maxItems", "uniqueItems",
+  "minLength", "maxLength", "pattern",
+  "minimum", "maximum", "exclusiveMinimum", "exclusiveMaximum", "multipleOf",
+  "anyOf", "oneOf", "allOf", "not",
+]);
+
+const NON_NEGATIVE_INT_KEYWORDS = ["minLength", "maxLength", "minItems", "maxItems"];
+const NUMBER_KEYWORDS = ["minimum", "maximum", "exclusiveMinimum", "exclusiveMaximum"];
+const COMBINATOR_KEYWORDS = ["anyOf", "oneOf", "allOf"];
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function hasDuplicates(arr) {
+  return arr.some((v, i) => arr.findIndex((w) => deepEqual(v, w)) !== i);
+}
+
+/**
+ * Check that a schema is itself well-formed for the subset Nexus accepts.
+ * Returns an array of { path, level: "fail"|"warn", message }.
+ */
+function checkSchema(schema, basePath, root = schema, depth = 0) {
+  const problems = [];
+  const fail = (p, message) => problems.push({ path: p, level: "fail", message });
+  const warn = (p, message) => problems.push({ path: p, level: "warn", message });
+
+  if (typeof schema === "boolean") return problems;
+  if (!isPlainObject(schema)) {
+    fail(basePath, "schema must be an object");
+    return problems;
+  }
+  if (depth > 50) {
+    fail(basePath, "schema is nested too deeply");
+    return problems;
+  }
+
+  for (const key of Object.keys(schema)) {
+    if (!KNOWN_KEYWORDS.has(key)) warn(joinPath(basePath, key), `unknown keyword "${key}"`);
+  }
+
+  // type
+  let types = null;
+  if (schema.type !== undefined) {
+    const typePath = joinPath(basePath, "type");
+    if (typeof schema.type === "string") {
+      if (JSON_TYPES.includes(schema.type)) types = [schema.type];
+      else fail(typePath, `unknown type "${schema.type}" (must be ${JSON_TYPES.join("/")})`);
+    } else if (Array.isArray(schema.type) && schema.type.length > 0) {
+      const bad = schema.type.filter((t) => !JSON_TYPES.includes(t));
+      if (bad.length > 0) fail(typePath, `unknown type ${bad.map((t) => JSON.stringify(t)).join(", ")}`);
+      else if (hasDuplicates(schema.type)) fail(typePath, "type array contains duplicates");
+      else types = schema.type;
+    } else {
+      fail(typePath, "type must be a string or a non-empty array of strings");
+    }
+  }
+  const allows = (value) => !types || types.some((t) => matchesType(value, t));
+
+  // $ref
+  if (schema.$ref !== undefined) {
+    const refPath = joinPath(basePath, "$ref");
+    if (typeof schema.$ref !== "string") fail(refPath, "$ref must be a string");
+    else if (!schema.$ref.startsWith("#")) fail(refPath, `$ref "${schema.$ref}" must be a local reference (#/...)`);
+    else if (resolveRef(root, schema.$ref) === undefined) fail(refPath, `$ref "${schema.$ref}" does not resolve`);
+  }
+
+  // Definitions
+  for (const key of ["$defs", "definitions"]) {
+    if (schema[key] === undefined) continue;
+    const defsPath = joinPath(basePath, key);
+    if (!isPlainObject(schema[key])) {
+      fail(defsPath, `${key} must be an object`);
+      continue;
+    }
+    for (const [name, sub] of Object.entries(schema[key])) {
+      problems.push(...checkSchema(sub, joinPath(defsPath, name), root, depth + 1));
+    }
+  }
+
+  // Object keywords
+  if (schema.properties !== undefined) {
+    const propsPath = joinPath(basePath, "properties");
+    if (!isPlainObject(schema.properties)) {
+      fail(propsPath, "properties must be an object");
+    } else {
+      for (const [name, sub] of Object.entries(schema.properties)) {
+        problems.push(...checkSchema(sub, joinPath(propsPath, name), root, depth + 1));
+      }
+    }
+  }
+
+  if (schema.required !== undefined) {
+    const reqPath = joinPath(basePath, "required");
+    if (!Array.isArray(schema.required)) {
+      fail(reqPath, "required must be an array of property names");
+    } else {
+      const props = isPlainObject(schema.properties) ? schema.properties : {};
+      schema.required.forEach((name, i) => {
+        if (typeof name !== "string") {
+          fail(joinPath(reqPath, i), "required entries must be strings");
+        } else if (!(name in props) && schema.additionalProperties !== true && !isPlainObject(schema.additionalProperties)) {
+          fail(joinPath(reqPath, i), `required property "${name}" is not defined in properties`);
+        }
+      });
+      if (hasDuplicates(schema.required)) fail(reqPath, "required contains duplicates");
+    }
+  }
+
+  if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== "boolean") {
+    problems.push(...checkSchema(schema.additionalProperties, joinPath(basePath, "additionalProperties"), root, depth + 1));
+  }
+
+  // Array keywords
+  if (schema.items !== undefined) {
+    const itemsPath = joinPath(basePath, "items");
+    if (Array.isArray(schema.items)) fail(itemsPath, "tuple-form items (array) is not supported; use a single schema");
+    else problems.push(...checkSchema(schema.items, itemsPath, root, depth + 1));
+  }
+  if (types && types.includes("array") && schema.items === undefined) {
+    warn(basePath, 'array schema has no "items"; element types are unchecked');
+  }
+  if (schema.uniqueItems !== undefined && typeof schema.uniqueItems !== "boolean") {
+    fail(joinPath(basePath, "uniqueItems"), "uniqueItems must be a boolean");
+  }
+
+  // Numeric and length constraints
+  for (const key of NON_NEGATIVE_INT_KEYWORDS) {
+    if (schema[key] !== undefined && !(Number.isInteger(schema[key]) && schema[key] >= 0)) {
+      fail(joinPath(basePath, key), `${key} must be a non-negative integer`);
+    }
+  }
+  for (const key of NUMBER_KEYWORDS) {
+    if (schema[key] !== undefined && typeof schema[key] !== "number") {
+      fail(joinPath(basePath, key), `${key} must be a number`);
+    }
+  }
+  if (schema.multipleOf !== undefined && !(typeof schema.multipleOf === "number" && schema.multipleOf > 0)) {
+    fail(joinPath(basePath, "multipleOf"), "multipleOf must be a number greater than 0");
+  }
+  for (const [lo, hi] of [["minLength", "maxLength"], ["minItems", "maxItems"], ["minimum", "maximum"]]) {
+    if (typeof schema[lo] === "number" && typeof schema[hi] === "number" && schema[lo] > schema[hi]) {
+      fail(joinPath(basePath, lo), `${lo} (${schema[lo]}) is greater than ${hi} (${schema[hi]})`);
+    }
+  }
+
+  if (schema.pattern !== undefined) {
+    const patternPath = joinPath(basePath, "pattern");
+    if (typeof schema.pattern !== "string") {
+      fail(patternPath, "pattern must be a string");
+    } else {
+      try {
+        new RegExp(schema.pattern, "u");
+      } catch (err) {
+        fail(patternPath, `invalid regular expression: ${err.message}`);
+      }
+    }
+  }
+
+  // Annotations
+  for (const key of ["title", "description", "format"]) {
+    if (schema[key] !== undefined && typeof schema[key] !== "string") {
+      fail(joinPath(basePath, key), `${key} must be a string`);
+    }
+  }
+
+  // enum / const / default
+  if (schema.enum !== undefined) {
+    const enumPath = joinPath(basePath, "enum");
+    if (!Array.isArray(schema.enum) || schema.enum.length === 0) {
+      fail(enumPath, "enum must be a non-empty array");
+    } else {
+      if (hasDuplicates(schema.enum)) fail(enumPath, "enum contains duplicate values");
+      schema.enum.forEach((value, i) => {
+        if (!allows(value)) fail(joinPath(enumPath, i), `enum value ${JSON.stringify(value)} does not match type ${types.join("/")}`);
+      });
+    }
+  }
+  if ("const" in schema && !allows(schema.const)) {
+    fail(joinPath(basePath, "const"), `const value does not match type ${types.join("/")}`);
+  }
+  if ("default" in schema) {
+    for (const err of validateInstance(schema, schema.default, "", root)) {
+      fail(joinPath(basePath, "default"), `default ${err.path === "(root)" ? "" : `${err.path} `}${err.message}`);
+    }
+  }
+
+  // Combinators
+  for (const key of COMBINATOR_KEYWORDS) {
+    if (schema[key] === undefined) continue;
+    const combPath = joinPath(basePath, key);
+    if (!Array.isArray(schema[key]) || schema[key].length === 0) {
+      fail(combPath, `${key} must be a non-empty array of schemas`);
+      continue;
+    }
+    schema[key].forEach((sub, i) => problems.push(...checkSchema(sub, joinPath(combPath, i), root, depth + 1)));
+  }
+  if (schema.not !== undefined) {
+    problems.push(...checkSchema(schema.not, joinPath(basePath, "not"), root, depth + 1));
+  }
+
+  return problems;
+}
+
+module.exports = { JSON_TYPES, joinPath, typeOf, resolveRef, validateInstance, checkSchema };
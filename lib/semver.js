@@ -0,0 +1,95 @@
+"use strict";
+
+// Strict SemVer 2.0.0 (https://semver.org) — no leading "v", no ranges.
+const SEMVER_RE =
+  /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+
+/**
+ * Parse a version string.
+ * Returns { major, minor, patch, prerelease: [], build: [] } or null.
+ */
+function parse(str) {
+  if (typeof str !== "string") return null;
+  const m = str.match(SEMVER_RE);
+  if (!m) return null;
+  return {
+    major: Number(m[1]),
+    minor: Number(m[2]),
+    patch: Number(m[3]),
+    prerelease: m[4] ? m[4].split(".") : [],
+    build: m[5] ? m[5].split(".") : [],
+  };
+}
+
+function valid(str) {
+  return parse(str) !== null;
+}
+
+function format(v) {
+  let out = `${v.major}.${v.minor}.${v.patch}`;
+  if (v.prerelease.length > 0) out += `-${v.prerelease.join(".")}`;
+  if (v.build.length > 0) out += `+${v.build.join(".")}`;
+  return out;
+}
+
+function compareIdentifiers(a, b) {
+  const aNum = /^\d+$/.test(a);
+  const bNum = /^\d+$/.test(b);
+  if (aNum && bNum) return Math.sign(Number(a) - Number(b));
+  if (aNum) return -1;
+  if (bNum) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compare two versions by precedence (build metadata is ignored).
+ * Returns -1, 0 or 1. Throws if either side is not valid semver.
+ */
+function compare(a, b) {
+  const va = typeof a === "string" ? parse(a) : a;
+  const vb = typeof b === "string" ? parse(b) : b;
+  if (!va || !vb) throw new Error(`Cannot compare invalid versions "${a}" and "${b}"`);
+
+  for (const key of ["major", "minor", "patch"]) {
+    if (va[key] !== vb[key]) return Math.sign(va[key] - vb[key]);
+  }
+  // A version without prerelease has higher precedence
+  if (va.prerelease.length === 0 || vb.prerelease.length === 0) {
+    return Math.sign(vb.prerelease.length - va.prerelease.length);
+  }
+  const len = Math.max(va.prerelease.length, vb.prerelease.length);
+  for (let i = 0; i < len; i++) {
+    if (va.prerelease[i] === undefined) return -1;
+    if (vb.prerelease[i] === undefined) return 1;
+    const c = compareIdentifiers(va.prerelease[i], vb.prerelease[i]);
+    if (c !== 0) return c;
+  }
+  return 0;
+}
+
+const RELEASES = ["major", "minor", "patch"];
+
+/**
+ * Next version for a "major", "minor" or "patch" release, npm-style: a
+ * prerelease is promoted to its own release rather than skipped past
+ * (1.3.0-rc.1 → minor → 1.3.0). Build metadata is dropped.
+ * Throws if `version` is not valid semver.
+ */
+function increment(version, release) {
+  const v = parse(version);
+  if (!v) throw new Error(`Cannot increment invalid version "${version}"`);
+  if (!RELEASES.includes(release)) throw new Error(`Unknown release type "${release}"`);
+
+  const pre = v.prerelease.length > 0;
+  const next = { major: v.major, minor: v.minor, patch: v.patch, prerelease: [], build: [] };
+  if (release === "major") {
+    if (!(pre && v.minor === 0 && v.patch === 0)) Object.assign(next, { major: v.major + 1, minor: 0, patch: 0 });
+  } else if (release === "minor") {
+    if (!(pre && v.patch === 0)) Object.assign(next, { minor: v.minor + 1, patch: 0 });
+  } else if (!pre) {
+    next.patch = v.patch + 1;
+  }
+  return format(next);
+}
+
+module.exports = { SEMVER_RE, RELEASES, parse, valid, format, compare, increment };
@@ -0,0 +1,203 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SIGNATURE_FIELDS } = require("./entry");
+
+// ── Entry signing ──────────────────────────────────────────────
+//
+// Publishers sign registry entries with an Ed25519 key. An entry carries a
+// signature over its publisher-owned fields, a signature over the hosted
+// manifest, and the public key with its fingerprint, so the registry and
+// the Nexus host can spot edited entries and changed publishers without
+// trusting whoever opened the PR. Both signatures are over canonical JSON
+// (sorted keys, no whitespace), so reformatting a file does not break them.
+
+const KEYS_DIR = path.join(os.homedir(), ".nexus-plugin", "keys");
+const DEFAULT_KEY_NAME = "signing";
+
+// What the publisher vouches for. Registry-managed fields (status,
+// categories, created_at, deprecation) stay editable by maintainers.
+const SIGNED_FIELDS = [
+  "author", "author_url", "description", "homepage", "id", "image",
+  "image_digest", "license", "manifest_sha256", "manifest_url", "name", "version",
+];
+
+// Prefixed to what is signed, so an entry signature never passes for a manifest one
+const CONTEXT = {
+  entry: "nexus-plugin entry v1\n",
+  manifest: "nexus-plugin manifest v1\n",
+};
+
+/** JSON with object keys sorted at every level and no whitespace. */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function entryMessage(entry) {
+  const signed = {};
+  for (const key of SIGNED_FIELDS) {
+    if (entry[key] !== undefined) signed[key] = entry[key];
+  }
+  return Buffer.from(CONTEXT.entry + canonicalJson(signed));
+}
+
+function manifestMessage(manifest) {
+  return Buffer.from(CONTEXT.manifest + canonicalJson(manifest));
+}
+
+/** A private key from PEM; throws unless it is Ed25519. */
+function loadPrivateKey(pem) {
+  let key;
+  try {
+    key = crypto.createPrivateKey(pem);
+  } catch (err) {
+    throw new Error(`not a private key: ${err.message}`);
+  }
+  if (key.asymmetricKeyType !== "ed25519") throw new Error(`expected an ed25519 key, got ${key.asymmetricKeyType}`);
+  return key;
+}
+
+/**
+ * A public key from PEM (a .pub file, or a private key's PEM) or from the
+ * base64 DER stored in an entry's public_key. Throws unless it is Ed25519.
+ */
+function loadPublicKey(text) {
+  let key;
+  try {
+    key = /-----BEGIN/.test(text)
+      ? crypto.createPublicKey(text)
+      : crypto.createPublicKey({ key: Buffer.from(text, "base64"), format: "der", type: "spki" });
+  } catch (err) {
+    throw new Error(`not a public key: ${err.message}`);
+  }
+  if (key.asymmetricKeyType !== "ed25519") throw new Error(`expected an ed25519 key, got ${key.asymmetricKeyType}`);
+  return key;
+}
+
+/** "sha256:<hex>" of the key's SPKI DER encoding. */
+function fingerprint(publicKey) {
+  const der = publicKey.export({ type: "spki", format: "der" });
+  return `sha256:${crypto.createHash("sha256").update(der).digest("hex")}`;
+}
+
+/** A new Ed25519 keypair as PEM. Returns { privateKey, publicKey, fingerprint }. */
+function generateKeyPair() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+  return {
+    privateKey: privateKey.export({ type: "pkcs8", format: "pem" }),
+    publicKey: publicKey.export({ type: "spki", format: "pem" }),
+    fingerprint: fingerprint(publicKey),
+  };
+}
+
+/**
+ * The signing key publish should use: --signing-key <file>, then
+ * NEXUS_SIGNING_KEY (PEM text or a file path, for CI secrets), then
+ * ~/.nexus-plugin/keys/signing.key when it exists. Returns
+ * { key, source, fingerprint } or null when there is none.
+ * Throws with a user-facing message when the key cannot be used.
+ */
+function resolveSigningKey(args = {}, env = process.env) {
+  let pem;
+  let source;
+  if (typeof args["signing-key"] === "string") {
+    source = args["signing-key"];
+  } else if (env.NEXUS_SIGNING_KEY) {
+    if (/-----BEGIN/.test(env.NEXUS_SIGNING_KEY)) {
+      pem = env.NEXUS_SIGNING_KEY;
+      source = "NEXUS_SIGNING_KEY";
+    } else {
+      source = env.NEXUS_SIGNING_KEY;
+    }
+  } else {
+    const fallback = path.join(KEYS_DIR, `${DEFAULT_KEY_NAME}.key`);
+    if (!fs.existsSync(fallback)) return null;
+    source = fallback;
+  }
+
+  try {
+    if (pem === undefined) pem = fs.readFileSync(source, "utf8");
+    const key = loadPrivateKey(pem);
+    return { key, source, fingerprint: fingerprint(crypto.createPublicKey(key)) };
+  } catch (err) {
+    throw new Error(`Cannot use signing key ${source}: ${err.message}`);
+  }
+}
+
+/**
+ * Sign an entry and the manifest it points at. Returns the entry fields
+ * { key_fingerprint, manifest_signature, public_key, signature }.
+ */
+function signEntry(entry, manifest, privateKey) {
+  const publicKey = crypto.createPublicKey(privateKey);
+  return {
+    key_fingerprint: fingerprint(publicKey),
+    manifest_signature: crypto.sign(null, manifestMessage(manifest), privateKey).toString("base64"),
+    public_key: publicKey.export({ type: "spki", format: "der" }).toString("base64"),
+    signature: crypto.sign(null, entryMessage(entry), privateKey).toString("base64"),
+  };
+}
+
+function verifySignature(message, signature, publicKey) {
+  try {
+    return crypto.verify(null, message, publicKey, Buffer.from(signature, "base64"));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check an entry's signatures, and the manifest's when one is given.
+ * Returns { signed: false } for an unsigned entry, otherwise
+ * { signed: true, fingerprint, problems } where problems is empty when
+ * everything verifies.
+ */
+function verifyEntry(entry, manifest) {
+  const present = SIGNATURE_FIELDS.filter((key) => typeof entry[key] === "string");
+  if (present.length === 0) return { signed: false };
+
+  const problems = [];
+  if (present.length < SIGNATURE_FIELDS.length) {
+    const missing = SIGNATURE_FIELDS.filter((key) => !present.includes(key));
+    return { signed: true, fingerprint: entry.key_fingerprint || null, problems: [`entry is missing ${missing.join(", ")}`] };
+  }
+
+  let publicKey;
+  try {
+    publicKey = loadPublicKey(entry.public_key);
+  } catch (err) {
+    return { signed: true, fingerprint: entry.key_fingerprint, problems: [`public_key is ${err.message}`] };
+  }
+  const actual = fingerprint(publicKey);
+  if (actual !== entry.key_fingerprint) {
+    problems.push(`key_fingerprint ${entry.key_fingerprint} does not match public_key (${actual})`);
+  }
+  if (!verifySignature(entryMessage(entry), entry.signature, publicKey)) {
+    problems.push("signature does not match the entry (a signed field was changed)");
+  }
+  if (manifest !== undefined && !verifySignature(manifestMessage(manifest), entry.manifest_signature, publicKey)) {
+    problems.push("manifest_signature does not match the manifest");
+  }
+  return { signed: true, fingerprint: actual, problems };
+}
+
+module.exports = {
+  KEYS_DIR,
+  DEFAULT_KEY_NAME,
+  SIGNED_FIELDS,
+  canonicalJson,
+  loadPublicKey,
+  fingerprint,
+  generateKeyPair,
+  resolveSigningKey,
+  signEntry,
+  verifyEntry,
+};
@@ -0,0 +1,314 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+// ── Plugin source scanning ─────────────────────────────────────
+//
+// Lightweight static analysis over a plugin's src/ directory. This is
+// pattern matching, not a parser: it understands the layout `init`
+// generates and the common hand-written variations of it.
+
+const SOURCE_EXTS = new Set([".js", ".mjs", ".cjs", ".ts", ".mts", ".cts"]);
+const SKIP_DIRS = new Set(["node_modules", ".git", "dist", "build", "coverage"]);
+const MAX_FILE_BYTES = 1024 * 1024;
+
+/** List JS/TS source files under a directory (absolute paths, sorted). */
+function listSourceFiles(root) {
+  const files = [];
+  function walk(dir) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIP_DIRS.has(entry.name)) walk(full);
+      } else if (SOURCE_EXTS.has(path.extname(entry.name))) {
+        files.push(full);
+      }
+    }
+  }
+  walk(root);
+  return files.sort();
+}
+
+/**
+ * Read source files, blanking out comments (line structure and string
+ * contents are preserved so offsets still map to the original lines).
+ */
+function loadSources(root) {
+  const sources = [];
+  for (const file of listSourceFiles(root)) {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch {
+      continue;
+    }
+    if (stat.size > MAX_FILE_BYTES) continue;
+    const text = fs.readFileSync(file, "utf8");
+    sources.push({ file, text, code: stripComments(text) });
+  }
+  return sources;
+}
+
+function stripComments(text) {
+  let out = "";
+  let i = 0;
+  let quote = null;
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+    if (quote) {
+      out += ch;
+      if (ch === "\\") {
+        out += next || "";
+        i += 2;
+        continue;
+      }
+      if (ch === quote) quote = null;
+      i++;
+      continue;
+    }
+    if (ch === '"' || ch === "'" || ch === "`") {
+      quote = ch;
+      out += ch;
+      i++;
+      continue;
+    }
+    if (ch === "/" && next === "/") {
+      while (i < text.length && text[i] !== "\n") {
+        out += " ";
+        i++;
+      }
+      continue;
+    }
+    if (ch === "/" && next === "*") {
+      const end = text.indexOf("*/", i + 2);
+      const stop = end === -1 ? text.length : end + 2;
+      out += text.slice(i, stop).replace(/[^\n]/g, " ");
+      i = stop;
+      continue;
+    }
+    out += ch;
+    i++;
+  }
+  return out;
+}
+
+function lineAt(text, offset) {
+  let line = 1;
+  for (let i = 0; i < offset && i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+/** Index of the brace that closes the one at `open`, or -1. */
+function matchBrace(code, open) {
+  let depth = 0;
+  let quote = null;
+  for (let i = open; i < code.length; i++) {
+    const ch = code[i];
+    if (quote) {
+      if (ch === "\\") i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '"' || ch === "'" || ch === "`") quote = ch;
+    else if (ch === "{") depth++;
+    else if (ch === "}" && --depth === 0) return i;
+  }
+  return -1;
+}
+
+// Identifiers that hold the requested tool name in dispatch code. A bare
+// `name` is only trusted as a switch discriminant; comparisons against it
+// are too common elsewhere.
+const TOOL_VAR = String.raw`(?:[\w$]+\.)*(?:tool_?name|toolName)|\btool\.name`;
+const SWITCH_VAR = String.raw`(?:${TOOL_VAR}|name)`;
+const STRING = String.raw`(["'\x60])([a-z0-9_]{1,100})\1`;
+
+/**
+ * Find MCP tool names the plugin source dispatches on.
+ * Returns { found: boolean, tools: Map<name, { file, line }> } — `found`
+ * is false when no recognizable dispatch code exists at all.
+ */
+function findToolHandlers(sources) {
+  const tools = new Map();
+  let found = false;
+
+  function add(name, source, offset) {
+    if (!tools.has(name)) tools.set(name, { file: source.file, line: lineAt(source.text, offset) });
+  }
+
+  for (const source of sources) {
+    const { code } = source;
+
+    // switch (tool_name) { case "x": ... }
+    const switchRe = new RegExp(String.raw`switch\s*\(\s*${SWITCH_VAR}\s*\)\s*\{`, "g");
+    let m;
+    while ((m = switchRe.exec(code))) {
+      found = true;
+      const open = m.index + m[0].length - 1;
+      const close = matchBrace(code, open);
+      const body = code.slice(open, close === -1 ? code.length : close);
+      const caseRe = new RegExp(String.raw`case\s+${STRING}\s*:`, "g");
+      let c;
+      while ((c = caseRe.exec(body))) add(c[2], source, open + c.index);
+    }
+
+    // if (tool_name === "x") / ("x" === tool_name)
+    const eqRe = new RegExp(
+      String.raw`(?:${TOOL_VAR})\s*===?\s*${STRING}|(["'\x60])([a-z0-9_]{1,100})\3\s*===?\s*(?:${TOOL_VAR})`,
+      "g"
+    );
+    while ((m = eqRe.exec(code))) {
+      found = true;
+      add(m[2] || m[4], source, m.index);
+    }
+
+    // const handlers = { x: ..., "y": ... } / const tools = { ... }
+    const mapRe = /(?:const|let|var)\s+[\w$]*(?:handlers|Handlers|tools|Tools|HANDLERS|TOOLS)[\w$]*\s*=\s*\{/g;
+    while ((m = mapRe.exec(code))) {
+      const open = m.index + m[0].length - 1;
+      const close = matchBrace(code, open);
+      if (close === -1) continue;
+      found = true;
+      const body = code.slice(open + 1, close);
+      // Only top-level keys of the literal
+      let depth = 0;
+      let start = 0;
+      for (let i = 0; i <= body.length; i++) {
+        const ch = body[i];
+        if (ch === "{" || ch === "(" || ch === "[") depth++;
+        else if (ch === "}" || ch === ")" || ch === "]") depth--;
+        else if ((ch === "," && depth === 0) || i === body.length) {
+          const part = body.slice(start, i);
+          const key = part.match(/^\s*(?:async\s+)?(?:["'`]?)([a-z0-9_]{1,100})(?:["'`]?)\s*[:(]/);
+          if (key) add(key[1], source, open + 1 + start + part.indexOf(key[1]));
+          start = i + 1;
+        }
+      }
+    }
+  }
+
+  return { found, tools };
+}
+
+// ── Permission usage ───────────────────────────────────────────
+
+const FS_MODULE_RE = /(?:require\(\s*|from\s+)["'](?:node:)?fs(?:\/promises)?["']|(?:require\(\s*|from\s+)["']fs-extra["']/;
+const FS_WRITE_RE = new RegExp(
+  String.raw`\b(?:writeFile|appendFile|createWriteStream|mkdir|mkdtemp|rmdir|rm|unlink|rename|copyFile|cp|truncate|chmod|chown|symlink|link|utimes)(?:Sync)?\s*\(`,
+  "g"
+);
+const CHILD_PROCESS_MODULE_RE = /(?:require\(\s*|from\s+|import\(\s*)["'](?:node:)?child_process["']/;
+const CHILD_PROCESS_NAMESPACE_RE = /(?:(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*require\(\s*|import\s+(?:\*\s+as\s+)?([A-Za-z_$][\w$]*)\s+from\s+)["'](?:node:)?child_process["']/g;
+const SUBPROCESS_CALL_RE = /(?:([A-Za-z_$][\w$]*)\s*\.\s*)?\b(spawn|exec|execFile|fork)(Sync)?\s*\(/g;
+const URL_RE = /(["'`])(?:https?|wss?):\/\/(\[[0-9a-fA-F:]+\]|[A-Za-z0-9.-]+)/g;
+const HOST_API_RE = /\/api\/v1\/([A-Za-z_-]+)((?:\/[^"'`\s?#]*)?)/g;
+
+const NEXUS_HOST = "host.docker.internal";
+
+// Host API path prefixes and the permission each requires. Mutating
+// sub-paths need the broader permission of the pair.
+const HOST_API_PERMISSIONS = {
+  system: () => "system:info",
+  fs: (rest) => (/\/(write|mkdir|delete|remove|rename|move|copy|upload)\b/.test(rest) ? "filesystem:write" : "filesystem:read"),
+  filesystem: (rest) => HOST_API_PERMISSIONS.fs(rest),
+  process: () => "process:list",
+  processes: () => "process:list",
+  docker: (rest) =>
+    /\/(start|stop|restart|kill|pause|unpause|remove|delete|create|pull|exec|run)\b/.test(rest) ? "docker:manage" : "docker:read",
+};
+
+/** Whether a URL host stays on the machine or the local network. */
+function isLocalHost(host) {
+  const h = host.toLowerCase().replace(/^\[|\]$/g, "");
+  if (h === "localhost" || h === "0.0.0.0" || h === "::1") return true;
+  if (/\.(local|internal|localhost)$/.test(h)) return true;
+  // Single-label names are container or LAN hosts ("http://redis:6379")
+  if (!h.includes(".") && !h.includes(":")) return true;
+  const m = h.match(/^(\d+)\.(\d+)\.\d+\.\d+$/);
+  if (!m) return false;
+  const [a, b] = [Number(m[1]), Number(m[2])];
+  return a === 127 || a === 10 || (a === 192 && b === 168) || (a === 172 && b >= 16 && b <= 31) || (a === 169 && b === 254);
+}
+
+/**
+ * Find what the plugin source does that needs a permission: fs writes,
+ * literal outbound URLs and Host API paths. Subprocesses map to no
+ * permission and are reported separately by findSubprocessCalls.
+ * Returns Map<permission, [{ file, line, reason }]>. Dynamic values
+ * (URLs built from variables) are invisible to this scan.
+ */
+function findPermissionUsage(sources) {
+  const usage = new Map();
+
+  function add(permission, source, offset, reason) {
+    if (!usage.has(permission)) usage.set(permission, []);
+    usage.get(permission).push({ file: source.file, line: lineAt(source.text, offset), reason });
+  }
+
+  for (const source of sources) {
+    const { code } = source;
+    let m;
+
+    if (FS_MODULE_RE.test(code)) {
+      FS_WRITE_RE.lastIndex = 0;
+      while ((m = FS_WRITE_RE.exec(code))) add("filesystem:write", source, m.index, `fs ${m[0].replace(/\s*\($/, "")}()`);
+    }
+
+    URL_RE.lastIndex = 0;
+    while ((m = URL_RE.exec(code))) {
+      // The Nexus host itself (Host API) needs no network permission
+      if (m[2].toLowerCase() === NEXUS_HOST) continue;
+      const permission = isLocalHost(m[2]) ? "network:local" : "network:internet";
+      add(permission, source, m.index, `request to ${m[2]}`);
+    }
+
+    HOST_API_RE.lastIndex = 0;
+    while ((m = HOST_API_RE.exec(code))) {
+      const resolve = HOST_API_PERMISSIONS[m[1].toLowerCase()];
+      if (resolve) add(resolve(m[2]), source, m.index, `Host API /api/v1/${m[1]}${m[2]}`);
+    }
+  }
+
+  return usage;
+}
+
+/**
+ * Find child_process calls (spawn, exec, execFile, fork and their Sync
+ * forms). What a subprocess does is invisible to findPermissionUsage, so
+ * these are worth a look. Returns [{ file, line, call }].
+ */
+function findSubprocessCalls(sources) {
+  const calls = [];
+
+  for (const source of sources) {
+    const { code } = source;
+    if (!CHILD_PROCESS_MODULE_RE.test(code)) continue;
+
+    // `cp.spawn(...)` only counts when cp is the child_process module
+    const namespaces = new Set();
+    let m;
+    CHILD_PROCESS_NAMESPACE_RE.lastIndex = 0;
+    while ((m = CHILD_PROCESS_NAMESPACE_RE.exec(code))) namespaces.add(m[1] || m[2]);
+
+    SUBPROCESS_CALL_RE.lastIndex = 0;
+    while ((m = SUBPROCESS_CALL_RE.exec(code))) {
+      const member = m[1] !== undefined || /\.\s*$/.test(code.slice(0, m.index));
+      if (member && !namespaces.has(m[1]) && !/child_process["']\s*\)\s*\.\s*$/.test(code.slice(0, m.index))) continue;
+      calls.push({ file: source.file, line: lineAt(source.text, m.index), call: `${m[2]}${m[3] || ""}` });
+    }
+  }
+
+  return calls;
+}
+
+module.exports = { listSourceFiles, loadSources, stripComments, lineAt, findToolHandlers, findPermissionUsage, findSubprocessCalls };
@@ -7,8 +7,12 @@ WORKDIR /app
 
 COPY src/ ./
 
+USER node
+
 EXPOSE ${config.port}
 
+HEALTHCHECK --interval=30s --timeout=5s CMD wget -qO- http://localhost:${config.port}/health || exit 1
+
 CMD ["node", "server.js"]
 `;
 };
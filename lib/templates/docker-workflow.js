@@ -21,6 +21,7 @@ jobs:
     permissions:
       contents: read
       packages: write
+      security-events: write
 
     steps:
       - uses: actions/checkout@v4
@@ -74,7 +75,15 @@ jobs:
           echo "\\\`\\\`\\\`" >> \$GITHUB_STEP_SUMMARY
 
       - name: Validate manifest
-        run: npx -y nexus-plugin-cli@latest validate .
+        run: npx -y nexus-plugin-cli@latest validate . --format sarif > nexus-plugin.sarif
+        continue-on-error: true
+
+      - name: Upload validation results
+        if: always()
+        uses: github/codeql-action/upload-sarif@v3
+        with:
+          sarif_file: nexus-plugin.sarif
+          category: nexus-plugin
         continue-on-error: true
 `;
 };
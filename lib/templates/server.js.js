@@ -50,7 +50,7 @@ module.exports = function serverJs(config) {
 const fs = require("fs");
 const path = require("path");
 
-const PORT = ${config.port};
+const PORT = parseInt(process.env.PORT, 10) || ${config.port};
 const NEXUS_PLUGIN_SECRET = process.env.NEXUS_PLUGIN_SECRET || "";
 const NEXUS_API_URL =
   process.env.NEXUS_API_URL || "http://host.docker.internal:9600";
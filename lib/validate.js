@@ -2,6 +2,16 @@
 
 const fs = require("fs");
 const path = require("path");
+const { parseDockerfile, splitArgs, splitFlags, finalStage } = require("./dockerfile");
+const { parseImageRef, isValidImageRef } = require("./image");
+const { locate, lookup } = require("./jsonloc");
+const { REPORTERS, FORMATS, relPath, watchText, findingKey } = require("./reporters");
+const { RULES, CONFIG_FILE, loadRuleConfig } = require("./rules");
+const { checkSchema, joinPath } = require("./schema");
+const { loadSources, findToolHandlers, findPermissionUsage, findSubprocessCalls } = require("./source");
+const { watchPaths } = require("./watch");
+const semver = require("./semver");
+const { manifestPathFor } = require("./workspace");
 
 // ── Constants (mirror manifest.rs) ─────────────────────────────
 
@@ -16,123 +26,365 @@ const VALID_PERMISSIONS = [
   "network:internet",
 ];
 
+// Broader permissions that also grant a narrower one
+const IMPLIED_PERMISSIONS = {
+  "filesystem:write": ["filesystem:read"],
+  "docker:manage": ["docker:read"],
+  "network:internet": ["network:local"],
+};
+
 const BIDI_CHARS = /[\u200E\u200F\u202A-\u202E\u2066-\u2069]/;
 const TOOL_NAME_RE = /^[a-z0-9_]{1,100}$/;
 const EXT_ID_RE = /^[a-z0-9_-]{1,100}$/;
 const DIGEST_RE = /^sha256:[0-9a-f]{64}$/;
+const SETTING_KEY_RE = /^[A-Za-z_][A-Za-z0-9_]{0,99}$/;
 const VALID_SETTING_TYPES = ["string", "number", "boolean", "select"];
-
-// ── Output helpers ─────────────────────────────────────────────
-
-const PASS = "\x1b[32m\u2714\x1b[0m";
-const FAIL = "\x1b[31m\u2718\x1b[0m";
-const WARN_SYM = "\x1b[33m\u26A0\x1b[0m";
+const TRIMMED_FIELDS = [
+  "id", "name", "version", "description", "author", "license",
+  "homepage", "image", "icon", "min_nexus_version",
+];
 
 // ── Validator ──────────────────────────────────────────────────
 
+/** Validate one plugin (directory or plugin.json) and print the report. */
 function validate(target, opts = {}) {
-  const jsonMode = opts.json === true;
+  return validateAll([manifestPathFor(target)], opts);
+}
 
-  const dir = path.resolve(target);
-  let manifestPath;
-  try {
-    manifestPath = fs.statSync(dir).isDirectory()
-      ? path.join(dir, "plugin.json")
-      : dir;
-  } catch {
-    manifestPath = path.join(dir, "plugin.json");
+/**
+ * Validate several plugins and print one aggregated report. Plugin ids
+ * must be unique across the set. Returns true when none has errors.
+ */
+function validateAll(manifestPaths, opts = {}) {
+  const format = opts.format || (opts.json === true ? "json" : "text");
+  if (!REPORTERS[format]) {
+    throw new Error(`Unknown format "${format}" (must be ${FORMATS.join("/")})`);
+  }
+  const idOwners = manifestPaths.length > 1 ? collectIds(manifestPaths) : null;
+  const reports = manifestPaths.map((p) => inspect(p, { deep: opts.deep === true, idOwners }));
+  REPORTERS[format](reports);
+  return reports.every((r) => r.errors === 0);
+}
+
+/**
+ * `validate --watch`: re-validate whenever a plugin's manifest, Dockerfile,
+ * src/ or rule config changes, redrawing the report with findings that
+ * appeared or went away since the last run. Errors (including broken rule
+ * config) are shown instead of exiting. Resolves on Ctrl+C.
+ */
+function watchValidation(manifestPaths, opts = {}) {
+  const format = opts.format || (opts.json === true ? "json" : "text");
+  if (format !== "text") throw new Error("--watch only supports text output");
+  const deep = opts.deep === true;
+  let previous = null; // Map<manifestPath, report> of the last parseable run
+
+  function run(changed) {
+    let reports = [];
+    let error = null;
+    try {
+      const idOwners = manifestPaths.length > 1 ? collectIds(manifestPaths) : null;
+      reports = manifestPaths.map((p) => inspect(p, { deep, idOwners }));
+    } catch (err) {
+      error = err.message;
+    }
+
+    // A manifest that fails to parse hides every other finding; compare
+    // against (and keep) its last parseable report instead
+    const broken = (report) => report.findings.some((r) => r.rule === "manifest/invalid-json");
+    const added = new Set();
+    const fixed = [];
+    if (!error && previous) {
+      const before = new Map();
+      for (const report of reports) {
+        const last = previous.get(report.manifestPath);
+        if (!last || broken(report)) continue;
+        for (const r of last.findings) {
+          if (r.level !== "pass") before.set(findingKey(report.manifestPath, r), { manifestPath: report.manifestPath, ...r });
+        }
+      }
+      for (const report of reports) {
+        for (const r of report.findings) {
+          if (r.level === "pass") continue;
+          const key = findingKey(report.manifestPath, r);
+          if (!before.delete(key)) added.add(key);
+        }
+      }
+      fixed.push(...before.values());
+    }
+    if (!error) {
+      const next = new Map(previous || []);
+      for (const report of reports) if (!broken(report) || !next.has(report.manifestPath)) next.set(report.manifestPath, report);
+      previous = next;
+    }
+
+    // Clear the screen and scrollback, then redraw
+    if (process.stdout.isTTY) process.stdout.write("\x1b[2J\x1b[3J\x1b[H");
+    watchText(reports, { added, fixed, changed, error });
   }
 
-  const results = []; // { level: "pass"|"fail"|"warn", msg: string }
+  const targets = [];
+  for (const manifestPath of manifestPaths) {
+    const dir = path.dirname(manifestPath);
+    targets.push(manifestPath, path.join(dir, "Dockerfile"), path.join(dir, "src"), path.join(dir, CONFIG_FILE), path.join(dir, "package.json"));
+  }
+
+  run([]);
+  const close = watchPaths(targets, (changed) => run(changed));
+
+  return new Promise((resolve) => {
+    const stop = () => {
+      close();
+      process.removeListener("SIGINT", stop);
+      process.removeListener("SIGTERM", stop);
+      console.log("");
+      resolve();
+    };
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
+  });
+}
+
+/** Map each plugin id to the manifests declaring it (unparseable ones are skipped). */
+function collectIds(manifestPaths) {
+  const owners = new Map();
+  for (const p of manifestPaths) {
+    let id;
+    try {
+      id = JSON.parse(fs.readFileSync(p, "utf8")).id;
+    } catch {
+      continue;
+    }
+    if (typeof id !== "string" || id === "") continue;
+    if (!owners.has(id)) owners.set(id, []);
+    owners.get(id).push(p);
+  }
+  return owners;
+}
+
+/**
+ * Run every check against one manifest.
+ * `content` checks that text in place of the file on disk (Dockerfile,
+ * src/ and rule config still come from the manifest's directory).
+ * Returns { manifestPath, id, findings, errors, warnings } for the reporters.
+ */
+function inspect(manifestPath, { deep = false, idOwners = null, content = null } = {}) {
+  const { rules: ruleLevels } = loadRuleConfig(path.dirname(manifestPath));
+
+  // { level: "pass"|"fail"|"warn", rule, msg, loc: { path } | { file, line } | null }
+  const results = [];
   let errors = 0;
   let warnings = 0;
+  let locations = null;
+  let pluginId = null;
 
-  function pass(msg) {
-    results.push({ level: "pass", msg });
+  // `loc` is a manifest path ("settings[0].default") or { file, line }
+  function toLoc(loc) {
+    if (loc == null) return null;
+    return typeof loc === "string" ? { path: loc } : loc;
+  }
+  function levelOf(rule) {
+    if (!RULES[rule]) throw new Error(`Unregistered validation rule: ${rule}`);
+    return ruleLevels[rule] || RULES[rule].level;
   }
-  function fail(msg) {
-    results.push({ level: "fail", msg });
-    errors++;
+  function pass(rule, msg, loc) {
+    if (levelOf(rule) === "off") return;
+    results.push({ level: "pass", rule, msg, loc: toLoc(loc) });
   }
-  function warn(msg) {
-    results.push({ level: "warn", msg });
-    warnings++;
+  // Record a finding at the rule's configured level
+  function report(rule, msg, loc) {
+    const level = levelOf(rule);
+    if (level === "off") return;
+    if (level === "error") {
+      results.push({ level: "fail", rule, msg, loc: toLoc(loc) });
+      errors++;
+    } else {
+      results.push({ level: "warn", rule, msg, loc: toLoc(loc) });
+      warnings++;
+    }
   }
 
-  function check(condition, passMsg, failMsg) {
-    if (condition) pass(passMsg);
-    else fail(failMsg);
+  function check(rule, condition, passMsg, failMsg, loc) {
+    if (condition) pass(rule, passMsg, loc);
+    else report(rule, failMsg, loc);
   }
 
+  const finish = () => ({
+    manifestPath,
+    id: pluginId,
+    findings: resolveFindings(manifestPath, results, locations),
+    errors,
+    warnings,
+  });
+
   // ── Read & parse ─────────────────────────────────────────
 
-  if (!fs.existsSync(manifestPath)) {
-    fail("plugin.json not found");
-    return output(manifestPath, results, errors, warnings, jsonMode);
+  if (content == null && !fs.existsSync(manifestPath)) {
+    report("manifest/missing", "plugin.json not found");
+    return finish();
   }
 
-  let raw;
-  try {
-    raw = fs.readFileSync(manifestPath, "utf8");
-  } catch (err) {
-    fail(`Cannot read plugin.json: ${err.message}`);
-    return output(manifestPath, results, errors, warnings, jsonMode);
+  let raw = content;
+  if (raw == null) {
+    try {
+      raw = fs.readFileSync(manifestPath, "utf8");
+    } catch (err) {
+      report("manifest/missing", `Cannot read plugin.json: ${err.message}`);
+      return finish();
+    }
   }
 
   let manifest;
   try {
     manifest = JSON.parse(raw);
   } catch (err) {
-    fail(`Invalid JSON: ${err.message}`);
-    return output(manifestPath, results, errors, warnings, jsonMode);
+    let loc = null;
+    try {
+      locate(raw);
+    } catch (locErr) {
+      if (locErr.line) loc = { file: manifestPath, line: locErr.line, column: locErr.column };
+    }
+    report("manifest/invalid-json", `Invalid JSON: ${err.message}`, loc);
+    return finish();
+  }
+
+  if (manifest && typeof manifest.id === "string") pluginId = manifest.id;
+
+  try {
+    locations = locate(raw);
+  } catch {
+    locations = null;
   }
 
   // ── Required fields ──────────────────────────────────────
 
   check(
+    "manifest/id-required",
     manifest.id && typeof manifest.id === "string" && manifest.id.length > 0,
     "id present",
-    "id is required"
+    "id is required",
+    "id"
   );
   check(
+    "manifest/name-required",
     manifest.name && typeof manifest.name === "string" && manifest.name.length > 0,
     "name present",
-    "name is required"
+    "name is required",
+    "name"
   );
   check(
+    "manifest/version-required",
     manifest.version && typeof manifest.version === "string" && manifest.version.length > 0,
     "version present",
-    "version is required"
+    "version is required",
+    "version"
   );
   check(
+    "manifest/description-required",
     manifest.description && typeof manifest.description === "string" && manifest.description.length > 0,
     "description present",
-    "description is required"
+    "description is required",
+    "description"
   );
   check(
+    "manifest/author-required",
     manifest.author && typeof manifest.author === "string",
     "author present",
-    "author is required"
+    "author is required",
+    "author"
   );
   check(
+    "manifest/image-required",
     manifest.image && typeof manifest.image === "string" && manifest.image.length > 0,
     "image present",
-    "image is required"
+    "image is required",
+    "image"
   );
   check(
+    "manifest/ui-port",
     manifest.ui && typeof manifest.ui.port === "number" && manifest.ui.port > 0,
     `ui.port = ${manifest.ui?.port}`,
-    "ui.port must be a non-zero number"
+    "ui.port must be a non-zero number",
+    "ui.port"
   );
 
+  // ── Cross-plugin ─────────────────────────────────────────
+
+  if (idOwners && typeof manifest.id === "string" && idOwners.has(manifest.id)) {
+    const others = idOwners.get(manifest.id).filter((p) => p !== manifestPath);
+    check(
+      "workspace/duplicate-id",
+      others.length === 0,
+      `id "${manifest.id}" is unique across plugins`,
+      `id "${manifest.id}" is also used by ${others.map(relPath).join(", ")}`,
+      "id"
+    );
+  }
+
+  // ── Whitespace & license ─────────────────────────────────
+
+  for (const field of TRIMMED_FIELDS) {
+    const value = manifest[field];
+    if (typeof value === "string" && value !== value.trim()) {
+      report("manifest/whitespace", `${field} has leading or trailing whitespace`, field);
+    }
+  }
+
+  if (manifest.license == null || manifest.license === "") {
+    report("manifest/license", "license not set (the registry lists it as MIT)", "license");
+  }
+
   // ── Length limits ────────────────────────────────────────
 
-  if (manifest.id) check(manifest.id.length <= 100, "id length ok", `id too long (${manifest.id.length}/100)`);
-  if (manifest.name) check(manifest.name.length <= 100, "name length ok", `name too long (${manifest.name.length}/100)`);
-  if (manifest.version) check(manifest.version.length <= 50, "version length ok", `version too long (${manifest.version.length}/50)`);
-  if (manifest.description) check(manifest.description.length <= 2000, "description length ok", `description too long (${manifest.description.length}/2000)`);
-  if (manifest.author) check(manifest.author.length <= 100, "author length ok", `author too long (${manifest.author.length}/100)`);
-  if (manifest.image) check(manifest.image.length <= 200, "image length ok", `image too long (${manifest.image.length}/200)`);
+  if (manifest.id) check("manifest/id-length", manifest.id.length <= 100, "id length ok", `id too long (${manifest.id.length}/100)`, "id");
+  if (manifest.name) check("manifest/name-length", manifest.name.length <= 100, "name length ok", `name too long (${manifest.name.length}/100)`, "name");
+  if (manifest.version) check("manifest/version-length", manifest.version.length <= 50, "version length ok", `version too long (${manifest.version.length}/50)`, "version");
+  if (manifest.description) check("manifest/description-length", manifest.description.length <= 2000, "description length ok", `description too long (${manifest.description.length}/2000)`, "description");
+  if (manifest.author) check("manifest/author-length", manifest.author.length <= 100, "author length ok", `author too long (${manifest.author.length}/100)`, "author");
+  if (manifest.image) check("manifest/image-length", manifest.image.length <= 200, "image length ok", `image too long (${manifest.image.length}/200)`, "image");
+
+  // ── Versions ─────────────────────────────────────────────
+
+  const version = typeof manifest.version === "string" ? semver.parse(manifest.version) : null;
+  if (typeof manifest.version === "string" && manifest.version.length > 0) {
+    if (!version) {
+      report("version/semver", `version "${manifest.version}" is not valid semver (expected MAJOR.MINOR.PATCH)`, "version");
+    } else {
+      pass("version/semver", "version is valid semver", "version");
+      if (version.prerelease.length > 0) {
+        report("version/prerelease", `version "${manifest.version}" is a prerelease; publishing it makes it the registry's current version`, "version");
+      }
+      if (version.build.length > 0) {
+        report("version/build-metadata", `version "${manifest.version}" has build metadata, which Docker tags cannot carry and version ordering ignores`, "version");
+      }
+    }
+  }
+
+  if (manifest.min_nexus_version == null) {
+    report("version/min-nexus-missing", "min_nexus_version not set (plugin will be offered to every Nexus version)", "min_nexus_version");
+  } else if (!semver.valid(manifest.min_nexus_version)) {
+    report("version/min-nexus-semver", `min_nexus_version "${manifest.min_nexus_version}" is not valid semver`, "min_nexus_version");
+  } else {
+    pass("version/min-nexus-semver", `min_nexus_version = ${manifest.min_nexus_version}`, "min_nexus_version");
+  }
+
+  // ── Image tag ────────────────────────────────────────────
+
+  if (typeof manifest.image === "string" && manifest.image.length > 0) {
+    const ref = parseImageRef(manifest.image);
+    if (!ref || !isValidImageRef(manifest.image)) {
+      report("image/reference", `image "${manifest.image}" is not a valid image reference`, "image");
+    } else if (ref.tag === null && ref.digest) {
+      pass("image/untagged", "image is pinned by digest", "image");
+    } else if (ref.tag === null) {
+      report("image/untagged", "image has no tag (resolves to :latest); pin it to the plugin version", "image");
+    } else if (ref.tag === "latest") {
+      report("image/latest", "image is pinned to :latest; pin it to the plugin version instead", "image");
+    } else if (version && !imageTagsFor(manifest.version).includes(ref.tag)) {
+      report("image/tag-mismatch", `image tag "${ref.tag}" does not match version "${manifest.version}"`, "image");
+    } else if (version) {
+      pass("image/tag-mismatch", "image tag matches version", "image");
+    }
+  }
 
   // ── Bidi characters ──────────────────────────────────────
 
@@ -140,20 +392,22 @@ function validate(target, opts = {}) {
   let bidiClean = true;
   for (const [field, value] of Object.entries(bidiFields)) {
     if (value && BIDI_CHARS.test(value)) {
-      fail(`${field} contains bidirectional override characters`);
+      report("manifest/bidi", `${field} contains bidirectional override characters`, field);
       bidiClean = false;
     }
   }
-  if (bidiClean) pass("no bidi override characters");
+  if (bidiClean) pass("manifest/bidi", "no bidi override characters");
 
   // ── Icon URL ─────────────────────────────────────────────
 
   if (manifest.icon != null) {
     check(
+      "manifest/icon-url",
       typeof manifest.icon === "string" &&
         (manifest.icon.startsWith("http://") || manifest.icon.startsWith("https://")),
       "icon URL valid",
-      "icon must be an http or https URL"
+      "icon must be an http or https URL",
+      "icon"
     );
   }
 
@@ -161,9 +415,11 @@ function validate(target, opts = {}) {
 
   if (manifest.image_digest != null) {
     check(
+      "manifest/image-digest",
       DIGEST_RE.test(manifest.image_digest),
       "image_digest format valid",
-      'image_digest must be "sha256:" followed by 64 hex characters'
+      'image_digest must be "sha256:" followed by 64 hex characters',
+      "image_digest"
     );
   }
 
@@ -171,13 +427,19 @@ function validate(target, opts = {}) {
 
   if (Array.isArray(manifest.permissions)) {
     let permsOk = true;
-    for (const perm of manifest.permissions) {
+    for (const [i, perm] of manifest.permissions.entries()) {
       if (!VALID_PERMISSIONS.includes(perm) && !perm.startsWith("ext:")) {
-        fail(`invalid permission: "${perm}"`);
+        report("permissions/invalid", `invalid permission: "${perm}"`, `permissions[${i}]`);
         permsOk = false;
       }
     }
-    if (permsOk) pass(`permissions valid (${manifest.permissions.length})`);
+    if (permsOk) pass("permissions/invalid", `permissions valid (${manifest.permissions.length})`, "permissions");
+
+    manifest.permissions.forEach((perm, i) => {
+      if (manifest.permissions.indexOf(perm) !== i) {
+        report("permissions/duplicate", `duplicate permission: "${perm}"`, `permissions[${i}]`);
+      }
+    });
   }
 
   // ── MCP tools ────────────────────────────────────────────
@@ -186,46 +448,57 @@ function validate(target, opts = {}) {
     const toolNames = new Set();
     let toolsOk = true;
 
-    for (const tool of manifest.mcp.tools) {
+    for (const [i, tool] of manifest.mcp.tools.entries()) {
       if (!TOOL_NAME_RE.test(tool.name)) {
-        fail(`MCP tool name "${tool.name}" invalid (must be [a-z0-9_], 1-100 chars)`);
+        report("mcp/tool-name", `MCP tool name "${tool.name}" invalid (must be [a-z0-9_], 1-100 chars)`, `mcp.tools[${i}].name`);
         toolsOk = false;
         continue;
       }
       if (toolNames.has(tool.name)) {
-        fail(`duplicate MCP tool name: "${tool.name}"`);
+        report("mcp/duplicate-tool", `duplicate MCP tool name: "${tool.name}"`, `mcp.tools[${i}].name`);
         toolsOk = false;
         continue;
       }
       toolNames.add(tool.name);
 
       if (!tool.description || tool.description.length === 0) {
-        fail(`MCP tool "${tool.name}" must have a description`);
+        report("mcp/tool-description", `MCP tool "${tool.name}" must have a description`, `mcp.tools[${i}].description`);
         toolsOk = false;
       } else if (tool.description.length > 2000) {
-        fail(`MCP tool "${tool.name}" description exceeds 2000 characters`);
+        report("mcp/tool-description", `MCP tool "${tool.name}" description exceeds 2000 characters`, `mcp.tools[${i}].description`);
         toolsOk = false;
       } else if (BIDI_CHARS.test(tool.description)) {
-        fail(`MCP tool "${tool.name}" description contains bidi overrides`);
+        report("mcp/tool-description", `MCP tool "${tool.name}" description contains bidi overrides`, `mcp.tools[${i}].description`);
         toolsOk = false;
       }
 
       if (!tool.input_schema || typeof tool.input_schema !== "object" || tool.input_schema.type !== "object") {
-        fail(`MCP tool "${tool.name}" input_schema must have "type": "object" at root`);
+        report("mcp/input-schema-root", `MCP tool "${tool.name}" input_schema must have "type": "object" at root`, `mcp.tools[${i}].input_schema`);
         toolsOk = false;
+      } else {
+        for (const problem of checkSchema(tool.input_schema, `mcp.tools[${i}].input_schema`)) {
+          if (problem.level === "warn") {
+            report("mcp/input-schema-lint", `${problem.path}: ${problem.message}`, problem.path);
+          } else {
+            report("mcp/input-schema", `${problem.path}: ${problem.message}`, problem.path);
+            toolsOk = false;
+          }
+        }
       }
 
       if (Array.isArray(tool.permissions)) {
-        for (const perm of tool.permissions) {
+        for (const [j, perm] of tool.permissions.entries()) {
           if (!VALID_PERMISSIONS.includes(perm) && !perm.startsWith("ext:")) {
-            fail(`MCP tool "${tool.name}" has invalid permission: "${perm}"`);
+            report("mcp/tool-permission", `MCP tool "${tool.name}" has invalid permission: "${perm}"`, `mcp.tools[${i}].permissions[${j}]`);
             toolsOk = false;
+          } else if (tool.permissions.indexOf(perm) !== j) {
+            report("permissions/duplicate", `MCP tool "${tool.name}" lists permission "${perm}" twice`, `mcp.tools[${i}].permissions[${j}]`);
           }
         }
       }
     }
 
-    if (toolsOk) pass(`MCP tools valid (${manifest.mcp.tools.length})`);
+    if (toolsOk) pass("mcp/tool-name", `MCP tools valid (${manifest.mcp.tools.length})`, "mcp.tools");
   }
 
   // ── Extensions ───────────────────────────────────────────
@@ -236,94 +509,402 @@ function validate(target, opts = {}) {
 
     for (const [extId, operations] of entries) {
       if (!EXT_ID_RE.test(extId)) {
-        fail(`extension ID "${extId}" must match [a-z0-9_-], 1-100 chars`);
+        report("extensions/id", `extension ID "${extId}" must match [a-z0-9_-], 1-100 chars`, joinPath("extensions", extId));
         extsOk = false;
         continue;
       }
       if (!Array.isArray(operations) || operations.length === 0) {
-        fail(`extension "${extId}" must declare at least one operation`);
+        report("extensions/operations", `extension "${extId}" must declare at least one operation`, joinPath("extensions", extId));
         extsOk = false;
         continue;
       }
-      for (const op of operations) {
+      for (const [j, op] of operations.entries()) {
         if (!EXT_ID_RE.test(op)) {
-          fail(`extension "${extId}" operation "${op}" must match [a-z0-9_-], 1-100 chars`);
+          report("extensions/operations", `extension "${extId}" operation "${op}" must match [a-z0-9_-], 1-100 chars`, joinPath(joinPath("extensions", extId), j));
           extsOk = false;
         }
       }
     }
 
-    if (extsOk && entries.length > 0) pass(`extensions valid (${entries.length})`);
+    if (extsOk && entries.length > 0) pass("extensions/id", `extensions valid (${entries.length})`, "extensions");
   }
 
   // ── Settings ─────────────────────────────────────────────
 
-  if (Array.isArray(manifest.settings)) {
+  if (manifest.settings === undefined) {
+    report("settings/missing", 'settings not declared (use "settings": [] when there are none)', "settings");
+  } else if (manifest.settings !== null && !Array.isArray(manifest.settings)) {
+    report("settings/shape", "settings must be an array", "settings");
+  } else if (Array.isArray(manifest.settings)) {
     let settingsOk = true;
+    const settingKeys = new Set();
 
-    for (const setting of manifest.settings) {
+    function settingFail(rule, msg, loc) {
+      report(rule, msg, loc);
+      settingsOk = false;
+    }
+
+    for (const [i, setting] of manifest.settings.entries()) {
+      if (!setting || typeof setting !== "object" || Array.isArray(setting)) {
+        settingFail("settings/shape", `settings[${i}] must be an object`, `settings[${i}]`);
+        continue;
+      }
       if (!setting.key || typeof setting.key !== "string") {
-        fail("setting missing key");
-        settingsOk = false;
+        settingFail("settings/shape", `settings[${i}] missing key`, `settings[${i}]`);
         continue;
       }
+      const key = setting.key;
+      const label = `setting "${key}"`;
+      const at = `settings[${i}]`;
+
+      if (!SETTING_KEY_RE.test(key)) {
+        settingFail("settings/key-format", `${label} key must start with a letter or underscore and contain only [A-Za-z0-9_], 1-100 chars`, `${at}.key`);
+      }
+      if (settingKeys.has(key)) {
+        settingFail("settings/duplicate-key", `duplicate setting key: "${key}"`, `${at}.key`);
+      }
+      settingKeys.add(key);
+
       if (!VALID_SETTING_TYPES.includes(setting.type)) {
-        fail(`setting "${setting.key}" has invalid type "${setting.type}" (must be ${VALID_SETTING_TYPES.join("/")})`);
-        settingsOk = false;
+        settingFail("settings/type", `${label} has invalid type "${setting.type}" (must be ${VALID_SETTING_TYPES.join("/")})`, `${at}.type`);
+      }
+
+      // Label / description render directly in the host's settings UI
+      if (typeof setting.label !== "string" || setting.label.trim().length === 0) {
+        settingFail("settings/label", `${label} must have a non-empty label`, `${at}.label`);
+      } else if (setting.label.length > 100) {
+        settingFail("settings/label", `${label} label too long (${setting.label.length}/100)`, `${at}.label`);
+      } else if (BIDI_CHARS.test(setting.label)) {
+        settingFail("settings/label", `${label} label contains bidi overrides`, `${at}.label`);
+      }
+      if (setting.description != null) {
+        if (typeof setting.description !== "string") {
+          settingFail("settings/description", `${label} description must be a string`, `${at}.description`);
+        } else if (setting.description.length > 2000) {
+          settingFail("settings/description", `${label} description exceeds 2000 characters`, `${at}.description`);
+        } else if (BIDI_CHARS.test(setting.description)) {
+          settingFail("settings/description", `${label} description contains bidi overrides`, `${at}.description`);
+        }
+      }
+
+      // Select options: all plain strings, or all { label, value } objects
+      let optionValues = null;
+      if (setting.type === "select") {
+        if (!Array.isArray(setting.options) || setting.options.length === 0) {
+          settingFail("settings/options", `${label} type "select" requires a non-empty options array`, `${at}.options`);
+        } else {
+          const shapes = new Set(setting.options.map((o) => (typeof o === "string" ? "string" : "object")));
+          if (shapes.size > 1) {
+            settingFail("settings/options", `${label} options mix plain strings and { label, value } objects`, `${at}.options`);
+          }
+          optionValues = [];
+          for (const [j, opt] of setting.options.entries()) {
+            if (typeof opt === "string") {
+              if (opt.length === 0) settingFail("settings/options", `${label} options[${j}] must be a non-empty string`, `${at}.options[${j}]`);
+              optionValues.push(opt);
+            } else if (opt && typeof opt === "object" && !Array.isArray(opt)) {
+              if (typeof opt.label !== "string" || opt.label.length === 0) {
+                settingFail("settings/options", `${label} options[${j}] must have a non-empty string label`, `${at}.options[${j}]`);
+              }
+              if (typeof opt.value !== "string" && typeof opt.value !== "number") {
+                settingFail("settings/options", `${label} options[${j}] value must be a string or number`, `${at}.options[${j}]`);
+              } else {
+                optionValues.push(opt.value);
+              }
+            } else {
+              settingFail("settings/options", `${label} options[${j}] must be a string or a { label, value } object`, `${at}.options[${j}]`);
+            }
+          }
+          const dupes = optionValues.filter((v, j) => optionValues.indexOf(v) !== j);
+          for (const dupe of new Set(dupes)) {
+            settingFail("settings/options", `${label} has duplicate option ${JSON.stringify(dupe)}`, `${at}.options`);
+          }
+        }
+      } else if (setting.options !== undefined) {
+        report("settings/unused-options", `${label} has options but type "${setting.type}" ignores them`, `${at}.options`);
       }
-      if (setting.type === "select" && (!Array.isArray(setting.options) || setting.options.length === 0)) {
-        fail(`setting "${setting.key}" type "select" requires a non-empty options array`);
-        settingsOk = false;
+
+      // Number bounds
+      const hasMin = setting.min !== undefined;
+      const hasMax = setting.max !== undefined;
+      if (setting.type === "number") {
+        if (hasMin && !Number.isFinite(setting.min)) settingFail("settings/bounds", `${label} min must be a number`, `${at}.min`);
+        if (hasMax && !Number.isFinite(setting.max)) settingFail("settings/bounds", `${label} max must be a number`, `${at}.max`);
+        if (Number.isFinite(setting.min) && Number.isFinite(setting.max) && setting.min > setting.max) {
+          settingFail("settings/bounds", `${label} min (${setting.min}) is greater than max (${setting.max})`, `${at}.min`);
+        }
+        if (setting.step !== undefined && !(Number.isFinite(setting.step) && setting.step > 0)) {
+          settingFail("settings/bounds", `${label} step must be a positive number`, `${at}.step`);
+        }
+      } else if (hasMin || hasMax) {
+        report("settings/unused-bounds", `${label} has min/max but type "${setting.type}" ignores them`, `${at}`);
+      }
+
+      // Default must agree with the declared type
+      if (setting.default === undefined) {
+        report("settings/missing-default", `${label} has no default (the plugin will see null until the user saves)`, `${at}`);
+      } else {
+        const def = setting.default;
+        if (setting.type === "string" && typeof def !== "string") {
+          settingFail("settings/default-type", `${label} default must be a string (got ${jsonType(def)})`, `${at}.default`);
+        } else if (setting.type === "boolean" && typeof def !== "boolean") {
+          settingFail("settings/default-type", `${label} default must be a boolean (got ${jsonType(def)})`, `${at}.default`);
+        } else if (setting.type === "number") {
+          if (!Number.isFinite(def)) {
+            settingFail("settings/default-type", `${label} default must be a number (got ${jsonType(def)})`, `${at}.default`);
+          } else if (Number.isFinite(setting.min) && def < setting.min) {
+            settingFail("settings/default-type", `${label} default ${def} is below min ${setting.min}`, `${at}.default`);
+          } else if (Number.isFinite(setting.max) && def > setting.max) {
+            settingFail("settings/default-type", `${label} default ${def} is above max ${setting.max}`, `${at}.default`);
+          }
+        } else if (setting.type === "select" && optionValues && !optionValues.includes(def)) {
+          settingFail("settings/default-type", `${label} default ${JSON.stringify(def)} is not one of its options`, `${at}.default`);
+        }
       }
     }
 
-    if (settingsOk && manifest.settings.length > 0) pass(`settings valid (${manifest.settings.length})`);
+    if (settingsOk && manifest.settings.length > 0) pass("settings/shape", `settings valid (${manifest.settings.length})`);
   }
 
-  // ── Dockerfile warning ───────────────────────────────────
-
   const manifestDir = path.dirname(manifestPath);
+
+  // ── Source cross-check (--deep) ──────────────────────────
+
+  const srcDir = path.join(manifestDir, "src");
+  if (deep && !fs.existsSync(srcDir)) {
+    report("source/missing-src", "no src/ directory next to plugin.json; skipping source analysis");
+  } else if (deep) {
+    const sources = loadSources(srcDir);
+    const declared = manifest.mcp && Array.isArray(manifest.mcp.tools)
+      ? manifest.mcp.tools.map((t) => (t && typeof t.name === "string" ? t.name : null))
+      : [];
+    const handlers = findToolHandlers(sources);
+
+    if (!handlers.found) {
+      if (declared.length > 0) {
+        report("source/no-dispatch", "could not find MCP tool dispatch in src/ (expected a switch on tool_name); skipping tool cross-check");
+      }
+    } else {
+      let crossOk = true;
+      for (const [i, name] of declared.entries()) {
+        if (name !== null && !handlers.tools.has(name)) {
+          report("source/unhandled-tool", `MCP tool "${name}" is declared in plugin.json but not handled in src/`, `mcp.tools[${i}].name`);
+          crossOk = false;
+        }
+      }
+      for (const [name, loc] of handlers.tools) {
+        if (!declared.includes(name)) {
+          report("source/undeclared-tool", `MCP tool "${name}" is handled in ${path.relative(manifestDir, loc.file)}:${loc.line} but not declared in mcp.tools`, loc);
+          crossOk = false;
+        }
+      }
+      if (crossOk && declared.length > 0) pass("source/unhandled-tool", `MCP tools match handlers in src/ (${declared.length})`, "mcp.tools");
+    }
+
+    // Least privilege: permissions src/ exercises vs. those declared
+    const usage = findPermissionUsage(sources);
+    const granted = Array.isArray(manifest.permissions) ? manifest.permissions : [];
+    let permsOk = true;
+    for (const [perm, uses] of usage) {
+      if (granted.includes(perm) || granted.some((g) => (IMPLIED_PERMISSIONS[g] || []).includes(perm))) continue;
+      const first = uses[0];
+      const more = uses.length > 1 ? ` and ${uses.length - 1} more place(s)` : "";
+      report(
+        "source/undeclared-permission",
+        `src/ needs "${perm}" (${first.reason} at ${path.relative(manifestDir, first.file)}:${first.line}${more}) but it is not declared in permissions`,
+        { file: first.file, line: first.line }
+      );
+      permsOk = false;
+    }
+    for (const [i, perm] of granted.entries()) {
+      if (!VALID_PERMISSIONS.includes(perm) || usage.has(perm) || granted.indexOf(perm) !== i) continue;
+      report("source/unused-permission", `permission "${perm}" is declared but src/ never uses it (over-broad)`, `permissions[${i}]`);
+      permsOk = false;
+    }
+    if (permsOk) pass("source/undeclared-permission", "permissions match what src/ uses", "permissions");
+
+    // Subprocesses need no permission, but what they run is out of the scan's sight
+    const subprocesses = findSubprocessCalls(sources);
+    for (const call of subprocesses) {
+      report("source/subprocess", `src/ starts a subprocess (child_process ${call.call}() at ${path.relative(manifestDir, call.file)}:${call.line}); its permissions are not checked`, { file: call.file, line: call.line });
+    }
+    if (subprocesses.length === 0) pass("source/subprocess", "src/ starts no subprocesses");
+  }
+
+  // ── Dockerfile ───────────────────────────────────────────
+
   const dockerfilePath = path.join(manifestDir, "Dockerfile");
   if (!fs.existsSync(dockerfilePath)) {
-    warn("no Dockerfile found next to plugin.json");
+    report("dockerfile/missing", "no Dockerfile found next to plugin.json");
   } else {
-    pass("Dockerfile found");
+    pass("dockerfile/missing", "Dockerfile found", { file: dockerfilePath, line: 1 });
+    let text = null;
+    try {
+      text = fs.readFileSync(dockerfilePath, "utf8");
+    } catch (err) {
+      report("dockerfile/unreadable", `cannot read Dockerfile: ${err.message}`, { file: dockerfilePath, line: 1 });
+    }
+    if (text !== null) {
+      checkDockerfile(parseDockerfile(text), manifest, dockerfilePath, { pass, report });
+    }
   }
 
   // ── Output ───────────────────────────────────────────────
 
-  return output(manifestPath, results, errors, warnings, jsonMode);
+  return finish();
 }
 
-function output(manifestPath, results, errors, warnings, jsonMode) {
-  if (jsonMode) {
-    const obj = {
-      file: manifestPath,
-      ok: errors === 0,
-      errors,
-      warnings,
-      results: results.map((r) => ({ level: r.level, message: r.msg })),
-    };
-    console.log(JSON.stringify(obj));
-    return errors === 0;
+/**
+ * Check a parsed Dockerfile against the manifest: exposed port, health
+ * check, non-root user, pinned base images and COPY sources.
+ */
+function checkDockerfile(instructions, manifest, dockerfilePath, { pass, report }) {
+  const contextDir = path.dirname(dockerfilePath);
+  const at = (line) => ({ file: dockerfilePath, line });
+
+  if (!instructions.some((ins) => ins.instruction === "FROM")) {
+    report("dockerfile/from", "Dockerfile has no FROM instruction", at(1));
+    return;
+  }
+  const { stage, stageNames } = finalStage(instructions);
+
+  // Base images
+  let basesPinned = true;
+  for (const ins of instructions) {
+    if (ins.instruction !== "FROM") continue;
+    const image = splitFlags(ins.args).rest.split(/\s+/)[0];
+    if (!image || image === "scratch" || image.includes("$") || stageNames.has(image.toLowerCase())) continue;
+    const ref = parseImageRef(image);
+    if (ref && ref.digest) continue;
+    if (!ref || ref.tag === null || ref.tag === "latest") {
+      report("dockerfile/unpinned-base", `Dockerfile:${ins.line} base image "${image}" is not pinned to a version tag or digest`, at(ins.line));
+      basesPinned = false;
+    }
+  }
+  if (basesPinned) pass("dockerfile/unpinned-base", "Dockerfile base images pinned", at(stage[0].line));
+
+  // EXPOSE vs ui.port
+  const port = manifest.ui && manifest.ui.port;
+  if (typeof port === "number") {
+    const exposed = [];
+    let exposeLine = null;
+    for (const ins of stage) {
+      if (ins.instruction !== "EXPOSE") continue;
+      exposeLine = ins.line;
+      for (const p of ins.args.split(/\s+/).filter(Boolean)) exposed.push(p.replace(/\/(tcp|udp)$/i, ""));
+    }
+    if (exposed.length === 0) {
+      report("dockerfile/expose-missing", `Dockerfile does not EXPOSE ui.port ${port}`, "ui.port");
+    } else if (!exposed.includes(String(port))) {
+      report("dockerfile/expose-mismatch", `Dockerfile EXPOSE ${exposed.join(", ")} does not match ui.port ${port}`, at(exposeLine));
+    } else {
+      pass("dockerfile/expose-mismatch", `Dockerfile exposes ui.port ${port}`, at(exposeLine));
+    }
   }
 
-  // Human-readable output
-  console.log(`\n  Validating ${path.relative(process.cwd(), manifestPath) || manifestPath}\n`);
-  for (const r of results) {
-    if (r.level === "pass") console.log(`  ${PASS} ${r.msg}`);
-    else if (r.level === "fail") console.log(`  ${FAIL} ${r.msg}`);
-    else console.log(`  ${WARN_SYM} ${r.msg}`);
+  // HEALTHCHECK when the manifest declares a health endpoint
+  if (manifest.health && manifest.health.endpoint) {
+    const healthchecks = stage.filter((ins) => ins.instruction === "HEALTHCHECK");
+    const last = healthchecks[healthchecks.length - 1];
+    if (!last) {
+      report("dockerfile/healthcheck", "health.endpoint is declared but the Dockerfile has no HEALTHCHECK", "health.endpoint");
+    } else if (/^NONE$/i.test(last.args.trim())) {
+      report("dockerfile/healthcheck", `Dockerfile:${last.line} disables HEALTHCHECK but health.endpoint is declared`, at(last.line));
+    } else {
+      pass("dockerfile/healthcheck", "Dockerfile HEALTHCHECK present", at(last.line));
+    }
   }
 
-  console.log("");
-  if (errors === 0) {
-    console.log(`  \x1b[32mValidation passed\x1b[0m${warnings > 0 ? ` with ${warnings} warning(s)` : ""}\n`);
+  // Non-root user
+  const users = stage.filter((ins) => ins.instruction === "USER");
+  const user = users.length > 0 ? users[users.length - 1].args.trim().split(":")[0] : null;
+  if (!user) {
+    report("dockerfile/root-user", "Dockerfile has no USER instruction; the plugin runs as root", at(stage[0].line));
+  } else if (user === "root" || user === "0") {
+    report("dockerfile/root-user", `Dockerfile:${users[users.length - 1].line} runs the plugin as root`, at(users[users.length - 1].line));
   } else {
-    console.log(`  \x1b[31m${errors} error(s)\x1b[0m${warnings > 0 ? `, ${warnings} warning(s)` : ""}\n`);
+    pass("dockerfile/root-user", `Dockerfile runs as "${user}"`, at(users[users.length - 1].line));
   }
 
-  return errors === 0;
+  // COPY / ADD sources from the build context
+  let copyOk = true;
+  for (const ins of instructions) {
+    if (ins.instruction !== "COPY" && ins.instruction !== "ADD") continue;
+    const { flags, rest } = splitFlags(ins.args);
+    if (flags.from) continue;
+    const parts = splitArgs(rest);
+    for (const src of parts.slice(0, -1)) {
+      if (src.includes("$")) continue;
+      if (ins.instruction === "ADD" && /^(https?:\/\/|git@)/.test(src)) continue;
+      if (!contextPathExists(contextDir, src)) {
+        report("dockerfile/copy-source", `Dockerfile:${ins.line} ${ins.instruction} source "${src}" does not exist in the build context`, at(ins.line));
+        copyOk = false;
+      }
+    }
+  }
+  if (copyOk) pass("dockerfile/copy-source", "Dockerfile COPY sources exist");
+}
+
+/** Whether a COPY source (possibly a simple glob) matches something in the context. */
+function contextPathExists(contextDir, src) {
+  const rel = src.replace(/^\/+/, "");
+  if (!/[*?[]/.test(rel)) return fs.existsSync(path.join(contextDir, rel));
+
+  const segments = rel.split("/").filter(Boolean);
+  let candidates = [contextDir];
+  for (const segment of segments) {
+    const re = new RegExp(
+      "^" + segment.replace(/[.+^${}()|\\]/g, "\\$&").replace(/\*/g, "[^/]*").replace(/\?/g, "[^/]") + "$"
+    );
+    const next = [];
+    for (const dir of candidates) {
+      let entries = [];
+      try {
+        entries = fs.readdirSync(dir);
+      } catch {}
+      for (const name of entries) if (re.test(name)) next.push(path.join(dir, name));
+    }
+    candidates = next;
+    if (candidates.length === 0) return false;
+  }
+  return true;
+}
+
+/** Tags that count as matching a version ("+" is not allowed in Docker tags). */
+function imageTagsFor(version) {
+  const tag = version.replace(/\+/g, "-");
+  return [tag, `v${tag}`];
+}
+
+function jsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/** Attach file/line/column to each result, resolving manifest paths via `locations`. */
+function resolveFindings(manifestPath, results, locations) {
+  return results.map((r) => {
+    const finding = { level: r.level, rule: r.rule, message: r.msg, file: null, line: null, column: null, path: null };
+    if (r.loc && r.loc.path != null) {
+      const pos = locations ? lookup(locations, r.loc.path) : { line: 1, column: 1 };
+      Object.assign(finding, { file: manifestPath, path: r.loc.path, line: pos.line, column: pos.column });
+    } else if (r.loc && r.loc.file) {
+      Object.assign(finding, { file: r.loc.file, line: r.loc.line || 1, column: r.loc.column || null });
+    }
+    return finding;
+  });
 }
 
-module.exports = { validate };
+module.exports = {
+  validate,
+  validateAll,
+  watchValidation,
+  inspect,
+  FORMATS,
+  VALID_PERMISSIONS,
+  BIDI_CHARS,
+  TOOL_NAME_RE,
+  DIGEST_RE,
+  TRIMMED_FIELDS,
+};
@@ -0,0 +1,140 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { parseEntry } = require("./entry");
+const registry = require("./registry");
+const { loadPublicKey, fingerprint, verifyEntry } = require("./signing");
+
+// ── Signature verification ─────────────────────────────────────
+//
+// `nexus-plugin verify` checks a registry entry's signatures: given an
+// entry, the entry itself (and the manifest with --manifest); given a
+// plugin.json, the manifest against its entry (--entry, or the registry).
+// --fingerprint / --key pin the publisher, so a re-signed entry fails.
+
+const USAGE = "Usage: nexus-plugin verify <entry.yaml|plugin.json> [--manifest <plugin.json>] [--entry <entry.yaml>] [--fingerprint <sha256:...> | --key <file>] [--json]";
+
+function fail(jsonMode, error, message) {
+  if (jsonMode) console.error(JSON.stringify({ error, message }));
+  else console.error(`  \x1b[31m✘\x1b[0m ${message}`);
+  process.exit(1);
+}
+
+function readFile(jsonMode, file) {
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch (err) {
+    fail(jsonMode, "read_failed", `Cannot read ${file}: ${err.message}`);
+  }
+}
+
+function readEntryFile(jsonMode, file) {
+  try {
+    return parseEntry(readFile(jsonMode, file));
+  } catch (err) {
+    fail(jsonMode, "invalid_entry", `${file}: ${err.message}`);
+  }
+}
+
+function readManifestFile(jsonMode, file) {
+  try {
+    return JSON.parse(readFile(jsonMode, file));
+  } catch (err) {
+    fail(jsonMode, "invalid_manifest", `${file}: ${err.message}`);
+  }
+}
+
+/** The fingerprint --fingerprint or --key pins the publisher to, or null. */
+function expectedFingerprint(args, jsonMode) {
+  if (typeof args.fingerprint === "string") {
+    if (!/^sha256:[0-9a-f]{64}$/.test(args.fingerprint)) {
+      fail(jsonMode, "invalid_flags", '--fingerprint must be "sha256:" followed by 64 hex characters');
+    }
+    return args.fingerprint;
+  }
+  if (typeof args.key === "string") {
+    try {
+      return fingerprint(loadPublicKey(readFile(jsonMode, args.key)));
+    } catch (err) {
+      fail(jsonMode, "invalid_flags", `--key ${args.key}: ${err.message}`);
+    }
+  }
+  return null;
+}
+
+/** `nexus-plugin verify <entry.yaml|plugin.json>` */
+async function verify(args = {}) {
+  const jsonMode = !!args.json;
+  let target = args._[1];
+  if (!target) fail(jsonMode, "missing_file", USAGE);
+  if (fs.existsSync(target) && fs.statSync(target).isDirectory()) target = path.join(target, "plugin.json");
+
+  const ext = path.extname(target).toLowerCase();
+  if (![".yaml", ".yml", ".json"].includes(ext)) {
+    fail(jsonMode, "invalid_file", `${target} is neither a registry entry (.yaml) nor a plugin.json`);
+  }
+  const pinned = expectedFingerprint(args, jsonMode);
+
+  let entry;
+  let entryLabel;
+  let manifest;
+  if (ext === ".json") {
+    manifest = readManifestFile(jsonMode, target);
+    if (typeof args.entry === "string") {
+      entry = readEntryFile(jsonMode, args.entry);
+      entryLabel = args.entry;
+    } else {
+      if (!registry.isValidPluginId(manifest.id)) {
+        fail(jsonMode, "invalid_manifest", `${target} has no valid id to look up in the registry`);
+      }
+      let settings;
+      try {
+        settings = registry.resolveRegistry(args);
+      } catch (err) {
+        fail(jsonMode, "invalid_flags", err.message);
+      }
+      try {
+        entry = await registry.readEntry(settings, manifest.id);
+      } catch (err) {
+        fail(jsonMode, "registry_unavailable", err.message);
+      }
+      if (!entry) fail(jsonMode, "not_found", `${manifest.id} is not in ${settings.label}`);
+      entryLabel = `${registry.entryPath(manifest.id)} in ${settings.label}`;
+    }
+    if (entry.id !== manifest.id) {
+      fail(jsonMode, "id_mismatch", `${entryLabel} is for ${JSON.stringify(entry.id)}, but ${target} is ${JSON.stringify(manifest.id)}`);
+    }
+  } else {
+    entry = readEntryFile(jsonMode, target);
+    entryLabel = target;
+    if (typeof args.manifest === "string") manifest = readManifestFile(jsonMode, args.manifest);
+  }
+
+  const result = verifyEntry(entry, manifest);
+  if (!result.signed) fail(jsonMode, "unsigned", `${entryLabel} is not signed`);
+  if (result.problems.length > 0) fail(jsonMode, "bad_signature", `${entryLabel}: ${result.problems.join("; ")}`);
+  if (pinned && result.fingerprint !== pinned) {
+    fail(jsonMode, "publisher_changed", `${entryLabel} is signed by ${result.fingerprint}, not ${pinned}`);
+  }
+
+  if (jsonMode) {
+    console.log(JSON.stringify({
+      ok: true,
+      entry: entryLabel,
+      id: entry.id,
+      version: entry.version,
+      key_fingerprint: result.fingerprint,
+      entry_signature: "valid",
+      manifest_signature: manifest === undefined ? "not_checked" : "valid",
+      publisher_pinned: !!pinned,
+    }));
+    return;
+  }
+  console.log(`\n  \x1b[32m✔\x1b[0m Entry signature valid  \x1b[2m${entryLabel}\x1b[0m`);
+  if (manifest !== undefined) console.log(`  \x1b[32m✔\x1b[0m Manifest signature valid`);
+  else console.log("  \x1b[2m- Manifest not checked (pass --manifest <plugin.json>)\x1b[0m");
+  console.log(`  ${pinned ? "\x1b[32m✔\x1b[0m Signed by the expected key" : "Signed by"} ${result.fingerprint}\n`);
+}
+
+module.exports = { verify };
@@ -0,0 +1,175 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { formatDiff } = require("./diff");
+const { git, gitRoot, gitErrorDetail } = require("./git");
+const { readManifest } = require("./manifest");
+const semver = require("./semver");
+
+// ── Release versioning ─────────────────────────────────────────
+//
+// `nexus-plugin version` moves plugin.json's version and image tag together
+// and creates the vX.Y.Z git tag that the scaffolded docker.yml builds on.
+
+function fail(jsonMode, error, message) {
+  if (jsonMode) console.error(JSON.stringify({ error, message }));
+  else console.error(`  \x1b[31m✘\x1b[0m ${message}`);
+  process.exit(1);
+}
+
+function tagExists(cwd, tag) {
+  try {
+    git(cwd, ["rev-parse", "--quiet", "--verify", `refs/tags/${tag}`]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * `image` retagged for `version`, dropping any pinned @digest. A "v" tag
+ * prefix is kept when the current tag is the "v"-prefixed old version.
+ */
+function retagImage(image, previous, version) {
+  const at = image.indexOf("@");
+  const ref = at === -1 ? image : image.slice(0, at);
+  const colon = ref.lastIndexOf(":");
+  const hasTag = colon > ref.lastIndexOf("/");
+  const name = hasTag ? ref.slice(0, colon) : ref;
+  const tag = hasTag ? ref.slice(colon + 1) : null;
+
+  // Docker tags cannot contain "+"
+  const next = version.replace(/\+/g, "-");
+  const prefixed = typeof previous === "string" && tag === `v${previous.replace(/\+/g, "-")}`;
+  return `${name}:${prefixed ? "v" : ""}${next}`;
+}
+
+/**
+ * `nexus-plugin version <patch|minor|major|semver>` — bump plugin.json's
+ * version, retag its image and clear image_digest, then commit and tag
+ * the release when the plugin is in a git repository.
+ */
+async function version(args) {
+  const jsonMode = !!args.json;
+  const out = jsonMode ? () => {} : (msg) => console.log(msg);
+  const spec = args._[1];
+
+  if (!spec) {
+    fail(jsonMode, "missing_version", "Usage: nexus-plugin version <patch|minor|major|x.y.z> [--dir <plugin>]");
+  }
+
+  const dir = path.resolve(typeof args.dir === "string" ? args.dir : ".");
+  const manifestPath = path.join(dir, "plugin.json");
+  let manifest;
+  try {
+    manifest = readManifest(dir);
+  } catch (err) {
+    fail(jsonMode, "invalid_manifest", err.message);
+  }
+  if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) {
+    fail(jsonMode, "invalid_manifest", "plugin.json must contain a JSON object");
+  }
+
+  // ── Next version ─────────────────────────────────────────
+
+  const previous = manifest.version;
+  let next;
+  if (semver.RELEASES.includes(spec)) {
+    if (!semver.valid(previous)) {
+      fail(jsonMode, "invalid_version", `plugin.json version ${JSON.stringify(previous)} is not semver; pass an explicit version instead of "${spec}"`);
+    }
+    next = semver.increment(previous, spec);
+  } else {
+    next = spec.replace(/^v(?=\d)/, "");
+    if (!semver.valid(next)) {
+      fail(jsonMode, "invalid_version", `"${spec}" is not patch, minor, major or a semver version`);
+    }
+    if (semver.valid(previous)) {
+      const order = semver.compare(next, previous);
+      if (order === 0) fail(jsonMode, "same_version", `plugin.json is already at ${previous}`);
+      if (order < 0 && !args.force) {
+        fail(jsonMode, "version_downgrade", `${next} is older than ${previous}; pass --force to go back`);
+      }
+    }
+  }
+
+  const tag = `v${next}`;
+  const root = args["no-git"] ? null : gitRoot(dir);
+  if (root && tagExists(dir, tag)) {
+    fail(jsonMode, "tag_exists", `git tag ${tag} already exists`);
+  }
+
+  // ── Update plugin.json ───────────────────────────────────
+
+  const updated = { ...manifest, version: next };
+  if (typeof manifest.image === "string" && manifest.image !== "") {
+    updated.image = retagImage(manifest.image, previous, next);
+  }
+  const clearedDigest = "image_digest" in updated;
+  delete updated.image_digest;
+
+  const raw = fs.readFileSync(manifestPath, "utf8");
+  const nextRaw = JSON.stringify(updated, null, 2) + "\n";
+  const label = path.relative(process.cwd(), manifestPath) || manifestPath;
+
+  out(`\n  ${args["dry-run"] ? "Would bump" : "Bumping"} ${manifest.id || label} from ${previous} to \x1b[1m${next}\x1b[0m\n`);
+  for (const line of formatDiff(raw, nextRaw)) out(`    ${line}`);
+  out("");
+
+  const result = {
+    ok: true,
+    id: manifest.id || null,
+    previous: previous === undefined ? null : previous,
+    version: next,
+    image: updated.image === undefined ? null : updated.image,
+    image_digest_cleared: clearedDigest,
+    manifest: manifestPath,
+    commit: null,
+    tag: null,
+    dry_run: !!args["dry-run"],
+  };
+
+  if (args["dry-run"]) {
+    if (jsonMode) console.log(JSON.stringify(result));
+    else out("  \x1b[2mDry run — plugin.json not modified\x1b[0m\n");
+    return;
+  }
+
+  fs.writeFileSync(manifestPath, nextRaw);
+  out(`  \x1b[32m✔\x1b[0m Updated ${label}`);
+
+  // ── Commit and tag ───────────────────────────────────────
+
+  if (root) {
+    const message = manifest.id ? `${manifest.id} ${tag}` : tag;
+    try {
+      git(dir, ["add", "--", "plugin.json"]);
+      git(dir, ["commit", "--quiet", "-m", message, "--", "plugin.json"]);
+      result.commit = git(dir, ["rev-parse", "HEAD"]);
+      git(dir, ["tag", "-a", tag, "-m", message]);
+      result.tag = tag;
+    } catch (err) {
+      fail(jsonMode, "git_failed", `plugin.json was updated, but git failed: ${gitErrorDetail(err)}`);
+    }
+    out(`  \x1b[32m✔\x1b[0m Committed ${result.commit.slice(0, 7)} and tagged ${tag}`);
+  } else if (!args["no-git"]) {
+    out("  \x1b[2mNot a git repository — skipped the commit and tag\x1b[0m");
+  }
+
+  if (jsonMode) {
+    console.log(JSON.stringify(result));
+    return;
+  }
+
+  const rel = path.relative(process.cwd(), dir);
+  console.log("\n  Next steps:\n");
+  if (result.tag) {
+    console.log(`    git push && git push origin ${tag}   \x1b[2m# the tag triggers the docker.yml image build\x1b[0m`);
+  } else {
+    console.log(`    Build and push ${updated.image || "the image"}`);
+  }
+  console.log(`    ${rel ? `cd ${rel} && ` : ""}nexus-plugin publish   \x1b[2m# once the image is pushed\x1b[0m\n`);
+}
+
+module.exports = { version, retagImage };
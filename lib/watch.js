@@ -0,0 +1,106 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const IGNORED_DIRS = new Set(["node_modules", ".git"]);
+
+/**
+ * Watch files and directories (recursively) and call `onChange` once per
+ * burst of events. fs.watch's `recursive` option is unavailable on Linux
+ * before Node 20, so directories are walked and watched one by one.
+ *
+ * Returns a `close()` function that stops every watcher.
+ */
+function watchPaths(targets, onChange, opts = {}) {
+  const debounceMs = opts.debounce != null ? opts.debounce : 150;
+  const watchers = new Map();
+  let timer = null;
+  let pending = new Set();
+
+  function schedule(file) {
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changed = [...pending];
+      pending = new Set();
+      onChange(changed);
+    }, debounceMs);
+  }
+
+  function watchDir(dir) {
+    if (watchers.has(dir)) return;
+    let watcher;
+    try {
+      watcher = fs.watch(dir, (event, name) => {
+        const full = name ? path.join(dir, name.toString()) : dir;
+        // Pick up directories created after startup
+        if (event === "rename" && isDirectory(full)) walk(full);
+        schedule(full);
+      });
+    } catch {
+      return;
+    }
+    watcher.on("error", () => unwatch(dir));
+    watchers.set(dir, watcher);
+  }
+
+  function watchFile(file) {
+    if (watchers.has(file)) return;
+    // Watch the parent so the file survives editors that replace on save
+    const dir = path.dirname(file);
+    const base = path.basename(file);
+    let watcher;
+    try {
+      watcher = fs.watch(dir, (event, name) => {
+        if (name && name.toString() === base) schedule(file);
+      });
+    } catch {
+      return;
+    }
+    watcher.on("error", () => unwatch(file));
+    watchers.set(file, watcher);
+  }
+
+  function walk(dir) {
+    watchDir(dir);
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory() && !IGNORED_DIRS.has(entry.name)) {
+        walk(path.join(dir, entry.name));
+      }
+    }
+  }
+
+  function unwatch(key) {
+    const watcher = watchers.get(key);
+    if (watcher) watcher.close();
+    watchers.delete(key);
+  }
+
+  for (const target of targets) {
+    const full = path.resolve(target);
+    if (isDirectory(full)) walk(full);
+    else watchFile(full);
+  }
+
+  return function close() {
+    clearTimeout(timer);
+    for (const key of [...watchers.keys()]) unwatch(key);
+  };
+}
+
+function isDirectory(p) {
+  try {
+    return fs.statSync(p).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { watchPaths };
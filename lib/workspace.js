@@ -0,0 +1,170 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+// ── Multi-plugin targets ───────────────────────────────────────
+//
+// Turns `validate` arguments into a list of plugin.json paths: plain
+// directories or files, globs (`plugins/*/`, `**/plugin.json`) for shells
+// that don't expand them, and recursive discovery for monorepos.
+
+const SKIP_DIRS = new Set(["node_modules", ".git", "dist", "build", "coverage"]);
+const MANIFEST = "plugin.json";
+
+function isGlob(pattern) {
+  return /[*?[]/.test(pattern);
+}
+
+function isDirectory(p) {
+  try {
+    return fs.statSync(p).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/** Manifest path for a directory or file argument (which may not exist). */
+function manifestPathFor(target) {
+  const resolved = path.resolve(target);
+  return isDirectory(resolved) ? path.join(resolved, MANIFEST) : resolved;
+}
+
+/** Every plugin.json under `root`, sorted, skipping dependency and build dirs. */
+function findManifests(root) {
+  const found = [];
+  function walk(dir) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIP_DIRS.has(entry.name)) walk(full);
+      } else if (entry.name === MANIFEST) {
+        found.push(full);
+      }
+    }
+  }
+  walk(path.resolve(root));
+  return found.sort();
+}
+
+function segmentRegExp(segment) {
+  let re = "";
+  for (let i = 0; i < segment.length; i++) {
+    const ch = segment[i];
+    if (ch === "*") re += "[^/]*";
+    else if (ch === "?") re += "[^/]";
+    else if (ch === "[") {
+      const close = segment.indexOf("]", i + 1);
+      if (close === -1) {
+        re += "\\[";
+      } else {
+        const body = segment.slice(i + 1, close).replace(/^!/, "^").replace(/\\/g, "\\\\");
+        re += `[${body}]`;
+        i = close;
+      }
+    } else re += ch.replace(/[.+^${}()|\\]/g, "\\$&");
+  }
+  // Like shells, wildcards don't match dotfiles unless the pattern says so
+  return new RegExp(`^${segment.startsWith(".") ? "" : "(?!\\.)"}${re}$`);
+}
+
+/** Expand a glob (`*`, `?`, `[...]`, `**`) to existing paths, sorted. */
+function expandGlob(pattern) {
+  const absolute = path.isAbsolute(pattern);
+  const segments = pattern.split(/[\\/]+/).filter(Boolean);
+  let current = [absolute ? path.parse(path.resolve(pattern)).root : process.cwd()];
+
+  for (const segment of segments) {
+    const next = new Set();
+    if (segment === "**") {
+      for (const dir of current) {
+        next.add(dir);
+        for (const sub of subdirectories(dir)) next.add(sub);
+      }
+    } else if (!isGlob(segment)) {
+      for (const dir of current) {
+        const p = path.join(dir, segment);
+        if (fs.existsSync(p)) next.add(p);
+      }
+    } else {
+      const re = segmentRegExp(segment);
+      for (const dir of current) {
+        let names = [];
+        try {
+          names = fs.readdirSync(dir);
+        } catch {}
+        for (const name of names) if (re.test(name)) next.add(path.join(dir, name));
+      }
+    }
+    current = [...next];
+    if (current.length === 0) break;
+  }
+
+  if (/[\\/]$/.test(pattern)) current = current.filter(isDirectory);
+  return current.sort();
+}
+
+function subdirectories(root) {
+  const dirs = [];
+  function walk(dir) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (!entry.isDirectory() || SKIP_DIRS.has(entry.name) || entry.name.startsWith(".")) continue;
+      const full = path.join(dir, entry.name);
+      dirs.push(full);
+      walk(full);
+    }
+  }
+  walk(root);
+  return dirs;
+}
+
+/**
+ * Resolve `validate` arguments to plugin.json paths, in argument order and
+ * without duplicates. Plain paths are kept even when nothing is there (so
+ * validate reports the missing manifest); glob matches without a
+ * plugin.json are skipped. With `recursive`, each directory argument is
+ * searched for every plugin.json beneath it.
+ * Throws with a user-facing message when a glob or search finds nothing.
+ */
+function resolveTargets(patterns, { recursive = false } = {}) {
+  const targets = patterns.length > 0 ? patterns : ["."];
+  const out = [];
+  const seen = new Set();
+  const add = (p) => {
+    if (!seen.has(p)) {
+      seen.add(p);
+      out.push(p);
+    }
+  };
+
+  for (const pattern of targets) {
+    if (isGlob(pattern)) {
+      const matches = expandGlob(pattern)
+        .map(manifestPathFor)
+        .filter((p) => path.basename(p) === MANIFEST && fs.existsSync(p));
+      if (matches.length === 0) throw new Error(`No plugin.json matches "${pattern}"`);
+      matches.forEach(add);
+    } else if (recursive && isDirectory(pattern)) {
+      const found = findManifests(pattern);
+      if (found.length === 0) throw new Error(`No plugin.json found under ${pattern}`);
+      found.forEach(add);
+    } else {
+      add(manifestPathFor(pattern));
+    }
+  }
+  return out;
+}
+
+module.exports = { findManifests, expandGlob, resolveTargets, manifestPathFor };
@@ -0,0 +1,392 @@
+"use strict";
+
+// ── YAML (registry subset) ─────────────────────────────────────
+//
+// Enough YAML to round-trip registry entries: block mappings and
+// sequences (including sequences of mappings), plain / single / double
+// quoted scalars, literal and folded block scalars, comments, and empty
+// flow collections. Anchors, tags, multi-document streams and flow
+// collections with content are rejected rather than misread.
+
+class YamlError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = "YamlError";
+    this.line = line || null;
+  }
+}
+
+// ── Parsing ────────────────────────────────────────────────────
+
+/** Strip a trailing comment, respecting quotes. */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (quote === '"' && ch === "\\") i++;
+      else if (ch === quote) {
+        if (quote === "'" && text[i + 1] === "'") i++;
+        else quote = null;
+      }
+    } else if (ch === '"' || ch === "'") {
+      if (i === 0 || /[\s:[{,-]/.test(text[i - 1])) quote = ch;
+    } else if (ch === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+/** Index of the `:` separating a mapping key from its value, or -1. */
+function keySeparator(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (quote === '"' && ch === "\\") i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if ((ch === '"' || ch === "'") && i === 0) {
+      quote = ch;
+    } else if (ch === ":" && (i === text.length - 1 || text[i + 1] === " " || text[i + 1] === "\t")) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function parseScalar(raw, line) {
+  const text = raw.trim();
+  if (text === "" || text === "~" || text === "null" || text === "Null" || text === "NULL") return null;
+  if (text.startsWith('"')) {
+    if (!text.endsWith('"') || text.length < 2) throw new YamlError("unterminated double-quoted string", line);
+    const body = text.slice(1, -1)
+      // YAML escapes JSON lacks
+      .replace(/\\([0abtvefrnN_LP ])|\\x([0-9a-fA-F]{2})|\\U([0-9a-fA-F]{8})/g, (m, c, x, u) => {
+        if (x) return `\\u00${x}`;
+        if (u) return JSON.stringify(String.fromCodePoint(parseInt(u, 16))).slice(1, -1);
+        const map = { 0: "\\u0000", a: "\\u0007", v: "\\u000b", e: "\\u001b", N: "\\u0085", _: "\\u00a0", L: "\\u2028", P: "\\u2029", " ": " " };
+        return map[c] || m;
+      });
+    try {
+      return JSON.parse(`"${body}"`);
+    } catch {
+      throw new YamlError("invalid double-quoted string", line);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!text.endsWith("'") || text.length < 2) throw new YamlError("unterminated single-quoted string", line);
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text === "[]") return [];
+  if (text === "{}") return {};
+  if (/^[[{&*!|>%@`]/.test(text)) {
+    throw new YamlError(`unsupported YAML syntax "${text.slice(0, 20)}"`, line);
+  }
+  if (/^(?:true|True|TRUE)$/.test(text)) return true;
+  if (/^(?:false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?(?:0|[1-9][0-9]*)$/.test(text)) return Number(text);
+  if (/^[-+]?(?:[0-9]+\.[0-9]*|\.[0-9]+)(?:[eE][-+]?[0-9]+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+/**
+ * Parse YAML text into plain objects, arrays and scalars. Key order is
+ * preserved. Throws a YamlError (with `line`) on anything outside the
+ * supported subset.
+ */
+function parse(text) {
+  const lines = [];
+  const rawLines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  // A final newline ends the last line; it does not start a blank one
+  if (rawLines.length > 1 && rawLines[rawLines.length - 1] === "") rawLines.pop();
+  rawLines.forEach((raw, i) => {
+    if (/\t/.test(raw.match(/^\s*/)[0])) throw new YamlError("tabs are not allowed for indentation", i + 1);
+    lines.push({ raw, indent: raw.search(/\S/), line: i + 1 });
+  });
+
+  let pos = 0;
+
+  function skipBlank() {
+    while (pos < lines.length) {
+      const { raw, indent } = lines[pos];
+      const content = indent === -1 ? "" : stripComment(raw.slice(indent));
+      if (content === "" || (indent === 0 && (content === "---" || content === "..."))) {
+        if (content === "---" && pos > 0 && lines.slice(0, pos).some((l) => l.indent !== -1 && !/^\s*(#|---)/.test(l.raw))) {
+          throw new YamlError("multiple documents are not supported", lines[pos].line);
+        }
+        pos++;
+        continue;
+      }
+      return { indent, content, line: lines[pos].line };
+    }
+    return null;
+  }
+
+  function isSeqItem(content) {
+    return content === "-" || content.startsWith("- ");
+  }
+
+  function parseBlock(indent) {
+    const next = skipBlank();
+    if (!next) return null;
+    return isSeqItem(next.content) ? parseSequence(next.indent) : parseMapping(next.indent);
+  }
+
+  function parseBlockScalar(header, parentIndent, line) {
+    const m = header.match(/^([|>])([+-]?)$/);
+    if (!m) throw new YamlError(`unsupported block scalar header "${header}"`, line);
+    const [, style, chomp] = m;
+    const body = [];
+    let blockIndent = null;
+    while (pos < lines.length) {
+      const l = lines[pos];
+      if (l.indent === -1) {
+        body.push("");
+        pos++;
+        continue;
+      }
+      if (blockIndent === null) blockIndent = l.indent;
+      if (l.indent <= parentIndent || l.indent < blockIndent) break;
+      body.push(l.raw.slice(blockIndent));
+      pos++;
+    }
+    // Trailing blank lines belong to chomping, not content
+    let trailing = 0;
+    while (body.length > 0 && body[body.length - 1] === "") {
+      body.pop();
+      trailing++;
+    }
+    let out;
+    if (style === "|") {
+      out = body.join("\n");
+    } else {
+      out = "";
+      body.forEach((l, i) => {
+        if (i === 0) out = l;
+        else if (l === "" || body[i - 1] === "" || /^\s/.test(l)) out += "\n" + l;
+        else out += " " + l;
+      });
+      out = out.replace(/\n\n/g, "\n");
+    }
+    if (body.length === 0) return "";
+    if (chomp === "-") return out;
+    if (chomp === "+") return out + "\n".repeat(trailing + 1);
+    return out + "\n";
+  }
+
+  // The value after "key:" or "- ": inline scalar, block scalar, or a nested block
+  function parseValue(rest, indent, line, inSequence) {
+    const value = rest.trim();
+    if (value === "") {
+      const next = skipBlank();
+      if (!next) return null;
+      // Sequences may sit at the same indent as their parent key
+      if (next.indent > indent || (!inSequence && next.indent === indent && isSeqItem(next.content))) {
+        return parseBlock(next.indent);
+      }
+      return null;
+    }
+    if (/^[|>]/.test(value)) {
+      pos++;
+      return parseBlockScalar(value, indent, line);
+    }
+    pos++;
+    return parseScalar(value, line);
+  }
+
+  function parseMapping(indent) {
+    const obj = {};
+    for (;;) {
+      const next = skipBlank();
+      if (!next || next.indent < indent) break;
+      if (next.indent > indent) throw new YamlError("unexpected indentation", next.line);
+      if (isSeqItem(next.content)) break;
+
+      const sep = keySeparator(next.content);
+      if (sep === -1) throw new YamlError(`expected "key: value", got "${next.content.slice(0, 40)}"`, next.line);
+      const rawKey = next.content.slice(0, sep).trim();
+      const key = /^["']/.test(rawKey) ? parseScalar(rawKey, next.line) : rawKey;
+      if (typeof key !== "string" || key === "") throw new YamlError("invalid mapping key", next.line);
+      if (Object.prototype.hasOwnProperty.call(obj, key)) throw new YamlError(`duplicate key "${key}"`, next.line);
+
+      const rest = next.content.slice(sep + 1);
+      if (rest.trim() === "") pos++;
+      obj[key] = parseValue(rest, indent, next.line, false);
+    }
+    return obj;
+  }
+
+  function parseSequence(indent) {
+    const arr = [];
+    for (;;) {
+      const next = skipBlank();
+      if (!next || next.indent < indent || !isSeqItem(next.content)) {
+        if (next && next.indent > indent) throw new YamlError("unexpected indentation", next.line);
+        break;
+      }
+      if (next.indent > indent) throw new YamlError("unexpected indentation", next.line);
+      const rest = next.content.slice(1);
+      const itemIndent = indent + 1 + (rest.length - rest.trimStart().length);
+
+      if (rest.trim() !== "" && keySeparator(rest.trim()) !== -1) {
+        // "- key: value" starts a mapping indented at the key's column
+        lines[pos] = { raw: " ".repeat(itemIndent) + rest.trimStart(), indent: itemIndent, line: next.line };
+        arr.push(parseMapping(itemIndent));
+        continue;
+      }
+      if (rest.trim() === "") pos++;
+      arr.push(parseValue(rest, indent, next.line, true));
+    }
+    return arr;
+  }
+
+  const first = skipBlank();
+  if (!first) return null;
+  if (first.indent !== 0) throw new YamlError("unexpected indentation", first.line);
+  const value = isSeqItem(first.content) || keySeparator(first.content) !== -1 ? parseBlock(0) : parseValue(first.content, -1, first.line, false);
+  const trailing = skipBlank();
+  if (trailing) throw new YamlError("unexpected content", trailing.line);
+  return value;
+}
+
+// ── Emitting ───────────────────────────────────────────────────
+
+const RESERVED_PLAIN = /^(?:~|null|Null|NULL|true|True|TRUE|false|False|FALSE|yes|Yes|YES|no|No|NO|on|On|ON|off|Off|OFF|y|Y|n|N)$/;
+// Plain scalars some parser would read as a number (YAML 1.1 included)
+const NUMBER_LIKE = new RegExp(
+  [
+    String.raw`^[-+]?[0-9][0-9_]*(?:\.[0-9_]*)?(?:[eE][-+]?[0-9]+)?$`,
+    String.raw`^[-+]?\.[0-9][0-9_]*(?:[eE][-+]?[0-9]+)?$`,
+    String.raw`^[-+]?0[xob][0-9a-fA-F_]+$`,
+    String.raw`^[-+]?[0-9][0-9_]*(?::[0-5]?[0-9])+(?:\.[0-9_]*)?$`,
+    String.raw`^[-+]?\.(?:inf|Inf|INF|nan|NaN|NAN)$`,
+  ].join("|")
+);
+
+/** Whether a string can be written unquoted and read back unchanged. */
+function isPlainSafe(str) {
+  if (str === "" || str !== str.trim()) return false;
+  if (RESERVED_PLAIN.test(str) || NUMBER_LIKE.test(str)) return false;
+  if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(str)) return false;
+  if (/: |:$| #|[\u0000-\u001F\u007F-\u009F\u2028\u2029\uFEFF]/.test(str)) return false;
+  return true;
+}
+
+function quote(str) {
+  // JSON string escapes are valid in YAML double-quoted scalars
+  return JSON.stringify(str).replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+}
+
+/** Whether a multi-line string can be written as a literal block scalar. */
+function isBlockSafe(str) {
+  if (!str.includes("\n") || /^[ \n]/.test(str)) return false;
+  if (/[\u0000-\u0009\u000B-\u001F\u007F-\u009F\u2028\u2029\uFEFF]/.test(str)) return false;
+  // Whitespace-only lines would be read back as blank
+  return !str.split("\n").some((l) => l !== "" && l.trim() === "");
+}
+
+function blockScalar(str, indent) {
+  const body = str.replace(/\n+$/, "");
+  const trailing = str.length - body.length;
+  const chomp = trailing === 0 ? "-" : trailing === 1 ? "" : "+";
+  const pad = " ".repeat(indent);
+  const lines = body.split("\n").map((l) => (l === "" ? "" : pad + l));
+  for (let i = 1; i < trailing; i++) lines.push("");
+  return [`|${chomp}`, ...lines];
+}
+
+function scalar(value, forceQuote) {
+  if (value === null || value === undefined) return "null";
+  if (typeof value === "boolean") return String(value);
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) throw new YamlError(`cannot represent ${value}`);
+    return String(value);
+  }
+  if (typeof value !== "string") throw new YamlError(`cannot represent a ${typeof value}`);
+  return !forceQuote && isPlainSafe(value) ? value : quote(value);
+}
+
+function isCollection(value) {
+  return value !== null && typeof value === "object";
+}
+
+function emitKey(key) {
+  return isPlainSafe(key) ? key : quote(key);
+}
+
+/**
+ * Serialize objects, arrays and scalars as block YAML, in key order.
+ * Sequences are written at their parent key's indentation (the registry's
+ * style). `quoteKeys` lists mapping keys whose string values are always
+ * double-quoted. Ends with a newline.
+ */
+function stringify(value, { quoteKeys = [] } = {}) {
+  const forced = new Set(quoteKeys);
+  const out = [];
+
+  function emitMapping(obj, indent) {
+    const pad = " ".repeat(indent);
+    for (const [key, val] of Object.entries(obj)) {
+      if (val === undefined) continue;
+      const k = emitKey(key);
+      if (Array.isArray(val)) {
+        if (val.length === 0) out.push(`${pad}${k}: []`);
+        else {
+          out.push(`${pad}${k}:`);
+          emitSequence(val, indent);
+        }
+      } else if (isCollection(val)) {
+        if (Object.keys(val).length === 0) out.push(`${pad}${k}: {}`);
+        else {
+          out.push(`${pad}${k}:`);
+          emitMapping(val, indent + 2);
+        }
+      } else if (typeof val === "string" && !forced.has(key) && isBlockSafe(val)) {
+        const [header, ...lines] = blockScalar(val, indent + 2);
+        out.push(`${pad}${k}: ${header}`, ...lines);
+      } else {
+        out.push(`${pad}${k}: ${scalar(val, forced.has(key))}`);
+      }
+    }
+  }
+
+  function emitSequence(arr, indent) {
+    const pad = " ".repeat(indent);
+    for (const item of arr) {
+      if (Array.isArray(item)) {
+        if (item.length === 0) out.push(`${pad}- []`);
+        else {
+          out.push(`${pad}-`);
+          emitSequence(item, indent + 2);
+        }
+      } else if (isCollection(item)) {
+        if (Object.keys(item).length === 0) {
+          out.push(`${pad}- {}`);
+          continue;
+        }
+        // First key shares the dash line
+        const start = out.length;
+        emitMapping(item, indent + 2);
+        out[start] = `${pad}- ${out[start].slice(indent + 2)}`;
+      } else {
+        out.push(`${pad}- ${scalar(item, false)}`);
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return "[]\n";
+    emitSequence(value, 0);
+  } else if (isCollection(value)) {
+    if (Object.keys(value).length === 0) return "{}\n";
+    emitMapping(value, 0);
+  } else {
+    out.push(scalar(value, false));
+  }
+  return out.join("\n") + "\n";
+}
+
+module.exports = { parse, stringify, YamlError };
@@ -0,0 +1,64 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+// ── registry search|info|list ──────────────────────────────────
+
+const CLI = path.join(__dirname, "..", "bin", "nexus-plugin.js");
+
+// Terminal control a hostile entry could smuggle in: clear screen, carriage
+// return, an OSC title change ended by BEL, and a C1 CSI
+const HOSTILE_ENTRY = [
+  "id: com.example.evil",
+  'name: "Evil\\e[2J\\rName"',
+  'version: "1.0.0"',
+  "status: deprecated",
+  'deprecation_reason: "gone\\e]0;title\\a for good"',
+  "description: |",
+  "  line one",
+  "  line two",
+  '"note\\e[31m": "red\\x9b1m"',
+  "categories:",
+  "- utilities",
+  "",
+].join("\n");
+
+function browse(t, args) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nexus-plugin-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, "plugins"));
+  fs.writeFileSync(path.join(dir, "plugins", "com.example.evil.yaml"), HOSTILE_ENTRY);
+  const result = spawnSync(process.execPath, [CLI, "registry", ...args, "--registry", dir], {
+    encoding: "utf8",
+    timeout: 60000,
+    env: { PATH: process.env.PATH, HOME: dir, CI: "1" },
+  });
+  assert.equal(result.status, 0, result.stderr);
+  return result.stdout;
+}
+
+/** Output with the CLI's own styling (SGR sequences it writes) removed. */
+function unstyled(output) {
+  return output.replace(/\x1b\[[0-9;]*m/g, "");
+}
+
+test("registry info strips control characters from entry values", (t) => {
+  const out = unstyled(browse(t, ["info", "com.example.evil"]));
+  assert.doesNotMatch(out, /[\u0000-\u0009\u000B-\u001F\u007F-\u009F]/);
+  assert.match(out, /Deprecated: gone\]0;title for good/);
+  assert.match(out, /^ {2}name: +Evil\[2JName$/m);
+  assert.match(out, /^ {2}note\[31m: +red1m$/m);
+  // Multi-line values keep their lines
+  assert.match(out, /description: +line one\n +line two\n/);
+});
+
+test("registry list strips control characters from table cells", (t) => {
+  const out = unstyled(browse(t, ["list"]));
+  assert.doesNotMatch(out, /[\u0000-\u0009\u000B-\u001F\u007F-\u009F]/);
+  assert.match(out, /com\.example\.evil +1\.0\.0 +utilities +deprecated +Evil\[2JName/);
+});
@@ -0,0 +1,67 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { fixManifest } = require("../lib/fix");
+const { inspect } = require("../lib/validate");
+
+// ── validate --fix ─────────────────────────────────────────────
+
+const MANIFEST = {
+  id: "com.example.hello",
+  name: "Hello",
+  version: "1.2.0",
+  description: "Says hello",
+  author: "Example",
+  license: "MIT",
+  image: "ghcr.io/example/hello:1.2.0",
+  ui: { port: 8080, path: "/" },
+  min_nexus_version: "0.3.0",
+  settings: [],
+};
+
+/** Rules the fixed manifest still trips, run through validate itself. */
+function remainingFindings(t, manifest) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nexus-plugin-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "plugin.json");
+  fs.writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  return inspect(file).findings.filter((r) => r.level !== "pass").map((r) => r.rule);
+}
+
+test("fixManifest trims whitespace left behind by removed bidi characters", (t) => {
+  const { manifest, changes } = fixManifest({ ...MANIFEST, name: "X \u202E", author: "\u2066 Example", description: " Says\u202Ehello " });
+  assert.equal(manifest.name, "X");
+  assert.equal(manifest.author, "Example");
+  assert.equal(manifest.description, "Sayshello");
+  assert.deepEqual(changes, [
+    { path: "name", message: "removed bidirectional override characters" },
+    { path: "description", message: "removed bidirectional override characters" },
+    { path: "author", message: "removed bidirectional override characters" },
+    { path: "name", message: "trimmed surrounding whitespace" },
+    { path: "description", message: "trimmed surrounding whitespace" },
+    { path: "author", message: "trimmed surrounding whitespace" },
+  ]);
+  assert.deepEqual(remainingFindings(t, manifest).filter((rule) => rule.startsWith("manifest/")), []);
+});
+
+test("fixManifest leaves a clean manifest alone and does not mutate its input", () => {
+  const input = JSON.parse(JSON.stringify(MANIFEST));
+  const { manifest, changes } = fixManifest(input);
+  assert.deepEqual(changes, []);
+  assert.deepEqual(manifest, MANIFEST);
+  assert.deepEqual(input, MANIFEST);
+});
+
+test("fixManifest adds a missing license after author and dedupes permissions", () => {
+  const input = { ...MANIFEST, permissions: ["system:info", "system:info"] };
+  delete input.license;
+  const { manifest, changes } = fixManifest(input);
+  assert.deepEqual(Object.keys(manifest).slice(4, 6), ["author", "license"]);
+  assert.equal(manifest.license, "MIT");
+  assert.deepEqual(manifest.permissions, ["system:info"]);
+  assert.deepEqual(changes.map((c) => c.path), ["license", "permissions"]);
+});
@@ -0,0 +1,234 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { createOciClient, missingArchitectures, parseChallenge } = require("../lib/oci");
+
+// ── OCI client against a fake registry ─────────────────────────
+
+const CLI = path.join(__dirname, "..", "bin", "nexus-plugin.js");
+const TOKEN = "anonymous-pull-token";
+
+const sha256 = (content) => `sha256:${crypto.createHash("sha256").update(content).digest("hex")}`;
+
+function descriptor(content, platform) {
+  return {
+    mediaType: "application/vnd.oci.image.manifest.v1+json",
+    digest: sha256(content),
+    size: Buffer.byteLength(content),
+    platform,
+  };
+}
+
+const CONFIG = JSON.stringify({ os: "linux", architecture: "amd64", config: {} });
+const AMD64 = JSON.stringify({
+  schemaVersion: 2,
+  mediaType: "application/vnd.oci.image.manifest.v1+json",
+  config: { mediaType: "application/vnd.oci.image.config.v1+json", digest: sha256(CONFIG), size: CONFIG.length },
+  layers: [],
+});
+const ARM64 = JSON.stringify({ schemaVersion: 2, mediaType: "application/vnd.oci.image.manifest.v1+json", layers: [] });
+const ATTESTATION = JSON.stringify({ schemaVersion: 2, layers: [] });
+
+const multiArch = JSON.stringify({
+  schemaVersion: 2,
+  mediaType: "application/vnd.oci.image.index.v1+json",
+  manifests: [
+    descriptor(AMD64, { os: "linux", architecture: "amd64" }),
+    descriptor(ARM64, { os: "linux", architecture: "arm64", variant: "v8" }),
+    // BuildKit attaches provenance as an unknown/unknown entry
+    descriptor(ATTESTATION, { os: "unknown", architecture: "unknown" }),
+  ],
+});
+const amd64Only = JSON.stringify({
+  schemaVersion: 2,
+  mediaType: "application/vnd.docker.distribution.manifest.list.v2+json",
+  manifests: [descriptor(AMD64, { os: "linux", architecture: "amd64" })],
+});
+
+/**
+ * A fake registry serving `manifests` ("repo:reference" → body) to
+ * requests bearing the token /token hands out, as ghcr.io and Docker Hub
+ * do for anonymous pulls. Manifests carry a Docker-Content-Digest header
+ * of their hash, unless `digests` ("repo:reference" → header) says
+ * otherwise. Resolves to { url, requests, close }.
+ */
+function startFakeRegistry(manifests, { digests = {} } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://fake");
+    requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), auth: req.headers.authorization });
+
+    if (url.pathname === "/token") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ token: TOKEN }));
+    }
+    const m = /^\/v2\/(.+)\/(manifests|blobs)\/([^/]+)$/.exec(url.pathname);
+    if (!m) {
+      res.writeHead(404);
+      return res.end();
+    }
+    if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+      const realm = `http://127.0.0.1:${server.address().port}/token`;
+      res.writeHead(401, { "WWW-Authenticate": `Bearer realm="${realm}",service="fake-registry",scope="repository:${m[1]}:pull"` });
+      return res.end();
+    }
+    const body = m[2] === "blobs" ? (m[3] === sha256(CONFIG) ? CONFIG : undefined) : manifests[`${m[1]}:${m[3]}`];
+    if (body === undefined) {
+      res.writeHead(404);
+      return res.end();
+    }
+    const mediaType = m[2] === "blobs" ? "application/octet-stream" : JSON.parse(body).mediaType;
+    const headers = { "Content-Type": mediaType || "application/json" };
+    if (m[2] === "manifests") headers["Docker-Content-Digest"] = digests[`${m[1]}:${m[3]}`] || sha256(body);
+    res.writeHead(200, headers);
+    res.end(body);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+test("parseChallenge reads realm, service and scope", () => {
+  assert.deepEqual(
+    parseChallenge('Bearer realm="https://ghcr.io/token",service="ghcr.io",scope="repository:a/b:pull"'),
+    { realm: "https://ghcr.io/token", service: "ghcr.io", scope: "repository:a/b:pull" }
+  );
+  assert.equal(parseChallenge('Basic realm="x"'), null);
+  assert.equal(parseChallenge(null), null);
+});
+
+test("resolveImage answers the token challenge and returns the index digest", async (t) => {
+  const fake = await startFakeRegistry({ "example/hello:1.2.0": multiArch });
+  t.after(fake.close);
+  const oci = createOciClient({ baseUrl: fake.url });
+
+  const resolved = await oci.resolveImage("ghcr.io/example/hello:1.2.0");
+  assert.equal(resolved.digest, sha256(multiArch));
+  assert.notEqual(resolved.digest, sha256(AMD64));
+  assert.equal(resolved.index, true);
+  assert.equal(resolved.mediaType, "application/vnd.oci.image.index.v1+json");
+  assert.deepEqual(resolved.platforms, ["linux/amd64", "linux/arm64/v8"]);
+  assert.deepEqual(missingArchitectures(resolved.platforms), []);
+
+  assert.deepEqual(
+    fake.requests.map((r) => [r.path, r.auth]),
+    [
+      ["/v2/example/hello/manifests/1.2.0", undefined],
+      ["/token", undefined],
+      ["/v2/example/hello/manifests/1.2.0", `Bearer ${TOKEN}`],
+    ]
+  );
+  assert.deepEqual(fake.requests[1].query, { service: "fake-registry", scope: "repository:example/hello:pull" });
+
+  // The token is reused for the same repository
+  await oci.resolveImage("ghcr.io/example/hello:1.2.0");
+  assert.equal(fake.requests.filter((r) => r.path === "/token").length, 1);
+});
+
+test("resolveImage reads a single-platform image's platform from its config", async (t) => {
+  const fake = await startFakeRegistry({ "example/hello:1.2.0": AMD64 });
+  t.after(fake.close);
+
+  const resolved = await createOciClient({ baseUrl: fake.url }).resolveImage("ghcr.io/example/hello:1.2.0");
+  assert.equal(resolved.digest, sha256(AMD64));
+  assert.equal(resolved.index, false);
+  assert.deepEqual(resolved.platforms, ["linux/amd64"]);
+  assert.deepEqual(missingArchitectures(resolved.platforms), ["arm64"]);
+});
+
+test("resolveImage reports a missing tag", async (t) => {
+  const fake = await startFakeRegistry({});
+  t.after(fake.close);
+
+  await assert.rejects(
+    createOciClient({ baseUrl: fake.url }).resolveImage("ghcr.io/example/hello:9.9.9"),
+    { name: "OciError", status: 404, message: "/v2/example/hello/manifests/9.9.9: not found" }
+  );
+});
+
+test("resolveImage refuses a manifest whose hash the registry misreports", async (t) => {
+  const forged = sha256("something else");
+  const fake = await startFakeRegistry({ "example/hello:1.2.0": multiArch }, { digests: { "example/hello:1.2.0": forged } });
+  t.after(fake.close);
+
+  await assert.rejects(createOciClient({ baseUrl: fake.url }).resolveImage("ghcr.io/example/hello:1.2.0"), {
+    name: "OciError",
+    message: `example/hello: manifest for 1.2.0 hashes to ${sha256(multiArch)}, but the registry says ${forged}`,
+  });
+});
+
+test("resolveImage checks a pinned digest against the manifest it gets", async (t) => {
+  const pinned = sha256(multiArch);
+  const wrong = sha256(AMD64);
+  const fake = await startFakeRegistry({
+    [`example/hello:${pinned}`]: multiArch,
+    // A registry answering a digest request with other content
+    [`example/hello:${wrong}`]: multiArch,
+  }, { digests: { [`example/hello:${wrong}`]: wrong } });
+  t.after(fake.close);
+  const oci = createOciClient({ baseUrl: fake.url });
+
+  assert.equal((await oci.resolveImage(`ghcr.io/example/hello@${pinned}`)).digest, pinned);
+  await assert.rejects(oci.resolveImage(`ghcr.io/example/hello@${wrong}`), {
+    name: "OciError",
+    message: `example/hello: manifest for ${wrong} hashes to ${pinned}`,
+  });
+});
+
+test("publish warns when the image lacks an arm64 build", async (t) => {
+  const fake = await startFakeRegistry({ "example/hello:1.2.0": amd64Only });
+  t.after(fake.close);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nexus-plugin-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const manifest = {
+    id: "com.example.hello",
+    name: "Hello",
+    version: "1.2.0",
+    description: "Says hello",
+    author: "Example",
+    image: "ghcr.io/example/hello:1.2.0",
+    ui: { port: 8080, path: "/" },
+    min_nexus_version: "0.3.0",
+  };
+  fs.writeFileSync(path.join(dir, "plugin.json"), `${JSON.stringify(manifest, null, 2)}\n`);
+
+  const result = await new Promise((resolve, reject) => {
+    const child = spawn(
+      process.execPath,
+      [
+        CLI, "publish", "--dry-run",
+        "--image-registry-url", fake.url,
+        "--manifest-file", "plugin.json",
+        "--manifest-url", "https://example.com/plugin.json",
+      ],
+      { cwd: dir, env: { PATH: process.env.PATH, HOME: dir, CI: "1" }, stdio: ["ignore", "pipe", "pipe"], timeout: 60000 }
+    );
+    let stdout = "";
+    let stderr = "";
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    child.on("error", reject);
+    child.on("close", (code) => resolve({ code, stdout, stderr }));
+  });
+  assert.equal(result.code, 0, result.stderr);
+
+  const plan = JSON.parse(result.stdout.trim().split("\n").pop());
+  assert.equal(plan.image_digest, sha256(amd64Only));
+  assert.equal(plan.image_digest_source, "registry");
+  assert.deepEqual(plan.image_platforms, ["linux/amd64"]);
+  assert.deepEqual(plan.warnings, ["ghcr.io/example/hello:1.2.0 has no arm64 build (platforms: linux/amd64)"]);
+});
@@ -0,0 +1,357 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { parseEntry } = require("../lib/entry");
+const { createGitHub } = require("../lib/github");
+
+// ── publish against a fake GitHub ──────────────────────────────
+//
+// Runs the real CLI with --github-api-url pointing at an in-process fake
+// of the REST endpoints publish uses, and checks what the fake received.
+
+const CLI = path.join(__dirname, "..", "bin", "nexus-plugin.js");
+const DIGEST = `sha256:${"ab".repeat(32)}`;
+const BASE_SHA = "1111111111111111111111111111111111111111";
+
+const MANIFEST = {
+  id: "com.example.hello",
+  name: "Hello",
+  version: "1.2.0",
+  description: "Says hello",
+  author: "Example",
+  license: "MIT",
+  image: "ghcr.io/example/hello:1.2.0",
+  ui: { port: 8080, path: "/" },
+  min_nexus_version: "0.3.0",
+};
+const MANIFEST_CONTENT = `${JSON.stringify(MANIFEST, null, 2)}\n`;
+
+/**
+ * A fake GitHub API holding `repos` ("owner/name" → default-branch SHA)
+ * for the user `login`. It also serves the hosted manifest at /manifest.json.
+ * With `forkReady: false`, forks are accepted but never become reachable;
+ * with `mergeable: true`, PRs have nothing to wait for, so GitHub refuses
+ * auto-merge and they can be merged straight away.
+ * Resolves to { url, requests, close }; requests are { method, path,
+ * query, body, auth } in arrival order.
+ */
+function startFakeGitHub({ login, repos, forkReady = true, mergeable = false }) {
+  const branches = new Map(Object.entries(repos).map(([name, sha]) => [name, new Map([["main", sha]])]));
+  const files = new Map();
+  const requests = [];
+
+  function handle(req, body) {
+    const url = new URL(req.url, "http://fake");
+    if (url.pathname === "/manifest.json") return [200, MANIFEST_CONTENT];
+    requests.push({
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      body,
+      auth: req.headers.authorization,
+    });
+
+    if (req.method === "GET" && url.pathname === "/user") return [200, { login }];
+    if (req.method === "POST" && url.pathname === "/graphql") {
+      if (mergeable) return [200, { data: null, errors: [{ message: "Pull request Pull request is in clean status" }] }];
+      return [200, { data: { enablePullRequestAutoMerge: null } }];
+    }
+
+    const m = /^\/repos\/([^/]+)\/([^/]+)(?:\/(.*))?$/.exec(url.pathname);
+    const name = m && `${m[1]}/${m[2]}`;
+    if (!m || !branches.has(name)) return [404, { message: "Not Found" }];
+    const rest = m[3] || "";
+    const refs = branches.get(name);
+
+    if (req.method === "GET" && rest === "") return [200, { full_name: name, delete_branch_on_merge: false }];
+    if (req.method === "POST" && rest === "forks") {
+      const fork = `${login}/${m[2]}`;
+      if (forkReady && !branches.has(fork)) branches.set(fork, new Map([["main", refs.get("main")]]));
+      return [202, { full_name: fork }];
+    }
+    if (req.method === "POST" && rest === "merge-upstream") return [200, { merge_type: "none" }];
+
+    let r = /^git\/ref\/heads\/(.+)$/.exec(rest);
+    if (req.method === "GET" && r) {
+      return refs.has(r[1]) ? [200, { object: { sha: refs.get(r[1]) } }] : [404, { message: "Not Found" }];
+    }
+    r = /^git\/refs\/heads\/(.+)$/.exec(rest);
+    if (req.method === "DELETE" && r) {
+      return refs.delete(r[1]) ? [204, ""] : [422, { message: "Reference does not exist" }];
+    }
+    if (req.method === "POST" && rest === "git/refs") {
+      refs.set(body.ref.replace(/^refs\/heads\//, ""), body.sha);
+      return [201, { ref: body.ref }];
+    }
+
+    r = /^contents\/(.+)$/.exec(rest);
+    if (r) {
+      const branch = (req.method === "GET" ? url.searchParams.get("ref") : body.branch) || "main";
+      const key = `${name}@${branch}:${decodeURIComponent(r[1])}`;
+      if (req.method === "GET") {
+        const file = files.get(key);
+        return file ? [200, { content: file.content, sha: file.sha }] : [404, { message: "Not Found" }];
+      }
+      if (req.method === "PUT") {
+        const sha = crypto.createHash("sha1").update(body.content).digest("hex");
+        files.set(key, { content: body.content, sha });
+        return [201, { content: { sha }, commit: { sha } }];
+      }
+    }
+
+    if (req.method === "POST" && rest === "pulls") {
+      return [201, { number: 7, node_id: "PR_7", html_url: `https://github.example/${name}/pull/7` }];
+    }
+    if (req.method === "POST" && /^issues\/\d+\/labels$/.test(rest)) return [200, []];
+    if (req.method === "PUT" && /^pulls\/\d+\/merge$/.test(rest)) return [200, { merged: true }];
+    return [404, { message: "Not Found" }];
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      const [status, payload] = handle(req, raw ? JSON.parse(raw) : undefined);
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(typeof payload === "string" ? payload : JSON.stringify(payload));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+/** A plugin directory with plugin.json, and a HOME without signing keys. */
+function makePlugin(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nexus-plugin-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, "plugin"));
+  fs.mkdirSync(path.join(dir, "home"));
+  fs.writeFileSync(path.join(dir, "plugin", "plugin.json"), MANIFEST_CONTENT);
+  return { cwd: path.join(dir, "plugin"), home: path.join(dir, "home") };
+}
+
+/** Run the CLI without blocking the fake server. Resolves to { code, stdout, stderr }. */
+function run(argv, { cwd, home }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI, ...argv], {
+      cwd,
+      env: { PATH: process.env.PATH, HOME: home, CI: "1", GITHUB_TOKEN: "test-token" },
+      stdio: ["ignore", "pipe", "pipe"],
+      timeout: 60000,
+    });
+    let stdout = "";
+    let stderr = "";
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    child.on("error", reject);
+    child.on("close", (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+/** The JSON publish prints last on stdout (validate's report comes first). */
+function lastJson(stdout) {
+  const lines = stdout.trim().split("\n");
+  return JSON.parse(lines[lines.length - 1]);
+}
+
+test("publish forks the registry, commits the entry and opens a PR", async (t) => {
+  const fake = await startFakeGitHub({ login: "tester", repos: { "nexus/registry": BASE_SHA } });
+  t.after(fake.close);
+  const plugin = makePlugin(t);
+
+  const result = await run(
+    [
+      "publish",
+      "--registry", "nexus/registry",
+      "--github-api-url", fake.url,
+      "--manifest-url", `${fake.url}/manifest.json`,
+      "--image-digest", DIGEST,
+      "--categories", "utilities,developer-tools",
+    ],
+    plugin
+  );
+  assert.equal(result.code, 0, result.stderr);
+
+  const branch = "add-com-example-hello-1-2-0";
+  const file = "plugins/com.example.hello.yaml";
+  assert.deepEqual(
+    fake.requests.map((r) => `${r.method} ${r.path}`),
+    [
+      "GET /user",
+      "POST /repos/nexus/registry/forks",
+      "GET /repos/tester/registry",
+      `GET /repos/nexus/registry/contents/${file}`,
+      "POST /repos/tester/registry/merge-upstream",
+      "GET /repos/tester/registry/git/ref/heads/main",
+      `DELETE /repos/tester/registry/git/refs/heads/${branch}`,
+      "POST /repos/tester/registry/git/refs",
+      `GET /repos/tester/registry/contents/${file}`,
+      `PUT /repos/tester/registry/contents/${file}`,
+      "POST /repos/nexus/registry/pulls",
+    ]
+  );
+  for (const r of fake.requests) assert.equal(r.auth, "Bearer test-token");
+
+  const find = (method, p) => fake.requests.find((r) => r.method === method && r.path === p);
+  assert.deepEqual(find("POST", "/repos/tester/registry/merge-upstream").body, { branch: "main" });
+  assert.deepEqual(find("POST", "/repos/tester/registry/git/refs").body, { ref: `refs/heads/${branch}`, sha: BASE_SHA });
+
+  const put = find("PUT", `/repos/tester/registry/contents/${file}`).body;
+  assert.equal(put.branch, branch);
+  assert.equal(put.message, "Add plugins/com.example.hello 1.2.0");
+  assert.equal(put.sha, undefined);
+  const entry = parseEntry(Buffer.from(put.content, "base64").toString("utf8"));
+  assert.equal(entry.id, "com.example.hello");
+  assert.equal(entry.version, "1.2.0");
+  assert.equal(entry.image, "ghcr.io/example/hello:1.2.0");
+  assert.equal(entry.image_digest, DIGEST);
+  assert.equal(entry.manifest_url, `${fake.url}/manifest.json`);
+  assert.equal(entry.manifest_sha256, crypto.createHash("sha256").update(MANIFEST_CONTENT.trim()).digest("hex"));
+  assert.deepEqual(entry.categories, ["utilities", "developer-tools"]);
+  assert.equal(entry.status, "active");
+
+  const pr = find("POST", "/repos/nexus/registry/pulls").body;
+  assert.equal(pr.head, `tester:${branch}`);
+  assert.equal(pr.base, "main");
+  assert.equal(pr.title, "Add plugin: Hello");
+  assert.match(pr.body, /`com\.example\.hello`/);
+
+  // Auto-merge is the registry owner's call, not a contributor's
+  assert.equal(find("POST", "/graphql"), undefined);
+
+  const output = lastJson(result.stdout);
+  assert.equal(output.ok, true);
+  assert.equal(output.pr_url, "https://github.example/nexus/registry/pull/7");
+  assert.equal(output.branch, branch);
+  assert.equal(output.backend, "github-fork");
+});
+
+test("publish stops before touching the registry when GitHub rejects the token", async (t) => {
+  const fake = await startFakeGitHub({ login: "tester", repos: {} });
+  t.after(fake.close);
+  const plugin = makePlugin(t);
+
+  const result = await run(
+    [
+      "publish",
+      "--registry", "nexus/registry",
+      "--github-api-url", `${fake.url}/missing`,
+      "--manifest-url", `${fake.url}/manifest.json`,
+      "--image-digest", DIGEST,
+    ],
+    plugin
+  );
+  assert.equal(result.code, 1);
+  assert.equal(JSON.parse(result.stderr.trim().split("\n").pop()).error, "gh_auth_failed");
+  assert.deepEqual(fake.requests.map((r) => `${r.method} ${r.path}`), ["GET /missing/user"]);
+});
+
+test("github-direct branches the registry itself and leaves auto-merge to the owner", async (t) => {
+  const fake = await startFakeGitHub({ login: "collaborator", repos: { "nexus/registry": BASE_SHA } });
+  t.after(fake.close);
+  const plugin = makePlugin(t);
+
+  const result = await run(
+    [
+      "publish",
+      "--registry", "nexus/registry",
+      "--registry-backend", "github-direct",
+      "--github-api-url", fake.url,
+      "--manifest-url", `${fake.url}/manifest.json`,
+      "--image-digest", DIGEST,
+    ],
+    plugin
+  );
+  assert.equal(result.code, 0, result.stderr);
+
+  const paths = fake.requests.map((r) => `${r.method} ${r.path}`);
+  assert.ok(!paths.some((p) => p.includes("/forks") || p.includes("/merge-upstream")), paths.join("\n"));
+  assert.ok(paths.includes("POST /repos/nexus/registry/git/refs"));
+  assert.ok(paths.includes("PUT /repos/nexus/registry/contents/plugins/com.example.hello.yaml"));
+  const pr = fake.requests.find((r) => r.path === "/repos/nexus/registry/pulls").body;
+  assert.equal(pr.head, "nexus:add-com-example-hello-1-2-0");
+  assert.ok(!paths.includes("POST /graphql"), "a collaborator's PR must not be set to auto-merge");
+  assert.equal(lastJson(result.stdout).backend, "github-direct");
+});
+
+test("the registry owner's own PR is set to auto-merge", async (t) => {
+  const fake = await startFakeGitHub({ login: "nexus", repos: { "nexus/registry": BASE_SHA } });
+  t.after(fake.close);
+  const plugin = makePlugin(t);
+
+  const result = await run(
+    [
+      "publish",
+      "--registry", "nexus/registry",
+      "--github-api-url", fake.url,
+      "--manifest-url", `${fake.url}/manifest.json`,
+      "--image-digest", DIGEST,
+    ],
+    plugin
+  );
+  assert.equal(result.code, 0, result.stderr);
+
+  assert.ok(!fake.requests.some((r) => r.path.endsWith("/forks")));
+  const graphql = fake.requests.filter((r) => r.path === "/graphql");
+  assert.equal(graphql.length, 1);
+  assert.match(graphql[0].body.query, /enablePullRequestAutoMerge/);
+  assert.deepEqual(graphql[0].body.variables, { id: "PR_7" });
+  // GitHub merges later, so the branch is left to the repository's
+  // delete_branch_on_merge setting, which publish checks
+  const tail = fake.requests.slice(fake.requests.indexOf(graphql[0]));
+  assert.deepEqual(tail.map((r) => `${r.method} ${r.path}`), ["POST /graphql", "GET /repos/nexus/registry"]);
+});
+
+test("the registry owner's PR is merged and its branch deleted when there is nothing to wait for", async (t) => {
+  const fake = await startFakeGitHub({ login: "nexus", repos: { "nexus/registry": BASE_SHA }, mergeable: true });
+  t.after(fake.close);
+  const plugin = makePlugin(t);
+
+  const result = await run(
+    [
+      "publish",
+      "--registry", "nexus/registry",
+      "--github-api-url", fake.url,
+      "--manifest-url", `${fake.url}/manifest.json`,
+      "--image-digest", DIGEST,
+    ],
+    plugin
+  );
+  assert.equal(result.code, 0, result.stderr);
+
+  const tail = fake.requests.slice(fake.requests.findIndex((r) => r.path === "/graphql"));
+  assert.deepEqual(tail.map((r) => `${r.method} ${r.path}`), [
+    "POST /graphql",
+    "PUT /repos/nexus/registry/pulls/7/merge",
+    "DELETE /repos/nexus/registry/git/refs/heads/add-com-example-hello-1-2-0",
+  ]);
+  assert.deepEqual(tail[1].body, { merge_method: "squash" });
+});
+
+test("fork gives up once GitHub has not created the fork in time", async (t) => {
+  const fake = await startFakeGitHub({ login: "tester", repos: { "nexus/registry": BASE_SHA }, forkReady: false });
+  t.after(fake.close);
+  const github = createGitHub({ token: "test-token", apiUrl: fake.url });
+
+  await assert.rejects(github.fork("nexus", "registry", { attempts: 3, delayMs: 1 }), {
+    name: "GitHubError",
+    status: 404,
+    message: /fork tester\/registry is not ready yet/,
+  });
+  assert.equal(fake.requests.filter((r) => r.method === "GET" && r.path === "/repos/tester/registry").length, 3);
+});
@@ -0,0 +1,139 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { parseEntry } = require("../lib/entry");
+const { checkPublishInputs } = require("../lib/publish");
+const { git } = require("../lib/git");
+const registry = require("../lib/registry");
+
+// ── Hostile manifest values ────────────────────────────────────
+//
+// Values from plugin.json reach branch names, registry paths, commit
+// messages and PR text. Anything that could steer a ref or a path must be
+// rejected; free text must reach subprocesses verbatim, never via a shell.
+
+const CLI = path.join(__dirname, "..", "bin", "nexus-plugin.js");
+const DIGEST = `sha256:${"cd".repeat(32)}`;
+
+// Each would run `touch pwned` if it ever reached a shell
+const INJECTIONS = ['"; touch pwned; "', "$(touch pwned)", "`touch pwned`", "'; touch pwned; '"];
+
+const VALID = {
+  id: "com.example.hello",
+  name: "Hello",
+  version: "1.2.0",
+  description: "Says hello",
+  author: "Example",
+  license: "MIT",
+  image: "ghcr.io/example/hello:1.2.0",
+  ui: { port: 8080, path: "/" },
+  min_nexus_version: "0.3.0",
+};
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nexus-plugin-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("checkPublishInputs accepts a well-formed manifest", () => {
+  assert.deepEqual(checkPublishInputs(VALID), []);
+});
+
+test("checkPublishInputs rejects hostile ids, versions and images", () => {
+  const hostile = {
+    id: [...INJECTIONS.map((s) => `com.example${s}`), "../../etc/passwd", "com..example", "com.example\nx", "-com.example"],
+    version: [...INJECTIONS.map((s) => `1.2.0${s}`), "1.2.0/../../x", "1.2.0\n", "../1.2.0", "1.2.0 "],
+    image: [...INJECTIONS.map((s) => `ghcr.io/example/hello:1.2.0${s}`), "ghcr.io/../hello:1.2.0", "ghcr.io/example/hello:1.2.0\nx", "-ghcr.io/hello"],
+  };
+  for (const [field, values] of Object.entries(hostile)) {
+    for (const value of values) {
+      const problems = checkPublishInputs({ ...VALID, [field]: value });
+      assert.equal(problems.length, 1, `${field} ${JSON.stringify(value)} was accepted`);
+      assert.ok(problems[0].startsWith(`${field} `), problems[0]);
+    }
+  }
+});
+
+test("checkPublishInputs keeps free-text fields single-line, but otherwise as data", () => {
+  for (const field of ["name", "author", "license"]) {
+    assert.deepEqual(checkPublishInputs({ ...VALID, [field]: "Hello\nworld" }), [`${field} must be a single line`]);
+  }
+  assert.deepEqual(checkPublishInputs({ ...VALID, description: "Says\x1b[2Jhello" }), ["description contains control characters"]);
+  for (const value of INJECTIONS) {
+    assert.deepEqual(checkPublishInputs({ ...VALID, name: value, author: value, description: `${value}\n${value}` }), []);
+  }
+});
+
+test("safeBranch refuses names git or a shell could misread", () => {
+  for (const branch of [...INJECTIONS, "add-a..b", "-add", "add x", "add\nx", "add-x.lock", "add/x", "add~1", "add^", "add:x", ""]) {
+    assert.throws(() => registry.safeBranch(branch), /unsafe branch name/, JSON.stringify(branch));
+  }
+  assert.equal(registry.safeBranch("add-com-example-hello-1-2-0"), "add-com-example-hello-1-2-0");
+});
+
+test("git passes hostile arguments through as single argv entries", (t) => {
+  const dir = tempDir(t);
+  git(dir, ["init", "--quiet"]);
+  const message = INJECTIONS.join(" ");
+  fs.writeFileSync(path.join(dir, "file.txt"), "x");
+  git(dir, ["add", "--", "file.txt"]);
+  git(dir, ["-c", "user.name=Test", "-c", "user.email=test@example.com", "commit", "--quiet", "-m", message, "--", "file.txt"]);
+
+  assert.equal(git(dir, ["log", "-1", "--format=%B"]), message);
+  assert.equal(fs.existsSync(path.join(dir, "pwned")), false);
+});
+
+test("publish to a local registry commits hostile names verbatim", (t) => {
+  const root = tempDir(t);
+  const pluginDir = path.join(root, "plugin");
+  const registryDir = path.join(root, "registry");
+  const home = path.join(root, "home");
+  for (const dir of [pluginDir, registryDir, home]) fs.mkdirSync(dir);
+  git(registryDir, ["init", "--quiet"]);
+
+  const name = INJECTIONS.join(" ");
+  const manifest = { ...VALID, name, author: INJECTIONS[1], description: INJECTIONS.join("\n") };
+  fs.writeFileSync(path.join(pluginDir, "plugin.json"), `${JSON.stringify(manifest, null, 2)}\n`);
+
+  const result = spawnSync(
+    process.execPath,
+    [
+      CLI, "publish",
+      "--registry", registryDir,
+      "--manifest-file", "plugin.json",
+      "--manifest-url", "https://example.com/plugin.json",
+      "--image-digest", DIGEST,
+    ],
+    {
+      cwd: pluginDir,
+      encoding: "utf8",
+      timeout: 60000,
+      env: {
+        PATH: process.env.PATH,
+        HOME: home,
+        CI: "1",
+        GIT_AUTHOR_NAME: "Test",
+        GIT_AUTHOR_EMAIL: "test@example.com",
+        GIT_COMMITTER_NAME: "Test",
+        GIT_COMMITTER_EMAIL: "test@example.com",
+      },
+    }
+  );
+  assert.equal(result.status, 0, result.stderr);
+
+  const body = git(registryDir, ["log", "-1", "--format=%b"]);
+  assert.ok(body.startsWith(`Adds **${name}** (\`com.example.hello\`)`), body);
+  assert.equal(git(registryDir, ["log", "-1", "--format=%s"]), "Add plugins/com.example.hello 1.2.0");
+
+  const entry = parseEntry(fs.readFileSync(path.join(registryDir, "plugins", "com.example.hello.yaml"), "utf8"));
+  assert.equal(entry.name, name);
+  assert.equal(entry.description, manifest.description);
+
+  for (const dir of [pluginDir, registryDir, root]) assert.equal(fs.existsSync(path.join(dir, "pwned")), false);
+});
@@ -0,0 +1,199 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { parseEntry } = require("../lib/entry");
+const { git } = require("../lib/git");
+const { checkVersionChange } = require("../lib/publish");
+
+const CLI = path.join(__dirname, "..", "bin", "nexus-plugin.js");
+const DIGEST = `sha256:${"ef".repeat(32)}`;
+
+const MANIFEST = {
+  id: "com.example.hello",
+  name: "Hello",
+  version: "1.2.0",
+  description: "Says hello",
+  author: "Example",
+  license: "MIT",
+  image: "ghcr.io/example/hello:1.2.0",
+  ui: { port: 8080, path: "/" },
+  min_nexus_version: "0.3.0",
+  settings: [],
+};
+
+/**
+ * Dry-run publish from a plugin directory holding `manifest` as plugin.json,
+ * `hosted` as the copy --manifest-file stands in for, and any other `files`.
+ */
+function dryRun(t, manifest, hosted, { args: extraArgs = [], files = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nexus-plugin-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+  fs.writeFileSync(path.join(dir, "plugin.json"), `${JSON.stringify(manifest, null, 2)}\n`);
+  fs.writeFileSync(path.join(dir, "hosted.json"), typeof hosted === "string" ? hosted : `${JSON.stringify(hosted, null, 2)}\n`);
+  return spawnSync(
+    process.execPath,
+    [
+      CLI, "publish", "--dry-run",
+      "--manifest-file", "hosted.json",
+      "--manifest-url", "https://example.com/plugin.json",
+      "--image-digest", DIGEST,
+      ...extraArgs,
+    ],
+    { cwd: dir, encoding: "utf8", timeout: 60000, env: { PATH: process.env.PATH, HOME: dir, CI: "1" } }
+  );
+}
+
+/** The last JSON line of a stream (CI output may start with validate's report). */
+function lastJson(text) {
+  return JSON.parse(text.trim().split("\n").pop());
+}
+
+// ── Manifest drift ─────────────────────────────────────────────
+
+test("publish refuses a hosted manifest that differs from plugin.json", (t) => {
+  const result = dryRun(t, MANIFEST, { ...MANIFEST, description: "Says hello, loudly" });
+  assert.equal(result.status, 1);
+  const error = lastJson(result.stderr);
+  assert.equal(error.error, "manifest_drift");
+  assert.deepEqual(error.differences, [{ path: "description", local: "Says hello", hosted: "Says hello, loudly" }]);
+});
+
+test("--allow-manifest-drift lets descriptive fields differ, building the entry from plugin.json", (t) => {
+  const result = dryRun(t, MANIFEST, { ...MANIFEST, description: "Says hello, loudly" }, { args: ["--allow-manifest-drift"] });
+  assert.equal(result.status, 0, result.stderr);
+  const plan = lastJson(result.stdout);
+  assert.deepEqual(plan.manifest_drift.map((d) => d.path), ["description"]);
+  assert.equal(parseEntry(plan.yaml).description, "Says hello");
+});
+
+test("--allow-manifest-drift does not cover id, version or image", (t) => {
+  const cases = [
+    [{ id: "com.example.other" }, "id"],
+    [{ image: "ghcr.io/example/other:1.2.0" }, "image"],
+    // A new release moves the image tag along with the version
+    [{ version: "1.2.1", image: "ghcr.io/example/hello:1.2.1" }, "version, image"],
+  ];
+  for (const [changes, fields] of cases) {
+    const result = dryRun(t, MANIFEST, { ...MANIFEST, ...changes, description: "Says hello, loudly" }, { args: ["--allow-manifest-drift"] });
+    assert.equal(result.status, 1, `${fields} drift was allowed`);
+    const error = lastJson(result.stderr);
+    assert.equal(error.error, "manifest_drift", result.stderr);
+    assert.ok(error.message.endsWith(`--allow-manifest-drift does not cover ${fields}`), error.message);
+  }
+});
+
+test("a hosted manifest that is not a JSON object stops publish whatever the rules say", (t) => {
+  const files = { ".nexuspluginrc.json": JSON.stringify({ rules: { "manifest/invalid-json": "off" } }) };
+  for (const hosted of ["{ not json", "null", "[]"]) {
+    const result = dryRun(t, MANIFEST, hosted, { args: ["--allow-manifest-drift"], files });
+    assert.equal(result.status, 1, hosted);
+    const error = lastJson(result.stderr);
+    assert.equal(error.error, "hosted_manifest_invalid", result.stderr);
+    assert.deepEqual(error.findings, [{ rule: "manifest/invalid-json", message: "not a JSON object", path: null }]);
+  }
+});
+
+// ── Version guard ──────────────────────────────────────────────
+
+const PUBLISHED = {
+  exists: true,
+  version: "1.2.0",
+  image_digest: DIGEST,
+  manifest_sha256: "a".repeat(64),
+};
+
+test("checkVersionChange lets a new entry or a newer version through", () => {
+  assert.deepEqual(checkVersionChange({ exists: false }, { version: "1.0.0", imageDigest: DIGEST }), { rollback: null });
+  assert.deepEqual(checkVersionChange(PUBLISHED, { version: "1.2.1", imageDigest: `sha256:${"01".repeat(32)}` }), { rollback: null });
+  // Same version and image with a new manifest is a metadata-only update
+  assert.deepEqual(checkVersionChange(PUBLISHED, { version: "1.2.0", imageDigest: DIGEST, manifestSha256: "b".repeat(64) }), { rollback: null });
+});
+
+test("checkVersionChange refuses to republish a version with a different image", () => {
+  const other = `sha256:${"01".repeat(32)}`;
+  for (const force of [false, true]) {
+    const result = checkVersionChange(PUBLISHED, { version: "1.2.0", imageDigest: other, manifestSha256: "b".repeat(64) }, { force });
+    assert.equal(result.error, "version_republish");
+    assert.match(result.message, /already published with image sha256:efef/);
+  }
+  assert.equal(
+    checkVersionChange(PUBLISHED, { version: "1.2.0", imageDigest: DIGEST, manifestSha256: PUBLISHED.manifest_sha256 }).error,
+    "already_published"
+  );
+});
+
+test("checkVersionChange refuses a downgrade unless forced, then records the rollback", () => {
+  const older = { version: "1.1.0", imageDigest: `sha256:${"01".repeat(32)}` };
+  const refused = checkVersionChange(PUBLISHED, older);
+  assert.equal(refused.error, "version_downgrade");
+  assert.match(refused.message, /The registry has 1\.2\.0, which is newer than 1\.1\.0/);
+  assert.deepEqual(checkVersionChange(PUBLISHED, older, { force: true }), { rollback: "1.2.0" });
+  // Prereleases sort before their release
+  assert.equal(checkVersionChange(PUBLISHED, { ...older, version: "1.2.0-rc.1" }).error, "version_downgrade");
+});
+
+test("checkVersionChange needs --force to replace a non-semver version", () => {
+  const legacy = { ...PUBLISHED, version: "2024.1" };
+  const refused = checkVersionChange(legacy, { version: "1.0.0", imageDigest: DIGEST });
+  assert.equal(refused.error, "version_unknown");
+  assert.match(refused.message, /"2024\.1" is not semver/);
+  assert.deepEqual(checkVersionChange(legacy, { version: "1.0.0", imageDigest: DIGEST }, { force: true }), { rollback: null });
+});
+
+test("a forced downgrade is committed as a rollback", (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "nexus-plugin-test-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const registryDir = path.join(root, "registry");
+  fs.mkdirSync(registryDir);
+  git(registryDir, ["init", "--quiet"]);
+
+  function publishVersion(version, digest, extraArgs = []) {
+    fs.writeFileSync(
+      path.join(root, "plugin.json"),
+      `${JSON.stringify({ ...MANIFEST, version, image: `ghcr.io/example/hello:${version}` }, null, 2)}\n`
+    );
+    return spawnSync(
+      process.execPath,
+      [
+        CLI, "publish",
+        "--registry", registryDir,
+        "--manifest-file", "plugin.json",
+        "--manifest-url", "https://example.com/plugin.json",
+        "--image-digest", digest,
+        ...extraArgs,
+      ],
+      {
+        cwd: root,
+        encoding: "utf8",
+        timeout: 60000,
+        env: {
+          PATH: process.env.PATH,
+          HOME: root,
+          CI: "1",
+          GIT_AUTHOR_NAME: "Test",
+          GIT_AUTHOR_EMAIL: "test@example.com",
+          GIT_COMMITTER_NAME: "Test",
+          GIT_COMMITTER_EMAIL: "test@example.com",
+        },
+      }
+    );
+  }
+
+  assert.equal(publishVersion("1.2.0", DIGEST).status, 0);
+  const older = `sha256:${"01".repeat(32)}`;
+  const refused = publishVersion("1.1.0", older);
+  assert.equal(refused.status, 1);
+  assert.equal(lastJson(refused.stderr).error, "version_downgrade");
+
+  const forced = publishVersion("1.1.0", older, ["--force"]);
+  assert.equal(forced.status, 0, forced.stderr);
+  assert.equal(lastJson(forced.stdout).rollback_from, "1.2.0");
+  assert.match(git(registryDir, ["log", "-1", "--format=%b"]), /\*\*Rollback:\*\* replaces v1\.2\.0 with the older v1\.1\.0/);
+  assert.equal(parseEntry(fs.readFileSync(path.join(registryDir, "plugins", "com.example.hello.yaml"), "utf8")).version, "1.1.0");
+});
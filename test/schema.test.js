@@ -0,0 +1,102 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateInstance, checkSchema } = require("../lib/schema");
+
+// ── JSON Schema subset ─────────────────────────────────────────
+
+/** Just the messages, keyed by path, for compact assertions. */
+function errors(schema, value) {
+  return validateInstance(schema, value).map((e) => `${e.path}: ${e.message}`);
+}
+
+test("validateInstance checks types, integer vs number and nullable unions", () => {
+  assert.deepEqual(errors({ type: "string" }, "x"), []);
+  assert.deepEqual(errors({ type: "string" }, 1), ["(root): expected string, got integer"]);
+  assert.deepEqual(errors({ type: "number" }, 1), []);
+  assert.deepEqual(errors({ type: "integer" }, 1.5), ["(root): expected integer, got number"]);
+  assert.deepEqual(errors({ type: ["string", "null"] }, null), []);
+  assert.deepEqual(errors({ type: "object" }, []), ["(root): expected object, got array"]);
+});
+
+test("validateInstance checks objects: required, properties and additionalProperties", () => {
+  const schema = {
+    type: "object",
+    properties: { name: { type: "string" }, tags: { type: "array", items: { type: "string" } } },
+    required: ["name"],
+    additionalProperties: false,
+  };
+  assert.deepEqual(errors(schema, { name: "a", tags: ["x"] }), []);
+  assert.deepEqual(errors(schema, { tags: ["x", 2], extra: true }), [
+    "name: is required",
+    "tags[1]: expected string, got integer",
+    "extra: is not an allowed property",
+  ]);
+  assert.deepEqual(
+    errors({ type: "object", additionalProperties: { type: "integer" } }, { a: 1, "b c": "x" }),
+    ['["b c"]: expected integer, got string']
+  );
+});
+
+test("validateInstance checks enum, const, string and number bounds", () => {
+  assert.deepEqual(errors({ enum: ["a", { b: 1 }] }, { b: 1 }), []);
+  assert.deepEqual(errors({ enum: ["a", "b"] }, "c"), ['(root): must be one of "a", "b"']);
+  assert.deepEqual(errors({ const: 3 }, 4), ["(root): must equal 3"]);
+  assert.deepEqual(errors({ minLength: 2, maxLength: 3, pattern: "^a" }, "bcde"), [
+    "(root): must be at most 3 characters",
+    "(root): must match pattern ^a",
+  ]);
+  assert.deepEqual(errors({ minimum: 1, exclusiveMaximum: 5 }, 5), ["(root): must be < 5"]);
+  assert.deepEqual(errors({ exclusiveMinimum: 0, maximum: 5 }, 0), ["(root): must be > 0"]);
+});
+
+test("validateInstance enforces multipleOf, tolerating float rounding", () => {
+  assert.deepEqual(errors({ type: "integer", multipleOf: 5 }, 15), []);
+  assert.deepEqual(errors({ type: "integer", multipleOf: 5 }, 12), ["(root): must be a multiple of 5"]);
+  assert.deepEqual(errors({ type: "number", multipleOf: 0.1 }, 0.3), []);
+  assert.deepEqual(errors({ type: "number", multipleOf: 0.25 }, 0.3), ["(root): must be a multiple of 0.25"]);
+  assert.deepEqual(errors({ multipleOf: 2 }, "not a number"), []);
+});
+
+test("validateInstance enforces uniqueItems by deep equality", () => {
+  const schema = { type: "array", uniqueItems: true };
+  assert.deepEqual(errors(schema, [1, 2, "1", { a: 1 }, { a: 2 }]), []);
+  assert.deepEqual(errors(schema, [1, 2, 1]), ["[2]: duplicates an earlier item (uniqueItems)"]);
+  assert.deepEqual(errors(schema, [{ a: 1, b: [2] }, { b: [2], a: 1 }]), ["[1]: duplicates an earlier item (uniqueItems)"]);
+  assert.deepEqual(errors({ type: "array", uniqueItems: false }, [1, 1]), []);
+  assert.deepEqual(errors({ type: "array", minItems: 1, maxItems: 2 }, []), ["(root): must have at least 1 items"]);
+});
+
+test("validateInstance follows $ref and combinators", () => {
+  const schema = {
+    $defs: { id: { type: "string", pattern: "^[a-z]+$" } },
+    type: "object",
+    properties: {
+      id: { $ref: "#/$defs/id" },
+      value: { oneOf: [{ type: "string" }, { type: "integer", minimum: 0 }] },
+      mode: { anyOf: [{ const: "fast" }, { const: "slow" }] },
+      name: { allOf: [{ minLength: 1 }, { maxLength: 3 }], not: { const: "bad" } },
+    },
+  };
+  assert.deepEqual(errors(schema, { id: "abc", value: 3, mode: "fast", name: "ok" }), []);
+  assert.deepEqual(errors(schema, { id: "ABC", value: -1, mode: "medium", name: "bad" }), [
+    "id: must match pattern ^[a-z]+$",
+    "value: must match exactly one oneOf schema (matched 0)",
+    "mode: must match at least one anyOf schema",
+    'name: must not match the "not" schema',
+  ]);
+  assert.deepEqual(errors({ $ref: "#/$defs/missing" }, 1), ['(root): unresolvable $ref "#/$defs/missing"']);
+});
+
+test("checkSchema rejects malformed uniqueItems and multipleOf", () => {
+  const problems = (schema) => checkSchema(schema, "input_schema").filter((p) => p.level === "fail").map((p) => `${p.path}: ${p.message}`);
+  assert.deepEqual(problems({ type: "array", items: {}, uniqueItems: true }), []);
+  assert.deepEqual(problems({ type: "array", items: {}, uniqueItems: "yes" }), ["input_schema.uniqueItems: uniqueItems must be a boolean"]);
+  assert.deepEqual(problems({ type: "number", multipleOf: 0 }), ["input_schema.multipleOf: multipleOf must be a number greater than 0"]);
+  // Defaults are checked against the now-enforced keywords too
+  assert.deepEqual(problems({ type: "integer", multipleOf: 5, default: 7 }), ["input_schema.default: default must be a multiple of 5"]);
+  assert.deepEqual(problems({ type: "array", items: {}, uniqueItems: true, default: ["a", "a"] }), [
+    "input_schema.default: default [1] duplicates an earlier item (uniqueItems)",
+  ]);
+});
@@ -0,0 +1,170 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { parseEntry, formatEntry, mergeEntry } = require("../lib/entry");
+const { SIGNED_FIELDS, fingerprint, generateKeyPair, signEntry, verifyEntry } = require("../lib/signing");
+
+// ── Entry signing ──────────────────────────────────────────────
+
+const CLI = path.join(__dirname, "..", "bin", "nexus-plugin.js");
+
+const MANIFEST = {
+  id: "com.example.hello",
+  name: "Hello",
+  version: "1.2.0",
+  description: "Says hello",
+  author: "Example",
+  image: "ghcr.io/example/hello:1.2.0",
+  ui: { port: 8080, path: "/" },
+};
+
+const ENTRY = {
+  author: "Example",
+  author_url: "https://github.com/example",
+  categories: ["utilities"],
+  created_at: "2024-01-01T00:00:00.000Z",
+  description: "Says hello",
+  homepage: "https://github.com/example/nexus-hello",
+  id: "com.example.hello",
+  image: "ghcr.io/example/hello:1.2.0",
+  image_digest: `sha256:${"ab".repeat(32)}`,
+  license: "MIT",
+  manifest_sha256: "cd".repeat(32),
+  manifest_url: "https://example.com/plugin.json",
+  name: "Hello",
+  status: "active",
+  version: "1.2.0",
+};
+
+function signed(entry = ENTRY, manifest = MANIFEST) {
+  const { privateKey } = crypto.generateKeyPairSync("ed25519");
+  return { entry: mergeEntry(entry, signEntry(entry, manifest, privateKey)), privateKey };
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nexus-plugin-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function cli(args, home) {
+  return spawnSync(process.execPath, [CLI, ...args], {
+    encoding: "utf8",
+    timeout: 60000,
+    env: { PATH: process.env.PATH, HOME: home, CI: "1" },
+  });
+}
+
+test("a signed entry verifies, with its manifest, after a YAML round trip", () => {
+  const { entry, privateKey } = signed();
+  const reread = parseEntry(formatEntry(entry));
+  const result = verifyEntry(reread, JSON.parse(JSON.stringify(MANIFEST)));
+  assert.deepEqual(result, { signed: true, fingerprint: fingerprint(crypto.createPublicKey(privateKey)), problems: [] });
+  assert.equal(reread.key_fingerprint, result.fingerprint);
+
+  // Key order in the manifest does not matter: signatures are over canonical JSON
+  const reordered = Object.fromEntries(Object.entries(MANIFEST).reverse());
+  assert.deepEqual(verifyEntry(reread, reordered).problems, []);
+  assert.deepEqual(verifyEntry(ENTRY), { signed: false });
+});
+
+test("changing any signed field breaks the signature; registry fields stay editable", () => {
+  const { entry } = signed();
+  for (const key of SIGNED_FIELDS) {
+    const tampered = { ...entry, [key]: `${entry[key]}x` };
+    assert.deepEqual(verifyEntry(tampered).problems, ["signature does not match the entry (a signed field was changed)"], key);
+    // Dropping a field is a change too
+    const dropped = { ...entry };
+    delete dropped[key];
+    assert.equal(verifyEntry(dropped).problems.length, 1, `${key} removed`);
+  }
+  const triaged = { ...entry, status: "deprecated", categories: ["fun"], deprecation_reason: "Superseded", featured: true };
+  assert.deepEqual(verifyEntry(triaged).problems, []);
+
+  assert.deepEqual(verifyEntry(entry, { ...MANIFEST, version: "1.2.1" }).problems, ["manifest_signature does not match the manifest"]);
+  const { entry: other } = signed();
+  assert.deepEqual(verifyEntry({ ...entry, public_key: other.public_key, key_fingerprint: other.key_fingerprint }).problems, [
+    "signature does not match the entry (a signed field was changed)",
+  ]);
+});
+
+test("an entry signature does not pass for a manifest signature", () => {
+  const { entry } = signed();
+  // A "manifest" whose canonical JSON is exactly what the entry signature covers
+  const lookalike = Object.fromEntries(SIGNED_FIELDS.map((key) => [key, entry[key]]));
+  const swapped = { ...entry, manifest_signature: entry.signature };
+  assert.deepEqual(verifyEntry(swapped, lookalike).problems, ["manifest_signature does not match the manifest"]);
+
+  // And the other way round
+  const { entry: forManifest } = signed(ENTRY, lookalike);
+  assert.deepEqual(verifyEntry({ ...forManifest, signature: forManifest.manifest_signature }).problems, [
+    "signature does not match the entry (a signed field was changed)",
+  ]);
+});
+
+test("verify pins the publisher with --fingerprint or --key", (t) => {
+  const dir = tempDir(t);
+  const pair = generateKeyPair();
+  const privateKey = crypto.createPrivateKey(pair.privateKey);
+  const entry = mergeEntry(ENTRY, signEntry(ENTRY, MANIFEST, privateKey));
+  const entryFile = path.join(dir, "com.example.hello.yaml");
+  const manifestFile = path.join(dir, "plugin.json");
+  const keyFile = path.join(dir, "publisher.pub");
+  fs.writeFileSync(entryFile, formatEntry(entry));
+  fs.writeFileSync(manifestFile, JSON.stringify(MANIFEST));
+  fs.writeFileSync(keyFile, pair.publicKey);
+
+  const pinned = cli(["verify", entryFile, "--manifest", manifestFile, "--fingerprint", pair.fingerprint, "--json"], dir);
+  assert.equal(pinned.status, 0, pinned.stderr);
+  assert.deepEqual(JSON.parse(pinned.stdout), {
+    ok: true,
+    entry: entryFile,
+    id: "com.example.hello",
+    version: "1.2.0",
+    key_fingerprint: pair.fingerprint,
+    entry_signature: "valid",
+    manifest_signature: "valid",
+    publisher_pinned: true,
+  });
+  assert.equal(cli(["verify", entryFile, "--key", keyFile, "--json"], dir).status, 0);
+
+  // Re-signed by someone else: every signature is valid, but the publisher changed
+  const intruder = generateKeyPair();
+  fs.writeFileSync(entryFile, formatEntry(mergeEntry(ENTRY, signEntry(ENTRY, MANIFEST, crypto.createPrivateKey(intruder.privateKey)))));
+  assert.equal(cli(["verify", entryFile, "--json"], dir).status, 0);
+  for (const pin of [["--fingerprint", pair.fingerprint], ["--key", keyFile]]) {
+    const result = cli(["verify", entryFile, ...pin, "--json"], dir);
+    assert.equal(result.status, 1);
+    assert.deepEqual(JSON.parse(result.stderr), {
+      error: "publisher_changed",
+      message: `${entryFile} is signed by ${intruder.fingerprint}, not ${pair.fingerprint}`,
+    });
+  }
+});
+
+test("keys generate writes the private key owner-only, even over a looser one", { skip: process.platform === "win32" }, (t) => {
+  const dir = tempDir(t);
+  const keysDir = path.join(dir, "keys");
+  const mode = (file) => fs.statSync(file).mode & 0o777;
+
+  const first = cli(["keys", "generate", "--dir", keysDir, "--name", "test", "--json"], dir);
+  assert.equal(first.status, 0, first.stderr);
+  const out = JSON.parse(first.stdout);
+  assert.equal(out.private_key, path.join(keysDir, "test.key"));
+  assert.equal(mode(out.private_key), 0o600);
+  assert.equal(mode(keysDir), 0o700);
+  assert.equal(fingerprint(crypto.createPublicKey(fs.readFileSync(out.private_key, "utf8"))), out.fingerprint);
+
+  assert.equal(cli(["keys", "generate", "--dir", keysDir, "--name", "test", "--json"], dir).status, 1);
+  fs.chmodSync(out.private_key, 0o644);
+  const replaced = cli(["keys", "generate", "--dir", keysDir, "--name", "test", "--force", "--json"], dir);
+  assert.equal(replaced.status, 0, replaced.stderr);
+  assert.equal(mode(out.private_key), 0o600);
+  assert.notEqual(JSON.parse(replaced.stdout).fingerprint, out.fingerprint);
+});
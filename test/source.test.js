@@ -0,0 +1,45 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { stripComments, findPermissionUsage, findSubprocessCalls } = require("../lib/source");
+
+// ── --deep source scan ─────────────────────────────────────────
+
+/** An in-memory source, as loadSources would produce it. */
+function source(file, text) {
+  return { file, text, code: stripComments(text) };
+}
+
+test("findSubprocessCalls finds child_process calls in every import style", () => {
+  const sources = [
+    source("a.js", 'const { spawn, execSync } = require("child_process");\nspawn("ls");\nexecSync("id");\n'),
+    source("b.js", 'const cp = require("node:child_process");\ncp.execFile("git", ["status"]);\n'),
+    source("c.mjs", 'import * as child from "child_process";\nchild.fork("worker.js");\n'),
+    source("d.js", 'require("child_process").exec("uptime");\n'),
+  ];
+  assert.deepEqual(
+    findSubprocessCalls(sources).map((c) => `${c.file}:${c.line} ${c.call}`),
+    ["a.js:2 spawn", "a.js:3 execSync", "b.js:2 execFile", "c.mjs:2 fork", "d.js:1 exec"]
+  );
+});
+
+test("findSubprocessCalls ignores look-alikes outside child_process", () => {
+  const sources = [
+    // RegExp#exec and other objects' methods, in a file that does import child_process
+    source("a.js", 'const { spawn } = require("child_process");\nconst m = /x/.exec(s);\nre.exec(s);\nworker.fork();\n// spawn("ls")\n'),
+    // No child_process import at all
+    source("b.js", "function exec(cmd) {}\nexec('ls');\n"),
+  ];
+  assert.deepEqual(findSubprocessCalls(sources), []);
+});
+
+test("findPermissionUsage maps fs writes and URLs, but not subprocesses", () => {
+  const usage = findPermissionUsage([
+    source(
+      "a.js",
+      'const fs = require("fs");\nconst { spawn } = require("child_process");\nfs.writeFileSync("x", "y");\nspawn("ls");\nfetch("https://api.example.com/v1");\n'
+    ),
+  ]);
+  assert.deepEqual([...usage.keys()].sort(), ["filesystem:write", "network:internet"]);
+});
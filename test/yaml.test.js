@@ -0,0 +1,126 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const yaml = require("../lib/yaml");
+const { parseEntry, formatEntry, mergeEntry } = require("../lib/entry");
+
+// ── YAML (registry subset) ─────────────────────────────────────
+
+/** stringify then parse, asserting the value comes back unchanged. */
+function roundTrip(value, options) {
+  const text = yaml.stringify(value, options);
+  assert.deepEqual(yaml.parse(text), value, text);
+  return text;
+}
+
+test("strings that read as something else are quoted and survive a round trip", () => {
+  const tricky = {
+    yes: "yes",
+    no: "No",
+    off: "off",
+    null: "null",
+    tilde: "~",
+    bool: "true",
+    exponent: "1e3",
+    hex: "0x1",
+    octal: "0o17",
+    float: "1.50",
+    sexagesimal: "1:30",
+    infinity: ".inf",
+    colon: "key: value",
+    trailing_colon: "ends with:",
+    hash: "value #not a comment",
+    leading_dash: "- item",
+    leading_quote: "'quoted'",
+    indicator: "*alias",
+    padded: " padded ",
+    empty: "",
+    control: "bell\u0007",
+    separator: "line\u2028separator",
+  };
+  const text = roundTrip(tricky);
+  for (const key of Object.keys(tricky)) {
+    // Reserved words are quoted as keys too
+    assert.match(text, new RegExp(`^"?${key}"?: "`, "m"), `${key} should be double-quoted`);
+  }
+  // Plain-safe text stays plain, and real scalars keep their types
+  assert.equal(roundTrip({ a: "Hello, world", num: 3, f: 1.5, t: true, z: null }), "a: Hello, world\nnum: 3\nf: 1.5\nt: true\nz: null\n");
+});
+
+test("parse reads plain scalars as YAML 1.2 core types, leaving YAML 1.1 spellings as strings", () => {
+  assert.deepEqual(yaml.parse("a: yes\nb: 1e3\nc: 0x1\nd: 1.0e3\ne: ~\nf: -7\ng: 'it''s'\nh: \"tab\\there\"\n"), {
+    a: "yes",
+    b: "1e3",
+    c: "0x1",
+    d: 1000,
+    e: null,
+    f: -7,
+    g: "it's",
+    h: "tab\there",
+  });
+});
+
+test("block scalars honour each chomping mode", () => {
+  assert.deepEqual(yaml.parse("clip: |\n  one\n  two\n\nkeep: |+\n  one\n\n\nstrip: |-\n  one\n  two\nend: x\n"), {
+    clip: "one\ntwo\n",
+    keep: "one\n\n\n",
+    strip: "one\ntwo",
+    end: "x",
+  });
+  assert.deepEqual(yaml.parse("folded: >\n  one\n  two\n\n  three\n"), { folded: "one two\nthree\n" });
+
+  // The emitter picks the chomping mode that reproduces the trailing newlines
+  assert.equal(roundTrip({ text: "one\ntwo" }), "text: |-\n  one\n  two\n");
+  assert.equal(roundTrip({ text: "one\ntwo\n" }), "text: |\n  one\n  two\n");
+  assert.equal(roundTrip({ text: "one\ntwo\n\n" }), "text: |+\n  one\n  two\n\n");
+  // Leading whitespace can't start a literal block, so it is quoted instead
+  assert.equal(roundTrip({ text: "  indented\nsecond" }), 'text: "  indented\\nsecond"\n');
+});
+
+test("unknown keys and key order survive a parse → merge → format cycle", () => {
+  const text = [
+    "id: com.example.hello",
+    "featured: true",
+    "name: Hello",
+    "notes:",
+    "- reviewed by maintainers",
+    "- owner: someone",
+    "  since: 2024",
+    'version: "1.2.0"',
+    "",
+  ].join("\n");
+  const entry = parseEntry(text);
+  assert.deepEqual(Object.keys(entry), ["id", "featured", "name", "notes", "version"]);
+  assert.equal(formatEntry(entry), text);
+  // Sequences indented under their key read the same
+  assert.deepEqual(parseEntry(text.replace(/^([- ] )/gm, "  $1")), entry);
+
+  const merged = mergeEntry(entry, { name: "Hello Again", version: "1.3.0", homepage: "https://example.com" });
+  assert.deepEqual(Object.keys(merged), ["id", "featured", "name", "notes", "version", "homepage"]);
+  assert.deepEqual(merged.notes, entry.notes);
+  assert.equal(parseEntry(formatEntry(merged)).featured, true);
+
+  // Into sorted keys, new keys go in alphabetical position
+  assert.deepEqual(Object.keys(mergeEntry({ a: 1, c: 3 }, { b: 2, d: 4 })), ["a", "b", "c", "d"]);
+});
+
+test("parse rejects what the subset does not support instead of misreading it", () => {
+  const rejected = {
+    anchor: "a: &x 1\nb: *x\n",
+    alias: "a: *x\n",
+    tag: "a: !!str 1\n",
+    flowSequence: "a: [1, 2]\n",
+    flowMapping: "a: {b: 1}\n",
+    multipleDocuments: "a: 1\n---\nb: 2\n",
+    duplicateKey: "a: 1\na: 2\n",
+    tabs: "a:\n\tb: 1\n",
+  };
+  for (const [name, text] of Object.entries(rejected)) {
+    assert.throws(() => yaml.parse(text), { name: "YamlError" }, name);
+  }
+  assert.throws(() => yaml.parse("a: 1\n---\nb: 2\n"), /multiple documents are not supported \(line 2\)/);
+
+  // Empty flow collections and a leading document marker are fine
+  assert.deepEqual(yaml.parse("---\na: []\nb: {}\n"), { a: [], b: {} });
+});